@@ -0,0 +1,36 @@
+// AI provider configuration, read from the environment
+const PROVIDER_DEFAULTS = {
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini'
+  },
+  ollama: {
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3'
+  },
+  mock: {
+    baseUrl: null,
+    model: 'mock'
+  }
+};
+
+const getAiConfig = () => {
+  const provider = (process.env.AI_PROVIDER || 'mock').toLowerCase();
+  const defaults = PROVIDER_DEFAULTS[provider] || {};
+
+  return {
+    provider,
+    model: process.env.AI_MODEL || defaults.model,
+    baseUrl: (process.env.AI_BASE_URL || defaults.baseUrl || '').replace(/\/+$/, ''),
+    apiKey: process.env.AI_API_KEY,
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 30000,
+    maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 1024,
+    temperature: process.env.AI_TEMPERATURE !== undefined ? parseFloat(process.env.AI_TEMPERATURE) : 0.2,
+    cacheTtlDays: parseInt(process.env.AI_CACHE_TTL_DAYS) || 30
+  };
+};
+
+module.exports = {
+  PROVIDERS: Object.keys(PROVIDER_DEFAULTS),
+  getAiConfig
+};
@@ -0,0 +1,22 @@
+const RETENTION_ACTIONS = ['archive', 'purge'];
+
+// Job lifecycle sweeper configuration, read from the environment
+const getLifecycleConfig = () => {
+  const retentionAction = (process.env.JOB_RETENTION_ACTION || 'archive').toLowerCase();
+  const trashRetentionDays = parseInt(process.env.TRASH_RETENTION_DAYS);
+
+  return {
+    intervalMs: parseInt(process.env.LIFECYCLE_INTERVAL_MS) || 60000,
+    batchSize: parseInt(process.env.LIFECYCLE_BATCH_SIZE) || 500,
+    // Days a closed (expired or filled) job is kept; 0 keeps jobs forever
+    retentionDays: parseInt(process.env.JOB_RETENTION_DAYS) || 0,
+    retentionAction: RETENTION_ACTIONS.includes(retentionAction) ? retentionAction : 'archive',
+    // Days a trashed job is kept before it is purged; 0 keeps it until purged by hand
+    trashRetentionDays: Number.isNaN(trashRetentionDays) ? 30 : trashRetentionDays
+  };
+};
+
+module.exports = {
+  RETENTION_ACTIONS,
+  getLifecycleConfig
+};
@@ -0,0 +1,22 @@
+// Saved search notification configuration, read from the environment
+const getNotificationConfig = () => ({
+  checkIntervalMs: parseInt(process.env.SAVED_SEARCH_CHECK_INTERVAL_MS) || 60000,
+  digestMaxJobs: parseInt(process.env.SAVED_SEARCH_DIGEST_MAX_JOBS) || 25,
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, ''),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'Job Assistant <no-reply@localhost>'
+  },
+  webhookTimeoutMs: parseInt(process.env.NOTIFY_WEBHOOK_TIMEOUT_MS) || 10000,
+  // Allow webhook targets on private networks, e.g. for local testing
+  webhookAllowPrivate: process.env.NOTIFY_WEBHOOK_ALLOW_PRIVATE === 'true',
+  logFile: process.env.NOTIFY_LOG_FILE
+});
+
+module.exports = {
+  getNotificationConfig
+};
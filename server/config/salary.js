@@ -0,0 +1,11 @@
+const path = require('path');
+
+// Salary normalization configuration, read from the environment
+const getSalaryConfig = () => ({
+  // Exchange rate table: units of each currency per one unit of the base currency
+  ratesFile: process.env.EXCHANGE_RATES_FILE || path.join(__dirname, '..', 'data', 'exchangeRates.json')
+});
+
+module.exports = {
+  getSalaryConfig
+};
@@ -0,0 +1,10 @@
+// Skill taxonomy configuration, read from the environment
+const getSkillConfig = () => ({
+  // How often each server reloads the taxonomy, to pick up changes made
+  // through another instance
+  refreshIntervalMs: parseInt(process.env.SKILL_TAXONOMY_REFRESH_MS) || 5 * 60 * 1000
+});
+
+module.exports = {
+  getSkillConfig
+};
@@ -0,0 +1,13 @@
+// Outbound webhook delivery configuration, read from the environment
+const getWebhookConfig = () => ({
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+  retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000,
+  checkIntervalMs: parseInt(process.env.WEBHOOK_CHECK_INTERVAL_MS) || 15000,
+  batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE) || 50
+});
+
+module.exports = {
+  getWebhookConfig
+};
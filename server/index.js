@@ -6,12 +6,35 @@ require('dotenv').config();
 
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
+const { assertTokenSecrets } = require('./utils/tokens');
 const errorHandler = require('./middleware/errorHandler');
 const rateLimiter = require('./middleware/rateLimiter');
+const scheduler = require('./services/scheduler');
+const { runDueSearches } = require('./services/savedSearches');
+const webhooks = require('./services/webhooks');
+const suggestions = require('./services/suggestions');
+const { getNotificationConfig } = require('./config/notifications');
+const { getWebhookConfig } = require('./config/webhooks');
+const { runLifecycle } = require('./services/lifecycle');
+const { getLifecycleConfig } = require('./config/lifecycle');
+const { loadTaxonomy } = require('./services/skillTaxonomy');
+const { getSkillConfig } = require('./config/skills');
 
 // Import routes
+const authRoutes = require('./routes/auth');
+const apiClientRoutes = require('./routes/apiClients');
 const jobRoutes = require('./routes/jobs');
 const searchRoutes = require('./routes/search');
+const savedJobRoutes = require('./routes/savedJobs');
+const matchRoutes = require('./routes/match');
+const savedSearchRoutes = require('./routes/savedSearches');
+const webhookRoutes = require('./routes/webhooks');
+const schedulerRoutes = require('./routes/scheduler');
+const analyticsRoutes = require('./routes/analytics');
+const skillRoutes = require('./routes/skills');
+const companyRoutes = require('./routes/companies');
+
+assertTokenSecrets();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -23,8 +46,15 @@ connectDB();
 app.use(helmet());
 app.use(cors());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Routes that stream their request body themselves, whatever its type
+const STREAMED_BODY_PATHS = ['/api/jobs/import'];
+
+const bodyParser = (parser) => (req, res, next) => (
+  STREAMED_BODY_PATHS.includes(req.path.toLowerCase().replace(/\/+$/, '')) ? next() : parser(req, res, next)
+);
+
+app.use(bodyParser(express.json({ limit: '10mb' })));
+app.use(bodyParser(express.urlencoded({ extended: true, limit: '10mb' })));
 
 // Rate limiting
 app.use(rateLimiter);
@@ -39,8 +69,18 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
+app.use('/api/clients', apiClientRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/saved-jobs', savedJobRoutes);
+app.use('/api/match', matchRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/companies', companyRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -53,20 +93,32 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
+// Background tasks
+webhooks.listen();
+suggestions.listen();
+loadTaxonomy().catch(error => logger.error('Failed to load the skill taxonomy:', error));
+scheduler.register('saved-searches', getNotificationConfig().checkIntervalMs, runDueSearches, { lock: true });
+scheduler.register('webhook-deliveries', getWebhookConfig().checkIntervalMs, webhooks.processDueDeliveries);
+scheduler.register('job-lifecycle', getLifecycleConfig().intervalMs, runLifecycle, { lock: true });
+scheduler.register('skill-taxonomy', getSkillConfig().refreshIntervalMs, loadTaxonomy);
+
 // Start server
 app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV}`);
+  scheduler.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  scheduler.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  scheduler.stop();
   process.exit(0);
 });
 
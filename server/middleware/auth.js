@@ -0,0 +1,130 @@
+const User = require('../models/User');
+const ApiClient = require('../models/ApiClient');
+const { verifyAccessToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+// Extract a bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+};
+
+// Describe the authenticated principal in a way routes can use uniformly
+const toActor = (doc, kind) => ({
+  id: doc._id,
+  kind,
+  role: doc.role,
+  name: kind === 'User' ? doc.email : doc.name
+});
+
+// Require a valid access token or API key and attach the caller to the request.
+// Users are available as req.user, API clients as req.apiClient, and both as req.actor.
+const protect = async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-API-Key');
+
+    if (apiKey) {
+      const client = await ApiClient.findByKey(apiKey);
+
+      if (!client) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid API key'
+        });
+      }
+
+      await ApiClient.updateOne({ _id: client._id }, { lastUsedAt: new Date() });
+
+      req.apiClient = client;
+      req.actor = toActor(client, 'ApiClient');
+      return next();
+    }
+
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const payload = verifyAccessToken(token);
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User no longer exists'
+      });
+    }
+
+    req.user = user;
+    req.actor = toActor(user, 'User');
+    next();
+
+  } catch (error) {
+    // JWT errors are mapped to 401 responses by the error handler
+    next(error);
+  }
+};
+
+// Reject callers that authenticated with an API key instead of a user account
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({
+      success: false,
+      error: 'This endpoint requires a user account'
+    });
+  }
+
+  next();
+};
+
+// Restrict a route to callers holding one of the given roles
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.actor) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (!roles.includes(req.actor.role)) {
+    logger.warn('Access denied:', {
+      actor: req.actor.name,
+      kind: req.actor.kind,
+      role: req.actor.role,
+      required: roles,
+      url: req.originalUrl,
+      method: req.method
+    });
+
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  }
+
+  next();
+};
+
+// Check whether the caller may modify a job: admins may modify any job,
+// everyone else only the jobs they own
+const canManageJob = (actor, job) => {
+  if (!actor) return false;
+  if (actor.role === 'admin') return true;
+  if (!job.owner) return false;
+
+  const ownerId = job.owner._id || job.owner;
+  return ownerId.toString() === actor.id.toString() && job.ownerModel === actor.kind;
+};
+
+module.exports = {
+  protect,
+  requireUser,
+  authorize,
+  canManageJob
+};
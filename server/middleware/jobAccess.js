@@ -0,0 +1,48 @@
+const Job = require('../models/Job');
+const { canManageJob } = require('./auth');
+const logger = require('../utils/logger');
+
+// Build a middleware that loads the job named by req.params.id into req.job
+// and makes sure the caller may modify it. Must run after protect.
+const loadJobWith = (findJob, notFoundMessage) => async (req, res, next) => {
+  try {
+    const job = await findJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: notFoundMessage
+      });
+    }
+
+    if (!canManageJob(req.actor, job)) {
+      logger.warn(`Job access denied: ${job._id} for ${req.actor.name}`);
+      return res.status(403).json({
+        success: false,
+        error: 'You can only modify your own job postings'
+      });
+    }
+
+    // Lifecycle events name the caller as the actor
+    job.$locals.actor = req.actor;
+    req.job = job;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a job that is not in the trash
+const loadManageableJob = loadJobWith(id => Job.findById(id), 'Job not found');
+
+// Load a job from the trash
+const loadTrashedJob = loadJobWith(
+  id => Job.findOne({ _id: id, deletedAt: { $ne: null } }),
+  'Job not found in trash'
+);
+
+module.exports = {
+  loadManageableJob,
+  loadTrashedJob
+};
@@ -1,5 +1,24 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { MAX_RADIUS_KM, countryCode, resolvePoint } = require('../utils/geo');
+const { SALARY_PERIODS, isKnownCurrency } = require('../utils/salary');
+const { parseQuery } = require('../utils/queryParser');
+const { BULK_MAX_DOCUMENTS } = require('../services/bulkOperations');
+
+// Salary currencies are those in the exchange rate table
+const salaryCurrency = () => Joi.string().uppercase().trim().custom((value, helpers) => (
+  isKnownCurrency(value) ? value : helpers.message('Unknown currency: {#value}', { value })
+));
+
+// Search queries in the query language of /api/search
+const validSearchQuery = (value, helpers) => {
+  try {
+    parseQuery(value);
+    return value;
+  } catch (error) {
+    return helpers.message('Invalid query: {#reason}', { reason: error.message });
+  }
+};
 
 // Job creation validation schema
 const jobSchema = Joi.object({
@@ -12,12 +31,13 @@ const jobSchema = Joi.object({
   salary: Joi.object({
     min: Joi.number().min(0),
     max: Joi.number().min(0),
-    currency: Joi.string().valid('USD', 'EUR', 'GBP', 'CAD', 'AUD').default('USD'),
+    currency: salaryCurrency().default('USD'),
     period: Joi.string().valid('hourly', 'daily', 'weekly', 'monthly', 'yearly').default('yearly')
   }),
   jobType: Joi.string().required().valid('full-time', 'part-time', 'contract', 'internship', 'freelance'),
   experienceLevel: Joi.string().valid('entry', 'junior', 'mid', 'senior', 'lead', 'executive'),
-  remote: Joi.string().valid('on-site', 'remote', 'hybrid').default('on-site'),
+  // Left unset when omitted so it can be inferred from the description
+  remote: Joi.string().valid('on-site', 'remote', 'hybrid'),
   industry: Joi.string().max(100).trim(),
   skills: Joi.array().items(Joi.string().trim()).max(100),
   benefits: Joi.array().items(Joi.string().trim()).max(50),
@@ -27,6 +47,8 @@ const jobSchema = Joi.object({
   status: Joi.string().valid('active', 'expired', 'filled', 'draft').default('active'),
   postedDate: Joi.date().default(Date.now),
   expiryDate: Joi.date(),
+  // Publish a draft automatically at this date
+  publishAt: Joi.date(),
   contactInfo: Joi.object({
     email: Joi.string().email().trim(),
     phone: Joi.string().trim(),
@@ -46,7 +68,7 @@ const jobUpdateSchema = Joi.object({
   salary: Joi.object({
     min: Joi.number().min(0),
     max: Joi.number().min(0),
-    currency: Joi.string().valid('USD', 'EUR', 'GBP', 'CAD', 'AUD'),
+    currency: salaryCurrency(),
     period: Joi.string().valid('hourly', 'daily', 'weekly', 'monthly', 'yearly')
   }),
   jobType: Joi.string().valid('full-time', 'part-time', 'contract', 'internship', 'freelance'),
@@ -58,9 +80,10 @@ const jobUpdateSchema = Joi.object({
   applicationUrl: Joi.string().uri().trim(),
   source: Joi.string().valid('linkedin', 'indeed', 'glassdoor', 'manual', 'api'),
   sourceId: Joi.string().trim(),
-  status: Joi.string().valid('active', 'expired', 'filled', 'draft'),
+  status: Joi.string().valid('active', 'expired', 'filled', 'draft', 'archived'),
   postedDate: Joi.date(),
   expiryDate: Joi.date(),
+  publishAt: Joi.date().allow(null),
   contactInfo: Joi.object({
     email: Joi.string().email().trim(),
     phone: Joi.string().trim(),
@@ -125,11 +148,12 @@ const validateJobUpdate = (req, res, next) => {
 
 // Search query validation
 const searchQuerySchema = Joi.object({
-  q: Joi.string().max(200).trim(),
+  q: Joi.string().max(200).trim().custom(validSearchQuery),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
-  sort: Joi.string().valid('relevance', 'postedDate', 'salary', 'company', 'location').default('relevance'),
-  filters: Joi.string().max(1000) // JSON string
+  sort: Joi.string().valid('relevance', 'postedDate', 'salary', 'company', 'location', 'distance').default('relevance'),
+  filters: Joi.string().max(1000), // JSON string
+  facets: Joi.string().max(200) // true or comma-separated facet names
 });
 
 const validateSearchQuery = (req, res, next) => {
@@ -158,8 +182,610 @@ const validateSearchQuery = (req, res, next) => {
   next();
 };
 
+// Build a validation middleware for the given schema and request property
+const createValidator = (schema, { source = 'body', label, errorMessage = 'Validation failed' }) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[source], {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn(`${label} validation failed:`, { errors: errorDetails });
+
+      return res.status(400).json({
+        success: false,
+        error: errorMessage,
+        details: errorDetails
+      });
+    }
+
+    // Replace the request property with validated data
+    req[source] = value;
+    next();
+  };
+};
+
+// Auth validation schemas
+const registerSchema = Joi.object({
+  name: Joi.string().required().min(2).max(100).trim(),
+  email: Joi.string().required().email().lowercase().trim(),
+  password: Joi.string().required().min(8).max(128)
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().required().email().lowercase().trim(),
+  password: Joi.string().required()
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const roleUpdateSchema = Joi.object({
+  role: Joi.string().required().valid('admin', 'recruiter', 'viewer')
+});
+
+// API client validation schema
+const apiClientSchema = Joi.object({
+  name: Joi.string().required().min(2).max(100).trim(),
+  description: Joi.string().max(500).trim(),
+  role: Joi.string().valid('admin', 'recruiter', 'viewer').default('recruiter')
+});
+
+// Application validation schemas
+const applicationSchema = Joi.object({
+  candidate: Joi.object({
+    name: Joi.string().required().min(2).max(100).trim(),
+    email: Joi.string().required().email().lowercase().trim(),
+    phone: Joi.string().max(30).trim()
+  }).required(),
+  resumeText: Joi.string().max(20000).trim(),
+  coverLetter: Joi.string().max(5000).trim()
+});
+
+const applicationStageSchema = Joi.object({
+  stage: Joi.string().required().valid('applied', 'screening', 'interview', 'offer', 'hired', 'rejected'),
+  note: Joi.string().max(1000).trim()
+});
+
+const applicationQuerySchema = Joi.object({
+  stage: Joi.string().valid('applied', 'screening', 'interview', 'offer', 'hired', 'rejected'),
+  q: Joi.string().max(100).trim(),
+  appliedAfter: Joi.date(),
+  appliedBefore: Joi.date(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sort: Joi.string().valid('createdAt', 'updatedAt', 'stage').default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc')
+});
+
+// Saved job validation schemas
+const savedJobStatuses = ['interested', 'applied', 'interviewing', 'offer', 'rejected'];
+
+const reminderSchema = Joi.object({
+  dueAt: Joi.date().required(),
+  note: Joi.string().max(500).trim()
+});
+
+const savedJobSchema = Joi.object({
+  jobId: Joi.string().required().hex().length(24),
+  status: Joi.string().valid(...savedJobStatuses).default('interested'),
+  note: Joi.string().max(5000).trim(),
+  reminder: reminderSchema
+});
+
+const savedJobUpdateSchema = Joi.object({
+  status: Joi.string().required().valid(...savedJobStatuses)
+});
+
+const savedJobNoteSchema = Joi.object({
+  text: Joi.string().required().min(1).max(5000).trim()
+});
+
+const reminderUpdateSchema = Joi.object({
+  dueAt: Joi.date(),
+  note: Joi.string().max(500).trim(),
+  done: Joi.boolean()
+}).min(1);
+
+const savedJobQuerySchema = Joi.object({
+  status: Joi.string().valid(...savedJobStatuses),
+  q: Joi.string().max(100).trim(),
+  reminderDue: Joi.boolean(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sort: Joi.string().valid('createdAt', 'updatedAt', 'status').default('updatedAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc')
+});
+
+// AI task validation schemas
+const aiExtractSchema = Joi.object({
+  apply: Joi.boolean().default(false)
+});
+
+const coverLetterSchema = Joi.object({
+  candidate: Joi.object({
+    name: Joi.string().required().min(2).max(100).trim(),
+    resumeText: Joi.string().max(20000).trim(),
+    tone: Joi.string().valid('professional', 'enthusiastic', 'concise').default('professional')
+  }).required()
+});
+
+// Saved search validation schemas
+const knownCountry = (value, helpers) => (
+  countryCode(value) ? value : helpers.message('Unknown country: {#value}', { value })
+);
+const knownPoint = (value, helpers) => {
+  try {
+    resolvePoint(value);
+    return value;
+  } catch (error) {
+    return helpers.message('{#reason}', { reason: error.message });
+  }
+};
+
+const searchFiltersSchema = Joi.object({
+  jobType: Joi.string().valid('full-time', 'part-time', 'contract', 'internship', 'freelance'),
+  remote: Joi.string().valid('on-site', 'remote', 'hybrid'),
+  experienceLevel: Joi.string().valid('entry', 'junior', 'mid', 'senior', 'lead', 'executive'),
+  industry: Joi.string().max(100).trim(),
+  location: Joi.string().max(100).trim(),
+  company: Joi.string().max(100).trim(),
+  country: Joi.string().max(100).trim().custom(knownCountry),
+  region: Joi.string().max(100).trim(),
+  // A place name, "lat,lng" or { lat, lng }, with a radius in kilometres
+  near: Joi.alternatives().try(
+    Joi.string().max(100).trim().custom(knownPoint),
+    Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    })
+  ),
+  radius: Joi.number().greater(0).max(MAX_RADIUS_KM),
+  minSalary: Joi.number().min(0),
+  maxSalary: Joi.number().min(0),
+  // Currency and period of minSalary and maxSalary; yearly base currency by default
+  salaryCurrency: salaryCurrency(),
+  salaryPeriod: Joi.string().valid(...SALARY_PERIODS),
+  skills: Joi.array().items(Joi.string().trim()).max(20),
+  // Also match the skills under the ones asked for (React for JavaScript)
+  expandSkills: Joi.boolean(),
+  postedAfter: Joi.date().iso(),
+  postedBefore: Joi.date().iso()
+});
+
+// Resume matching validation schema
+const matchSchema = Joi.object({
+  resume: Joi.alternatives().try(
+    Joi.string().min(10).max(50000),
+    Joi.object({
+      skills: Joi.array().items(Joi.string().trim()).max(200).default([]),
+      experienceYears: Joi.number().min(0).max(60),
+      experienceLevel: Joi.string().valid('entry', 'junior', 'mid', 'senior', 'lead', 'executive'),
+      experience: Joi.array().items(Joi.object({
+        title: Joi.string().max(200).trim(),
+        company: Joi.string().max(200).trim(),
+        description: Joi.string().max(5000).trim(),
+        years: Joi.number().min(0).max(60)
+      })).max(50),
+      location: Joi.string().max(100).trim(),
+      remote: Joi.string().valid('on-site', 'remote', 'hybrid'),
+      salary: Joi.object({
+        min: Joi.number().min(0).required(),
+        currency: salaryCurrency().default('USD'),
+        period: Joi.string().valid('hourly', 'daily', 'weekly', 'monthly', 'yearly').default('yearly')
+      })
+    })
+  ).required(),
+  filters: searchFiltersSchema.default({}),
+  minScore: Joi.number().min(0).max(100).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const notificationSchema = Joi.object({
+  channel: Joi.string().required().valid('email', 'webhook', 'log'),
+  target: Joi.alternatives().conditional('channel', {
+    switch: [
+      { is: 'email', then: Joi.string().email().lowercase().trim() },
+      { is: 'webhook', then: Joi.string().required().uri({ scheme: ['http', 'https'] }) }
+    ],
+    otherwise: Joi.string().max(200).trim()
+  })
+});
+
+const savedSearchFields = {
+  name: Joi.string().min(1).max(100).trim(),
+  query: Joi.string().allow('').max(200).trim().custom(validSearchQuery),
+  filters: searchFiltersSchema,
+  frequency: Joi.string().valid('hourly', 'daily', 'weekly'),
+  notifications: Joi.array().items(notificationSchema).min(1).max(5)
+};
+
+const savedSearchSchema = Joi.object({
+  ...savedSearchFields,
+  name: savedSearchFields.name.required()
+});
+
+const savedSearchUpdateSchema = Joi.object(savedSearchFields).min(1);
+
+const savedSearchRunSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+// Webhook validation schemas
+const webhookEvents = ['job.created', 'job.updated', 'job.status_changed', 'job.deleted', 'job.restored', 'job.expired', '*'];
+
+const webhookFields = {
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+  description: Joi.string().max(500).trim(),
+  events: Joi.array().items(Joi.string().valid(...webhookEvents)).min(1).unique(),
+  active: Joi.boolean()
+};
+
+const webhookSchema = Joi.object({
+  ...webhookFields,
+  url: webhookFields.url.required(),
+  events: webhookFields.events.default(['*'])
+});
+
+const webhookUpdateSchema = Joi.object(webhookFields).min(1);
+
+const webhookDeliveryQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'succeeded', 'failed'),
+  event: Joi.string().valid(...webhookEvents.filter(event => event !== '*')),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Job history validation schemas
+const jobHistoryQuerySchema = Joi.object({
+  action: Joi.string().valid('created', 'updated', 'status_changed', 'restored', 'trashed', 'untrashed', 'deleted'),
+  field: Joi.string().max(100).trim(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Bulk operation validation schemas
+const jobStatuses = ['active', 'expired', 'filled', 'draft', 'archived'];
+const bulkTags = Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).max(20).unique();
+
+const bulkOperationSchema = Joi.object({
+  // Select jobs by id...
+  ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(BULK_MAX_DOCUMENTS).unique(),
+  // ...or with the same query and filters as /api/search
+  search: Joi.object({
+    q: Joi.string().max(200).trim().custom(validSearchQuery),
+    filters: searchFiltersSchema,
+    // Statuses to match instead of active jobs only
+    status: Joi.array().items(Joi.string().valid(...jobStatuses)).min(1).unique()
+  }),
+  operation: Joi.object({
+    type: Joi.string().required().valid('setStatus', 'addTags', 'removeTags', 'extendExpiry', 'delete'),
+    status: Joi.when('type', {
+      is: 'setStatus',
+      then: Joi.string().required().valid(...jobStatuses),
+      otherwise: Joi.forbidden()
+    }),
+    tags: Joi.when('type', {
+      is: Joi.valid('addTags', 'removeTags'),
+      then: bulkTags.required(),
+      otherwise: Joi.forbidden()
+    }),
+    days: Joi.when('type', {
+      is: 'extendExpiry',
+      then: Joi.number().integer().min(1).max(365).required(),
+      otherwise: Joi.forbidden()
+    })
+  }).required(),
+  dryRun: Joi.boolean().default(false)
+}).xor('ids', 'search');
+
+// Analytics validation schemas; every report takes the same job filters
+const analyticsFilterFields = {
+  status: Joi.string().valid(...jobStatuses),
+  jobType: Joi.string().valid('full-time', 'part-time', 'contract', 'internship', 'freelance'),
+  remote: Joi.string().valid('on-site', 'remote', 'hybrid'),
+  experienceLevel: Joi.string().valid('entry', 'junior', 'mid', 'senior', 'lead', 'executive'),
+  industry: Joi.string().max(100).trim(),
+  company: Joi.string().max(100).trim(),
+  location: Joi.string().max(100).trim(),
+  country: Joi.string().max(100).trim().custom(knownCountry),
+  // Comma-separated; jobs with any of the skills match
+  skills: Joi.string().max(500).trim()
+};
+
+// An end date must not come before the start date
+const analyticsTo = Joi.date().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) });
+
+const salaryInsightsQuerySchema = Joi.object({
+  ...analyticsFilterFields,
+  groupBy: Joi.string().valid('title', 'skill', 'location', 'experienceLevel', 'industry').default('title'),
+  currency: salaryCurrency(),
+  period: Joi.string().valid(...SALARY_PERIODS),
+  from: Joi.date(),
+  to: analyticsTo,
+  // Groups with fewer salaries are left out
+  minSamples: Joi.number().integer().min(1).max(1000).default(5),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const postingVolumeQuerySchema = Joi.object({
+  ...analyticsFilterFields,
+  interval: Joi.string().valid('week', 'month').default('week'),
+  from: Joi.date(),
+  to: analyticsTo
+});
+
+const trendingSkillsQuerySchema = Joi.object({
+  ...analyticsFilterFields,
+  // Postings of the last days are compared with the days before
+  days: Joi.number().integer().min(1).max(365).default(30),
+  minCount: Joi.number().integer().min(1).max(1000).default(3),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const companyActivityQuerySchema = Joi.object({
+  ...analyticsFilterFields,
+  days: Joi.number().integer().min(1).max(365).default(90),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Search suggestion validation schema; queries under two characters get no
+// suggestions rather than an error
+const suggestionQuerySchema = Joi.object({
+  q: Joi.string().allow('').max(100).trim(),
+  type: Joi.string().valid('all', 'jobs', 'companies', 'locations', 'skills').default('all'),
+  limit: Joi.number().integer().min(1).max(20).default(10)
+});
+
+// Skill taxonomy validation schemas
+const skillAlias = Joi.alternatives().try(
+  Joi.string().trim().min(1).max(100),
+  Joi.object({
+    alias: Joi.string().trim().min(1).max(100).required(),
+    caseSensitive: Joi.boolean().default(false)
+  })
+);
+
+const skillFields = {
+  name: Joi.string().trim().min(1).max(100),
+  aliases: Joi.array().items(skillAlias).max(50),
+  category: Joi.string().trim().lowercase().max(50),
+  // Name of the broader skill, or null for a top-level skill
+  parent: Joi.string().trim().min(1).max(100).allow(null)
+};
+
+const skillSchema = Joi.object({
+  ...skillFields,
+  name: skillFields.name.required()
+});
+
+const skillUpdateSchema = Joi.object(skillFields).min(1);
+
+const skillQuerySchema = Joi.object({
+  q: Joi.string().max(100).trim(),
+  category: Joi.string().max(50).trim().lowercase()
+});
+
+// Company validation schemas
+const companySize = Joi.string().valid('1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5001-10000', '10000+');
+
+const companyFields = {
+  name: Joi.string().trim().min(2).max(100),
+  aliases: Joi.array().items(Joi.string().trim().min(2).max(100)).max(50),
+  // Optional details may be cleared with null
+  website: Joi.string().uri({ scheme: ['http', 'https'] }).trim().allow(null),
+  size: companySize.allow(null),
+  industry: Joi.string().max(100).trim().allow(null),
+  description: Joi.string().max(5000).trim().allow(null),
+  logoUrl: Joi.string().uri({ scheme: ['http', 'https'] }).trim().allow(null)
+};
+
+const companySchema = Joi.object({
+  ...companyFields,
+  name: companyFields.name.required()
+});
+
+const companyUpdateSchema = Joi.object(companyFields).min(1);
+
+const companyQuerySchema = Joi.object({
+  q: Joi.string().max(100).trim(),
+  industry: Joi.string().max(100).trim(),
+  size: companySize,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const companyJobsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Trash validation schemas
+const trashQuerySchema = Joi.object({
+  q: Joi.string().max(100).trim(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const trashPurgeQuerySchema = Joi.object({
+  // Only purge jobs trashed before this date
+  before: Joi.date()
+});
+
+// Duplicate detection validation schemas
+const duplicateQuerySchema = Joi.object({
+  crossSource: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const duplicateMergeSchema = Joi.object({
+  primaryId: Joi.string().required().hex().length(24),
+  duplicateIds: Joi.array()
+    .items(Joi.string().hex().length(24).invalid(Joi.ref('...primaryId')))
+    .min(1)
+    .max(50)
+    .unique()
+    .required()
+});
+
+const validateRegister = createValidator(registerSchema, { label: 'Registration' });
+const validateLogin = createValidator(loginSchema, { label: 'Login' });
+const validateRefreshToken = createValidator(refreshTokenSchema, { label: 'Refresh token' });
+const validateRoleUpdate = createValidator(roleUpdateSchema, { label: 'Role update' });
+const validateApiClient = createValidator(apiClientSchema, { label: 'API client' });
+const validateApplication = createValidator(applicationSchema, { label: 'Application' });
+const validateApplicationStage = createValidator(applicationStageSchema, { label: 'Application stage' });
+const validateApplicationQuery = createValidator(applicationQuerySchema, {
+  source: 'query',
+  label: 'Application query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateSavedJob = createValidator(savedJobSchema, { label: 'Saved job' });
+const validateSavedJobUpdate = createValidator(savedJobUpdateSchema, { label: 'Saved job update' });
+const validateSavedJobNote = createValidator(savedJobNoteSchema, { label: 'Saved job note' });
+const validateReminder = createValidator(reminderSchema, { label: 'Reminder' });
+const validateReminderUpdate = createValidator(reminderUpdateSchema, { label: 'Reminder update' });
+const validateSavedJobQuery = createValidator(savedJobQuerySchema, {
+  source: 'query',
+  label: 'Saved job query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateMatch = createValidator(matchSchema, { label: 'Match request' });
+const validateAiExtract = createValidator(aiExtractSchema, { label: 'AI extract' });
+const validateCoverLetter = createValidator(coverLetterSchema, { label: 'Cover letter' });
+const validateSavedSearch = createValidator(savedSearchSchema, { label: 'Saved search' });
+const validateSavedSearchUpdate = createValidator(savedSearchUpdateSchema, { label: 'Saved search update' });
+const validateSavedSearchRun = createValidator(savedSearchRunSchema, {
+  source: 'query',
+  label: 'Saved search run',
+  errorMessage: 'Invalid query parameters'
+});
+const validateWebhook = createValidator(webhookSchema, { label: 'Webhook' });
+const validateWebhookUpdate = createValidator(webhookUpdateSchema, { label: 'Webhook update' });
+const validateJobHistoryQuery = createValidator(jobHistoryQuerySchema, {
+  source: 'query',
+  label: 'Job history query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateWebhookDeliveryQuery = createValidator(webhookDeliveryQuerySchema, {
+  source: 'query',
+  label: 'Webhook delivery query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateDuplicateQuery = createValidator(duplicateQuerySchema, {
+  source: 'query',
+  label: 'Duplicate query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateDuplicateMerge = createValidator(duplicateMergeSchema, { label: 'Duplicate merge' });
+const validateBulkOperation = createValidator(bulkOperationSchema, { label: 'Bulk operation' });
+const validateTrashQuery = createValidator(trashQuerySchema, {
+  source: 'query',
+  label: 'Trash query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateTrashPurgeQuery = createValidator(trashPurgeQuerySchema, {
+  source: 'query',
+  label: 'Trash purge query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateSalaryInsightsQuery = createValidator(salaryInsightsQuerySchema, {
+  source: 'query',
+  label: 'Salary insights query',
+  errorMessage: 'Invalid query parameters'
+});
+const validatePostingVolumeQuery = createValidator(postingVolumeQuerySchema, {
+  source: 'query',
+  label: 'Posting volume query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateTrendingSkillsQuery = createValidator(trendingSkillsQuerySchema, {
+  source: 'query',
+  label: 'Trending skills query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateCompanyActivityQuery = createValidator(companyActivityQuerySchema, {
+  source: 'query',
+  label: 'Company activity query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateSkill = createValidator(skillSchema, { label: 'Skill' });
+const validateSkillUpdate = createValidator(skillUpdateSchema, { label: 'Skill update' });
+const validateSkillQuery = createValidator(skillQuerySchema, {
+  source: 'query',
+  label: 'Skill query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateCompany = createValidator(companySchema, { label: 'Company' });
+const validateCompanyUpdate = createValidator(companyUpdateSchema, { label: 'Company update' });
+const validateCompanyQuery = createValidator(companyQuerySchema, {
+  source: 'query',
+  label: 'Company query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateCompanyJobsQuery = createValidator(companyJobsQuerySchema, {
+  source: 'query',
+  label: 'Company jobs query',
+  errorMessage: 'Invalid query parameters'
+});
+const validateSuggestionQuery = createValidator(suggestionQuerySchema, {
+  source: 'query',
+  label: 'Suggestion query',
+  errorMessage: 'Invalid query parameters'
+});
+
 module.exports = {
+  jobSchema,
   validateJob,
   validateJobUpdate,
-  validateSearchQuery
+  validateSearchQuery,
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validateRoleUpdate,
+  validateApiClient,
+  validateApplication,
+  validateApplicationStage,
+  validateApplicationQuery,
+  validateSavedJob,
+  validateSavedJobUpdate,
+  validateSavedJobNote,
+  validateReminder,
+  validateReminderUpdate,
+  validateSavedJobQuery,
+  validateMatch,
+  validateAiExtract,
+  validateCoverLetter,
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateSavedSearchRun,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookDeliveryQuery,
+  validateJobHistoryQuery,
+  validateDuplicateQuery,
+  validateDuplicateMerge,
+  validateTrashQuery,
+  validateTrashPurgeQuery,
+  validateBulkOperation,
+  validateSalaryInsightsQuery,
+  validatePostingVolumeQuery,
+  validateTrendingSkillsQuery,
+  validateCompanyActivityQuery,
+  validateSuggestionQuery,
+  validateSkill,
+  validateSkillUpdate,
+  validateSkillQuery,
+  validateCompany,
+  validateCompanyUpdate,
+  validateCompanyQuery,
+  validateCompanyJobsQuery
 };
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { getAiConfig } = require('../config/ai');
+
+// Cached output of an AI task for one revision of a job
+const aiResultSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  task: {
+    type: String,
+    enum: ['summarize', 'extract', 'coverLetter'],
+    required: true
+  },
+  // Hash of the job content the result was computed from
+  revision: {
+    type: String,
+    required: true
+  },
+  // Hash of any extra task input (e.g. the candidate for cover letters)
+  inputHash: {
+    type: String,
+    default: ''
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+aiResultSchema.index(
+  { job: 1, task: 1, revision: 1, inputHash: 1, provider: 1, model: 1 },
+  { unique: true }
+);
+aiResultSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: getAiConfig().cacheTtlDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('AiResult', aiResultSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'jak_';
+
+const apiClientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'recruiter', 'viewer'],
+    default: 'recruiter'
+  },
+  // First characters of the key, kept in clear text so keys can be told apart
+  keyPrefix: {
+    type: String,
+    required: true,
+    index: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Static method to generate a new random key; only the hash is ever stored
+apiClientSchema.statics.generateKey = function() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    key,
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key)
+  };
+};
+
+// Static method to find the active client owning a raw key
+apiClientSchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashKey(key), active: true });
+};
+
+module.exports = mongoose.model('ApiClient', apiClientSchema);
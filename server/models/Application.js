@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const STAGES = ['applied', 'screening', 'interview', 'offer', 'hired', 'rejected'];
+const TERMINAL_STAGES = ['hired', 'rejected'];
+
+const stageChangeSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: STAGES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'history.changedByModel'
+  },
+  changedByModel: {
+    type: String,
+    enum: ['User', 'ApiClient']
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const applicationSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+    index: true
+  },
+  candidate: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  // Account of the applicant, when they applied while logged in
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resumeText: {
+    type: String,
+    trim: true
+  },
+  coverLetter: {
+    type: String,
+    trim: true
+  },
+  stage: {
+    type: String,
+    enum: STAGES,
+    default: 'applied',
+    index: true
+  },
+  history: {
+    type: [stageChangeSchema],
+    default: () => [{ stage: 'applied' }]
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One application per candidate email and job
+applicationSchema.index({ job: 1, 'candidate.email': 1 }, { unique: true });
+applicationSchema.index({ job: 1, stage: 1, createdAt: -1 });
+
+// Instance method to check whether the application may move to a stage:
+// stages only move forward, rejection is possible from any open stage, and
+// hired/rejected applications are closed
+applicationSchema.methods.canMoveTo = function(stage) {
+  if (TERMINAL_STAGES.includes(this.stage)) return false;
+  if (stage === 'rejected') return true;
+  return STAGES.indexOf(stage) > STAGES.indexOf(this.stage);
+};
+
+// Instance method to move the application to a new stage and record it
+applicationSchema.methods.moveTo = function(stage, actor, note) {
+  this.stage = stage;
+  this.history.push({
+    stage,
+    changedAt: new Date(),
+    changedBy: actor ? actor.id : undefined,
+    changedByModel: actor ? actor.kind : undefined,
+    note
+  });
+};
+
+// Static method to recompute the denormalized application counter on a job
+applicationSchema.statics.syncJobCount = async function(jobId) {
+  const count = await this.countDocuments({ job: jobId });
+  await mongoose.model('Job').updateOne({ _id: jobId }, { applications: count }, { timestamps: false });
+  return count;
+};
+
+applicationSchema.statics.STAGES = STAGES;
+
+module.exports = mongoose.model('Application', applicationSchema);
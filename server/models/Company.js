@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { normalizeCompanyName } = require('../utils/text');
+
+const companySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Other names postings use for the company, such as former names or
+  // abbreviations
+  aliases: {
+    type: [String],
+    default: []
+  },
+  // Normalized name and aliases, unique across companies; jobs link to the
+  // company whose keys contain their normalized company name
+  keys: {
+    type: [String],
+    unique: true
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  size: {
+    type: String,
+    enum: ['1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5001-10000', '10000+']
+  },
+  industry: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  logoUrl: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+companySchema.index({ name: 1 });
+
+// Pre-validate middleware to keep the keys in line with the name and aliases
+companySchema.pre('validate', function(next) {
+  this.keys = [...new Set([this.name, ...this.aliases].map(normalizeCompanyName).filter(Boolean))];
+  next();
+});
+
+// Static method to find the company a job's company name belongs to
+companySchema.statics.findByName = function(name) {
+  const key = normalizeCompanyName(name);
+  return key ? this.findOne({ keys: key }) : Promise.resolve(null);
+};
+
+module.exports = mongoose.model('Company', companySchema);
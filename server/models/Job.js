@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { normalizeText, normalizeCompanyName, normalizeTitle } = require('../utils/text');
+const { lookupLocation } = require('../utils/geo');
+const { normalizeSalary } = require('../utils/salary');
+const { normalizeSkills } = require('../utils/skills');
+const Company = require('./Company');
+const JobRevision = require('./JobRevision');
+const { emitJobEvent } = require('../utils/events');
+const logger = require('../utils/logger');
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -13,12 +21,28 @@ const jobSchema = new mongoose.Schema({
     trim: true,
     index: true
   },
+  // Company profile the company name belongs to, by name or alias
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    index: true
+  },
   location: {
     type: String,
     required: true,
     trim: true,
     index: true
   },
+  // Structured location resolved from location by the gazetteer
+  place: {
+    city: String,
+    region: String,
+    country: String,
+    point: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    }
+  },
   description: {
     type: String,
     required: true,
@@ -51,6 +75,13 @@ const jobSchema = new mongoose.Schema({
       default: 'yearly'
     }
   },
+  // Yearly salary range in the base currency of the exchange rate table,
+  // kept in step with salary for filtering, sorting and statistics
+  normalizedSalary: {
+    min: Number,
+    max: Number,
+    currency: String
+  },
   jobType: {
     type: String,
     enum: ['full-time', 'part-time', 'contract', 'internship', 'freelance'],
@@ -99,10 +130,18 @@ const jobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'expired', 'filled', 'draft'],
+    enum: ['active', 'expired', 'filled', 'draft', 'archived'],
     default: 'active',
     index: true
   },
+  // When the status last changed; retention periods are counted from here
+  statusChangedAt: {
+    type: Date
+  },
+  // Draft jobs are published automatically at this date
+  publishAt: {
+    type: Date
+  },
   postedDate: {
     type: Date,
     default: Date.now,
@@ -129,6 +168,53 @@ const jobSchema = new mongoose.Schema({
   applications: {
     type: Number,
     default: 0
+  },
+  // Recruiter account or API client that created the posting
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'ownerModel',
+    index: true
+  },
+  ownerModel: {
+    type: String,
+    enum: ['User', 'ApiClient']
+  },
+  // Fields filled in by the metadata extractor rather than the poster
+  inferredFields: {
+    type: [String],
+    enum: ['skills', 'experienceLevel', 'remote', 'salary', 'requirements'],
+    default: []
+  },
+  // Normalized title + company + location, shared by likely duplicates
+  dedupeKey: {
+    type: String,
+    index: true
+  },
+  // Autocomplete suggestions this job is counted in (see services/suggestions)
+  suggestionKeys: {
+    type: [String],
+    default: undefined
+  },
+  // Source postings that were merged into this job as duplicates
+  mergedSources: [{
+    _id: false,
+    source: String,
+    sourceId: String,
+    jobId: mongoose.Schema.Types.ObjectId,
+    mergedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set while the job is in the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    kind: String,
+    name: String
   }
 }, {
   timestamps: true,
@@ -139,8 +225,23 @@ const jobSchema = new mongoose.Schema({
 // Indexes for better search performance
 jobSchema.index({ title: 'text', description: 'text', company: 'text', skills: 'text' });
 jobSchema.index({ location: 1, jobType: 1, remote: 1 });
+jobSchema.index({ 'place.point': '2dsphere' });
+jobSchema.index({ 'place.country': 1, 'place.region': 1 });
 jobSchema.index({ postedDate: -1 });
 jobSchema.index({ salary: 1 });
+jobSchema.index({ 'normalizedSalary.max': -1 });
+jobSchema.index({ 'normalizedSalary.min': 1 });
+jobSchema.index({ owner: 1, ownerModel: 1, postedDate: -1 });
+// A posting from a given source may only exist once
+jobSchema.index(
+  { source: 1, sourceId: 1 },
+  { unique: true, partialFilterExpression: { sourceId: { $type: 'string' } } }
+);
+jobSchema.index({ 'mergedSources.source': 1, 'mergedSources.sourceId': 1 });
+jobSchema.index({ status: 1, expiryDate: 1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, statusChangedAt: 1 });
+jobSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
 
 // Virtual for salary range display
 jobSchema.virtual('salaryRange').get(function() {
@@ -174,6 +275,223 @@ jobSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to record when the status changed
+jobSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('status')) {
+    this.statusChangedAt = new Date();
+  }
+  next();
+});
+
+// Pre-save middleware to link the job to its company profile and store the
+// company under the profile's name
+jobSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('company')) return;
+
+  const profile = await Company.findByName(this.company);
+  this.companyId = profile ? profile._id : undefined;
+  if (profile) this.company = profile.name;
+});
+
+// Pre-save middleware to keep the duplicate detection key current
+jobSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('company') || this.isModified('location')) {
+    this.dedupeKey = this.constructor.dedupeKeyOf(this);
+  }
+  next();
+});
+
+// Pre-save middleware to resolve the structured place of the location
+jobSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('location')) {
+    this.place = lookupLocation(this.location) || undefined;
+  }
+  next();
+});
+
+// Pre-save middleware to store skills under their canonical taxonomy names
+jobSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('skills')) {
+    this.skills = normalizeSkills(this.skills);
+  }
+  next();
+});
+
+// Pre-save middleware to keep the normalized salary current
+jobSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('salary')) {
+    this.normalizedSalary = normalizeSalary(this.salary) || undefined;
+  }
+  next();
+});
+
+// Fields whose changes are bookkeeping rather than edits to the posting
+const UNTRACKED_FIELDS = [
+  'updatedAt', 'statusChangedAt', 'dedupeKey', 'place', 'normalizedSalary', 'inferredFields', 'views',
+  'applications', 'mergedSources', 'deletedAt', 'deletedBy', 'suggestionKeys', 'companyId'
+];
+
+// Queries that leave trashed jobs out, unless their filter names deletedAt or
+// they set the withDeleted option
+const TRASH_HIDDEN_QUERIES = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany'
+];
+
+jobSchema.pre(TRASH_HIDDEN_QUERIES, function() {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+// Aggregate middleware to leave trashed jobs out unless a $match names
+// deletedAt or the withDeleted option is set. $geoNear and $text matches
+// must stay the first stage.
+jobSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) {
+    // Not an option MongoDB knows
+    delete this.options.withDeleted;
+    return;
+  }
+
+  const pipeline = this.pipeline();
+  if (pipeline.some(stage => stage.$match && 'deletedAt' in stage.$match)) return;
+
+  const first = pipeline[0];
+  const position = first && (first.$geoNear || (first.$match && first.$match.$text)) ? 1 : 0;
+  pipeline.splice(position, 0, { $match: { deletedAt: null } });
+});
+
+// Remember the stored status so status changes can be reported
+jobSchema.post('init', function(job) {
+  job.$locals.storedStatus = job.status;
+});
+
+// Pre-save middleware to remember what changed for the lifecycle events.
+// Callers may set job.$locals.actor to name who made the change.
+jobSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.changedFields = this.isNew
+    ? []
+    : this.modifiedPaths().filter(path => !path.includes('.') && !UNTRACKED_FIELDS.includes(path));
+  this.$locals.trashChange = !this.isNew && this.isModified('deletedAt')
+    ? (this.deletedAt ? 'trashed' : 'untrashed')
+    : null;
+  next();
+});
+
+// Pre-save middleware to load the stored job so its history can show the
+// previous values
+jobSchema.pre('save', async function() {
+  this.$locals.before = !this.isNew && this.$locals.changedFields.length
+    ? await this.constructor.findById(this._id).setOptions({ withDeleted: true }).lean()
+    : null;
+});
+
+// Post-save middleware to emit job.created, job.updated, job.status_changed,
+// job.expired, and job.deleted and job.restored for moves to and from the trash
+jobSchema.post('save', function(job) {
+  const { wasNew, changedFields = [], storedStatus, trashChange, actor } = job.$locals;
+  job.$locals.storedStatus = job.status;
+
+  if (wasNew) {
+    emitJobEvent('job.created', job, { actor });
+    return;
+  }
+
+  if (trashChange === 'trashed') {
+    emitJobEvent('job.deleted', job, { actor, data: { permanent: false } });
+  } else if (trashChange === 'untrashed') {
+    emitJobEvent('job.restored', job, { actor });
+  }
+
+  const contentChanges = changedFields.filter(field => field !== 'status');
+  if (contentChanges.length) {
+    emitJobEvent('job.updated', job, { actor, data: { changes: contentChanges } });
+  }
+
+  if (changedFields.includes('status') && storedStatus !== job.status) {
+    emitJobEvent('job.status_changed', job, { actor, data: { from: storedStatus, to: job.status } });
+    if (job.status === 'expired') {
+      emitJobEvent('job.expired', job, { actor });
+    }
+  }
+});
+
+// Post-save middleware to record the change in the job's history. Callers
+// restoring a revision set job.$locals.restoredFrom to its number.
+jobSchema.post('save', async function(job) {
+  const { wasNew, changedFields = [], before, trashChange, actor, restoredFrom } = job.$locals;
+  job.$locals.before = null;
+  job.$locals.restoredFrom = undefined;
+
+  let action = 'updated';
+  if (wasNew) {
+    action = 'created';
+  } else if (trashChange) {
+    action = trashChange;
+  } else if (restoredFrom) {
+    action = 'restored';
+  } else if (changedFields.length === 1 && changedFields[0] === 'status') {
+    action = 'status_changed';
+  }
+
+  try {
+    await JobRevision.record(job, { action, before, actor, restoredFrom });
+  } catch (error) {
+    logger.error(`Failed to record history of job ${job._id}:`, error);
+  }
+});
+
+// Post-delete middleware to emit job.deleted and record the deletion
+jobSchema.post('deleteOne', { document: true, query: false }, async function(job) {
+  emitJobEvent('job.deleted', job, { actor: job.$locals.actor, data: { permanent: true } });
+
+  try {
+    await JobRevision.record(job, { action: 'deleted', actor: job.$locals.actor });
+  } catch (error) {
+    logger.error(`Failed to record deletion of job ${job._id}:`, error);
+  }
+});
+
+// Method to move the job to the trash, where it is hidden from every query
+jobSchema.methods.moveToTrash = function(actor) {
+  this.deletedAt = new Date();
+  this.deletedBy = actor ? { id: actor.id, kind: actor.kind, name: actor.name } : undefined;
+  this.$locals.actor = actor;
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Method to take the job out of the trash without saving, e.g. together
+// with other changes
+jobSchema.methods.takeOutOfTrash = function() {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+};
+
+// Method to take the job out of the trash
+jobSchema.methods.restoreFromTrash = function(actor) {
+  this.takeOutOfTrash();
+  this.$locals.actor = actor;
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Static method to build the key likely duplicates share
+jobSchema.statics.dedupeKeyOf = function({ title, company, location }) {
+  return [normalizeTitle(title), normalizeCompanyName(company), normalizeText(location)].join('|');
+};
+
+// Static method to find the job for a source posting, including postings
+// that were merged into another job. Trashed jobs are included: the unique
+// source index still covers them.
+jobSchema.statics.findBySource = function(source, sourceId) {
+  return this.findOne({
+    $or: [
+      { source, sourceId },
+      { mergedSources: { $elemMatch: { source, sourceId } } }
+    ]
+  }).setOptions({ withDeleted: true });
+};
+
 // Static method to find active jobs
 jobSchema.statics.findActive = function() {
   return this.find({
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { isDeepStrictEqual } = require('util');
+
+// Fields kept out of snapshots: identity, timestamps and bookkeeping that
+// changes without anyone editing the posting
+const SNAPSHOT_EXCLUDED_FIELDS = [
+  '_id', '__v', 'id', 'createdAt', 'updatedAt', 'statusChangedAt', 'dedupeKey', 'place',
+  'normalizedSalary', 'inferredFields', 'views', 'applications', 'mergedSources', 'deletedAt', 'deletedBy',
+  'suggestionKeys', 'companyId'
+];
+
+const ACTIONS = ['created', 'updated', 'status_changed', 'restored', 'trashed', 'untrashed', 'deleted'];
+
+// Actions recorded even when no field changed
+const EVENT_ACTIONS = ['created', 'trashed', 'untrashed', 'deleted'];
+
+// One recorded change to a job: who made it, when, what changed and the job
+// content right after the change
+const jobRevisionSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  // 1 for the first recorded change of a job, then counting up
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    kind: {
+      type: String
+    },
+    name: {
+      type: String
+    }
+  },
+  // Field-level diff; nested objects such as salary are compared per key
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  }],
+  // Job content after the change
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Revision whose content was restored
+  restoredFrom: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+jobRevisionSchema.index({ job: 1, revision: -1 }, { unique: true });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten nested objects into dotted keys so the diff names the changed key
+const flatten = (object, prefix = '') => Object.entries(object).reduce((flat, [key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  return isPlainObject(value) && Object.keys(value).length
+    ? { ...flat, ...flatten(value, path) }
+    : { ...flat, [path]: value };
+}, {});
+
+// Static method to take a plain JSON snapshot of the editable job content
+jobRevisionSchema.statics.snapshotOf = function(job) {
+  const object = typeof job.toObject === 'function'
+    ? job.toObject({ depopulate: true, virtuals: false })
+    : job;
+
+  const snapshot = JSON.parse(JSON.stringify(object));
+  SNAPSHOT_EXCLUDED_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+};
+
+// Static method to list the fields that differ between two snapshots
+jobRevisionSchema.statics.diff = function(before, after) {
+  const from = flatten(before || {});
+  const to = flatten(after || {});
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+  return fields
+    .filter(field => !isDeepStrictEqual(from[field], to[field]))
+    .map(field => ({ field, from: from[field], to: to[field] }));
+};
+
+// Static method to record a revision of a job. before is the stored job
+// before the change (null for new jobs). Edits that change no field are not
+// recorded.
+jobRevisionSchema.statics.record = async function(job, { action, before = null, actor, restoredFrom } = {}) {
+  const snapshot = this.snapshotOf(job);
+  const changes = before ? this.diff(this.snapshotOf(before), snapshot) : [];
+
+  if (!changes.length && !EVENT_ACTIONS.includes(action)) {
+    return null;
+  }
+
+  // Concurrent changes to the same job race for the next number; the unique
+  // index makes the loser retry with the following one
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const latest = await this.findOne({ job: job._id }).sort({ revision: -1 }).select('revision').lean();
+
+    try {
+      return await this.create({
+        job: job._id,
+        revision: latest ? latest.revision + 1 : 1,
+        action,
+        actor: actor ? { id: actor.id, kind: actor.kind, name: actor.name } : undefined,
+        changes,
+        snapshot,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error(`Could not record a revision of job ${job._id}`);
+};
+
+jobRevisionSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('JobRevision', jobRevisionSchema);
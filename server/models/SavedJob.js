@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['interested', 'applied', 'interviewing', 'offer', 'rejected'];
+
+const noteSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { timestamps: true });
+
+const reminderSchema = new mongoose.Schema({
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  doneAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+const savedJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  // Copy of the posting taken when it was saved, so the entry stays readable
+  // after the job expires or is deleted
+  snapshot: {
+    title: String,
+    company: String,
+    location: String,
+    jobType: String,
+    remote: String,
+    experienceLevel: String,
+    salaryRange: String,
+    applicationUrl: String,
+    postedDate: Date,
+    expiryDate: Date
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'interested',
+    index: true
+  },
+  notes: {
+    type: [noteSchema],
+    default: []
+  },
+  reminders: {
+    type: [reminderSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+savedJobSchema.index({ user: 1, job: 1 }, { unique: true });
+savedJobSchema.index({ user: 1, 'reminders.dueAt': 1 });
+
+// Virtual for the earliest reminder that is still open
+savedJobSchema.virtual('nextReminder').get(function() {
+  if (!this.reminders) return null;
+  const open = this.reminders
+    .filter(reminder => !reminder.done)
+    .sort((a, b) => a.dueAt - b.dueAt);
+  return open[0] || null;
+});
+
+// Static method to build the snapshot stored for a job
+savedJobSchema.statics.snapshotOf = function(job) {
+  return {
+    title: job.title,
+    company: job.company,
+    location: job.location,
+    jobType: job.jobType,
+    remote: job.remote,
+    experienceLevel: job.experienceLevel,
+    salaryRange: job.salaryRange,
+    applicationUrl: job.applicationUrl,
+    postedDate: job.postedDate,
+    expiryDate: job.expiryDate
+  };
+};
+
+savedJobSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('SavedJob', savedJobSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['hourly', 'daily', 'weekly'];
+const CHANNELS = ['email', 'webhook', 'log'];
+
+const FREQUENCY_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const notificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true
+  },
+  // Email address or webhook URL; email defaults to the user's address
+  target: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Same meaning as the q and filters parameters of /api/search
+  query: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'daily'
+  },
+  notifications: {
+    type: [notificationSchema],
+    default: () => [{ channel: 'email' }]
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  // Jobs posted or updated after this date count as new on the next run
+  lastRunAt: {
+    type: Date
+  },
+  nextRunAt: {
+    type: Date,
+    index: true
+  },
+  lastMatchCount: {
+    type: Number,
+    default: 0
+  },
+  lastNotifiedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ paused: 1, nextRunAt: 1 });
+
+// Pre-save middleware to schedule the first run and reschedule after
+// the frequency changes
+savedSearchSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('frequency')) {
+    this.nextRunAt = this.nextRunAfter(this.lastRunAt || new Date());
+  }
+  next();
+});
+
+// Instance method to compute the run following a given date
+savedSearchSchema.methods.nextRunAfter = function(date) {
+  return new Date(date.getTime() + FREQUENCY_MS[this.frequency]);
+};
+
+// Static method to find searches whose next run is due
+savedSearchSchema.statics.findDue = function(now = new Date(), limit = 100) {
+  return this.find({ paused: false, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(limit);
+};
+
+savedSearchSchema.statics.FREQUENCIES = FREQUENCIES;
+savedSearchSchema.statics.CHANNELS = CHANNELS;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
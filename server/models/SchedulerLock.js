@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled task. The lock makes sure only one server
+// instance runs a task at a time and keeps the outcome of the last run.
+const schedulerLockSchema = new mongoose.Schema({
+  // Task name
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastStartedAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastOwner: {
+    type: String
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Static method to take the lock for a task until now + ttlMs. Returns false
+// while another owner holds an unexpired lock.
+schedulerLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ lockedUntil: { $lte: now } }, { lockedUntil: null }, { owner }]
+      },
+      { owner, lockedUntil: new Date(now.getTime() + ttlMs), lastStartedAt: now },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // The upsert collides with the existing document when the lock is held
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to release a lock and record the outcome of the run
+schedulerLockSchema.statics.release = function(name, owner, { result, error } = {}) {
+  return this.updateOne(
+    { _id: name, owner },
+    {
+      owner: null,
+      lockedUntil: null,
+      lastFinishedAt: new Date(),
+      lastOwner: owner,
+      lastResult: result,
+      lastError: error || null
+    }
+  );
+};
+
+module.exports = mongoose.model('SchedulerLock', schedulerLockSchema);
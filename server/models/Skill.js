@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A skill in the managed taxonomy. Job skills are stored under the
+// canonical name; aliases are the other spellings that map to it.
+const skillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Lower-case name, unique across the taxonomy
+  key: {
+    type: String,
+    unique: true
+  },
+  // Other spellings found in postings. Case-sensitive aliases only match
+  // as written, for names that are also common words ("Go", "Swift").
+  aliases: [{
+    _id: false,
+    alias: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    caseSensitive: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'other'
+  },
+  // Broader skill this one belongs to, e.g. JavaScript for React
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+skillSchema.index({ category: 1, name: 1 });
+
+// Pre-validate middleware to keep the key in line with the name
+skillSchema.pre('validate', function(next) {
+  if (this.name) this.key = this.name.toLowerCase();
+  next();
+});
+
+module.exports = mongoose.model('Skill', skillSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One autocomplete entry: a job title, company, location or skill with the
+// number of active jobs using it. Entries are kept by services/suggestions.
+const suggestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['job', 'company', 'location', 'skill'],
+    required: true
+  },
+  // Normalized value the entry is matched and counted by
+  key: {
+    type: String,
+    required: true
+  },
+  // Value as first posted, shown to users
+  value: {
+    type: String,
+    required: true
+  },
+  // Active jobs with this value
+  weight: {
+    type: Number,
+    default: 0
+  },
+  // Prefixes of the key from each word on, for prefix lookups
+  prefixes: {
+    type: [String],
+    default: []
+  },
+  // Trigrams of the key's words, for finding misspelled matches
+  grams: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+suggestionSchema.index({ type: 1, key: 1 }, { unique: true });
+suggestionSchema.index({ prefixes: 1, weight: -1 });
+suggestionSchema.index({ grams: 1 });
+
+module.exports = mongoose.model('Suggestion', suggestionSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const ROLES = ['admin', 'recruiter', 'viewer'];
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer',
+    index: true
+  },
+  // Bumped to invalidate every refresh token issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.tokenVersion;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Pre-save middleware to hash the password when it changes
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to compare a candidate password with the stored hash
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to check whether the user holds one of the given roles
+userSchema.methods.hasRole = function(...roles) {
+  return roles.includes(this.role);
+};
+
+userSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'succeeded', 'failed'];
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: Number,
+  responseBody: String,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+  // Shared by every delivery of the same event, including redeliveries
+  eventId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  // Lease taken by the process currently sending the delivery
+  lockedUntil: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+// Virtual for the outcome of the most recent attempt
+webhookDeliverySchema.virtual('lastAttempt').get(function() {
+  return this.attempts && this.attempts.length ? this.attempts[this.attempts.length - 1] : null;
+});
+
+webhookDeliverySchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { JOB_EVENTS } = require('../utils/events');
+
+const SECRET_PREFIX = 'whsec_';
+
+// Events a subscription can ask for; '*' means all of them
+const EVENTS = [...JOB_EVENTS, '*'];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  events: {
+    type: [String],
+    enum: EVENTS,
+    default: ['*']
+  },
+  // Key for the HMAC signature of every delivery; shown once on creation
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'createdByModel'
+  },
+  createdByModel: {
+    type: String,
+    enum: ['User', 'ApiClient']
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastResponseStatus: {
+    type: Number
+  },
+  // Failed attempts in a row; reset by any successful delivery
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.secret;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Instance method to check whether the subscription wants an event
+webhookSubscriptionSchema.methods.wants = function(event) {
+  return this.active && (this.events.includes('*') || this.events.includes(event));
+};
+
+// Static method to generate a new signing secret
+webhookSubscriptionSchema.statics.generateSecret = function() {
+  return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Static method to find the active subscriptions for an event
+webhookSubscriptionSchema.statics.findForEvent = function(event) {
+  return this.find({ active: true, events: { $in: [event, '*'] } }).select('+secret');
+};
+
+webhookSubscriptionSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
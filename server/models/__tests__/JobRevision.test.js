@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Job = require('../Job');
+const Company = require('../Company');
+const JobRevision = require('../JobRevision');
+
+const admin = { id: new mongoose.Types.ObjectId(), kind: 'User', role: 'admin', name: 'admin@example.com' };
+
+const posting = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Backend Engineer',
+  company: 'Acme',
+  location: 'Berlin',
+  description: 'Build APIs with Node.js and MongoDB.',
+  jobType: 'full-time',
+  source: 'linkedin',
+  status: 'active',
+  skills: ['Node.js'],
+  salary: { min: 70000, max: 90000, currency: 'EUR', period: 'yearly' },
+  views: 3,
+  postedDate: new Date('2026-01-01'),
+  expiryDate: new Date('2026-01-31'),
+  ...fields
+});
+
+// Keep revisions in memory; returns the revisions created
+const mockRevisions = (latest = null) => {
+  const created = [];
+  jest.spyOn(JobRevision, 'findOne').mockImplementation(() => {
+    const chain = {
+      sort: () => chain,
+      select: () => chain,
+      lean: async () => (created.length ? created[created.length - 1] : latest)
+    };
+    return chain;
+  });
+  jest.spyOn(JobRevision, 'create').mockImplementation(async (fields) => {
+    created.push(fields);
+    return fields;
+  });
+  return created;
+};
+
+// A job loaded from the database, saved without one: the save hooks run and
+// the write itself succeeds
+const storedJob = (fields = {}) => {
+  const job = Job.hydrate(posting(fields));
+  const stored = job.toObject({ virtuals: false });
+
+  jest.spyOn(Company, 'findByName').mockResolvedValue(null);
+  jest.spyOn(Job, 'findById').mockReturnValue({ setOptions: () => ({ lean: async () => stored }) });
+  jest.spyOn(job, '$__handleSave').mockImplementation((options, callback) => callback(null, { matchedCount: 1 }));
+  return job;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('JobRevision.diff', () => {
+  test('lists changed, added and removed fields in order, nested keys by path', () => {
+    const before = { title: 'Engineer', salary: { min: 70000, max: 90000 }, skills: ['Node.js'], industry: 'Software' };
+    const after = { title: 'Engineer', salary: { min: 75000, max: 90000 }, skills: ['Node.js', 'Docker'], remote: 'remote' };
+
+    expect(JobRevision.diff(before, after)).toEqual([
+      { field: 'industry', from: 'Software', to: undefined },
+      { field: 'remote', from: undefined, to: 'remote' },
+      { field: 'salary.min', from: 70000, to: 75000 },
+      { field: 'skills', from: ['Node.js'], to: ['Node.js', 'Docker'] }
+    ]);
+  });
+
+  test('equal content has no changes', () => {
+    const content = { title: 'Engineer', salary: { min: 70000 }, skills: ['Node.js'] };
+    expect(JobRevision.diff(content, JSON.parse(JSON.stringify(content)))).toEqual([]);
+  });
+});
+
+describe('JobRevision.snapshotOf', () => {
+  test('keeps the posting content and leaves out bookkeeping', () => {
+    const snapshot = JobRevision.snapshotOf(new Job(posting({ applications: 4 })));
+
+    expect(snapshot).toMatchObject({ title: 'Backend Engineer', salary: { min: 70000 }, skills: ['Node.js'] });
+    ['_id', 'id', 'views', 'applications', 'dedupeKey', 'createdAt', 'updatedAt'].forEach(field => {
+      expect(snapshot).not.toHaveProperty(field);
+    });
+  });
+});
+
+describe('JobRevision.record', () => {
+  test('numbers revisions and keeps only the id, kind and name of the actor', async () => {
+    const created = mockRevisions({ revision: 4 });
+    const job = posting();
+
+    await JobRevision.record(job, { action: 'updated', before: { ...job, title: 'Engineer' }, actor: admin });
+
+    expect(created[0]).toMatchObject({
+      job: job._id,
+      revision: 5,
+      action: 'updated',
+      actor: { id: admin.id, kind: 'User', name: 'admin@example.com' },
+      changes: [{ field: 'title', from: 'Engineer', to: 'Backend Engineer' }]
+    });
+    expect(created[0].actor).not.toHaveProperty('role');
+  });
+
+  test('skips edits that change nothing but records events', async () => {
+    const created = mockRevisions();
+    const job = posting();
+
+    expect(await JobRevision.record(job, { action: 'updated', before: { ...job, views: 10 } })).toBeNull();
+    await JobRevision.record(job, { action: 'created' });
+    await JobRevision.record(job, { action: 'trashed', before: job });
+
+    expect(created.map(({ revision, action, changes }) => ({ revision, action, changes }))).toEqual([
+      { revision: 1, action: 'created', changes: [] },
+      { revision: 2, action: 'trashed', changes: [] }
+    ]);
+    expect(created[0].actor).toBeUndefined();
+  });
+
+  test('takes the next number when a concurrent change got there first', async () => {
+    const created = mockRevisions({ revision: 1 });
+    JobRevision.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    JobRevision.findOne
+      .mockReturnValueOnce({ sort: () => ({ select: () => ({ lean: async () => ({ revision: 1 }) }) }) })
+      .mockReturnValueOnce({ sort: () => ({ select: () => ({ lean: async () => ({ revision: 2 }) }) }) });
+
+    await JobRevision.record(posting(), { action: 'created' });
+
+    expect(JobRevision.create).toHaveBeenCalledTimes(2);
+    expect(created.map(revision => revision.revision)).toEqual([3]);
+  });
+});
+
+describe('saving a job', () => {
+  test('records the diff against the stored job and who made it', async () => {
+    const created = mockRevisions({ revision: 1 });
+    const job = storedJob();
+
+    job.title = 'Lead Backend Engineer';
+    job.salary.min = 80000;
+    job.views += 1;
+    job.$locals.actor = admin;
+    await job.save();
+
+    expect(created).toHaveLength(1);
+    expect(created[0]).toMatchObject({
+      revision: 2,
+      action: 'updated',
+      actor: { id: admin.id, kind: 'User', name: 'admin@example.com' },
+      changes: [
+        { field: 'salary.min', from: 70000, to: 80000 },
+        { field: 'title', from: 'Backend Engineer', to: 'Lead Backend Engineer' }
+      ]
+    });
+    expect(created[0].snapshot).toMatchObject({ title: 'Lead Backend Engineer', salary: { min: 80000 } });
+  });
+
+  test('a status change alone is recorded as one', async () => {
+    const created = mockRevisions();
+    const job = storedJob();
+
+    job.status = 'filled';
+    await job.save();
+
+    expect(created[0]).toMatchObject({
+      action: 'status_changed',
+      actor: undefined,
+      changes: [{ field: 'status', from: 'active', to: 'filled' }]
+    });
+  });
+
+  test('bookkeeping changes leave no revision', async () => {
+    const created = mockRevisions();
+    const job = storedJob();
+
+    job.views += 1;
+    await job.save();
+
+    expect(created).toEqual([]);
+  });
+});
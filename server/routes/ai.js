@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Job = require('../models/Job');
+const { protect, canManageJob } = require('../middleware/auth');
+const { validateAiExtract, validateCoverLetter } = require('../middleware/validation');
+const { summarizeJob, extractJobDetails, writeCoverLetter } = require('../services/ai');
+const { AiProviderError } = require('../services/ai/errors');
+const logger = require('../utils/logger');
+
+// Mounted under /api/jobs/:id/ai
+
+// AI calls cost money, so they are limited to authenticated callers
+router.use(protect);
+
+// Load the job named by req.params.id into req.job
+const loadJob = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    req.job = job;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send provider failures with their own status code, everything else as 500
+const sendAiError = (res, error, message) => {
+  if (error instanceof AiProviderError) {
+    logger.warn(`${message}: ${error.message}`);
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+};
+
+// Append values that are not already present, ignoring case
+const mergeUnique = (existing = [], additions = []) => {
+  const seen = new Set(existing.map(value => value.toLowerCase()));
+  const merged = [...existing];
+  additions.forEach(value => {
+    if (!seen.has(value.toLowerCase())) {
+      seen.add(value.toLowerCase());
+      merged.push(value);
+    }
+  });
+  return merged;
+};
+
+// POST /api/jobs/:id/ai/summary - Summarize the job description
+router.post('/summary', loadJob, async (req, res) => {
+  try {
+    const data = await summarizeJob(req.job);
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    sendAiError(res, error, 'Failed to summarize job');
+  }
+});
+
+// POST /api/jobs/:id/ai/extract - Extract skills, requirements and benefits,
+// optionally merging them into the job's arrays
+router.post('/extract', loadJob, validateAiExtract, async (req, res) => {
+  try {
+    const { job } = req;
+
+    if (req.body.apply && !canManageJob(req.actor, job)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only modify your own job postings'
+      });
+    }
+
+    const data = await extractJobDetails(job);
+
+    if (req.body.apply) {
+      job.skills = mergeUnique(job.skills, data.skills);
+      job.requirements = mergeUnique(job.requirements, data.requirements);
+      job.benefits = mergeUnique(job.benefits, data.benefits);
+      job.$locals.actor = req.actor;
+      await job.save();
+
+      logger.info(`AI extraction applied to job: ${job.title} by ${req.actor.name}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        applied: req.body.apply,
+        ...(req.body.apply && { job })
+      }
+    });
+
+  } catch (error) {
+    sendAiError(res, error, 'Failed to extract job details');
+  }
+});
+
+// POST /api/jobs/:id/ai/cover-letter - Write a cover letter for a candidate
+router.post('/cover-letter', loadJob, validateCoverLetter, async (req, res) => {
+  try {
+    const data = await writeCoverLetter(req.job, req.body.candidate);
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    sendAiError(res, error, 'Failed to write cover letter');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { salaryInsights, postingVolume, trendingSkills, companyActivity } = require('../services/analytics');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateSalaryInsightsQuery,
+  validatePostingVolumeQuery,
+  validateTrendingSkillsQuery,
+  validateCompanyActivityQuery
+} = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+// Market analytics are for recruiters and admins
+router.use(protect, authorize('admin', 'recruiter'));
+
+// GET /api/analytics/salaries - Salary percentiles grouped by title, skill, location, level or industry
+router.get('/salaries', validateSalaryInsightsQuery, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await salaryInsights(req.query)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching salary insights:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch salary insights'
+    });
+  }
+});
+
+// GET /api/analytics/postings - Posting volume per week or month
+router.get('/postings', validatePostingVolumeQuery, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await postingVolume(req.query)
+    });
+
+  } catch (error) {
+    // Series spanning too many periods
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error fetching posting volume:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch posting volume'
+    });
+  }
+});
+
+// GET /api/analytics/skills/trending - Skills with the fastest growing posting counts
+router.get('/skills/trending', validateTrendingSkillsQuery, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await trendingSkills(req.query)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching trending skills:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trending skills'
+    });
+  }
+});
+
+// GET /api/analytics/companies - Company hiring activity
+router.get('/companies', validateCompanyActivityQuery, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await companyActivity(req.query)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching company activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company activity'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const ApiClient = require('../models/ApiClient');
+const { protect, authorize } = require('../middleware/auth');
+const { validateApiClient } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+// Managing API clients is reserved to admins
+router.use(protect, authorize('admin'));
+
+// GET /api/clients - List API clients
+router.get('/', async (req, res) => {
+  try {
+    const clients = await ApiClient.find().sort({ createdAt: -1 }).select('-__v');
+
+    res.json({
+      success: true,
+      data: clients
+    });
+
+  } catch (error) {
+    logger.error('Error fetching API clients:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API clients'
+    });
+  }
+});
+
+// POST /api/clients - Register an API client; the key is only returned once
+router.post('/', validateApiClient, async (req, res) => {
+  try {
+    const { key, keyPrefix, keyHash } = ApiClient.generateKey();
+
+    const client = new ApiClient({
+      ...req.body,
+      keyPrefix,
+      keyHash,
+      createdBy: req.user ? req.user._id : undefined
+    });
+    await client.save();
+
+    logger.info(`API client created: ${client.name} (${client.role}) by ${req.actor.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        client,
+        apiKey: key
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error creating API client:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API client'
+    });
+  }
+});
+
+// POST /api/clients/:id/rotate - Replace an API client's key
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const { key, keyPrefix, keyHash } = ApiClient.generateKey();
+
+    const client = await ApiClient.findByIdAndUpdate(
+      req.params.id,
+      { keyPrefix, keyHash, active: true },
+      { new: true }
+    );
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: 'API client not found'
+      });
+    }
+
+    logger.info(`API key rotated: ${client.name} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      data: {
+        client,
+        apiKey: key
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+// DELETE /api/clients/:id - Revoke an API client's key
+router.delete('/:id', async (req, res) => {
+  try {
+    const client = await ApiClient.findByIdAndUpdate(
+      req.params.id,
+      { active: false },
+      { new: true }
+    );
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        error: 'API client not found'
+      });
+    }
+
+    logger.info(`API client revoked: ${client.name} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      message: 'API client revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error revoking API client:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API client'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const { protect, authorize } = require('../middleware/auth');
+const { loadManageableJob } = require('../middleware/jobAccess');
+const {
+  validateApplication,
+  validateApplicationStage,
+  validateApplicationQuery
+} = require('../middleware/validation');
+const { escapeRegex } = require('../utils/text');
+const logger = require('../utils/logger');
+
+// Mounted under /api/jobs/:id/applications
+
+const alreadyApplied = (res) => res.status(409).json({
+  success: false,
+  error: 'You have already applied to this job'
+});
+
+// POST /api/jobs/:id/applications - Apply to a job
+router.post('/', validateApplication, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'active' || job.isExpired()) {
+      return res.status(400).json({
+        success: false,
+        error: 'This job is no longer accepting applications'
+      });
+    }
+
+    const existing = await Application.findOne({
+      job: job._id,
+      'candidate.email': req.body.candidate.email
+    });
+
+    if (existing) return alreadyApplied(res);
+
+    const application = new Application({
+      ...req.body,
+      job: job._id
+    });
+    await application.save();
+    await Application.syncJobCount(job._id);
+
+    logger.info(`New application: ${application.candidate.email} for ${job.title} at ${job.company}`);
+
+    res.status(201).json({
+      success: true,
+      data: application
+    });
+
+  } catch (error) {
+    // A simultaneous request from the same candidate got in first
+    if (error.code === 11000) return alreadyApplied(res);
+
+    logger.error('Error creating application:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit application'
+    });
+  }
+});
+
+// Everything below is reserved to the job's owner and admins
+router.use(protect, authorize('admin', 'recruiter'), loadManageableJob);
+
+// GET /api/jobs/:id/applications - List applications for a job
+router.get('/', validateApplicationQuery, async (req, res) => {
+  try {
+    const { stage, q, appliedAfter, appliedBefore, page, limit, sort, order } = req.query;
+
+    const filter = { job: req.job._id };
+
+    if (stage) filter.stage = stage;
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      filter.$or = [{ 'candidate.name': pattern }, { 'candidate.email': pattern }];
+    }
+    if (appliedAfter || appliedBefore) {
+      filter.createdAt = {};
+      if (appliedAfter) filter.createdAt.$gte = appliedAfter;
+      if (appliedBefore) filter.createdAt.$lte = appliedBefore;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [applications, total, stageCounts] = await Promise.all([
+      Application.find(filter)
+        .sort({ [sort]: order === 'desc' ? -1 : 1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v'),
+      Application.countDocuments(filter),
+      Application.aggregate([
+        { $match: { job: req.job._id } },
+        { $group: { _id: '$stage', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: applications,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      stages: Application.STAGES.reduce((counts, name) => {
+        const entry = stageCounts.find(item => item._id === name);
+        counts[name] = entry ? entry.count : 0;
+        return counts;
+      }, {})
+    });
+
+  } catch (error) {
+    logger.error('Error fetching applications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch applications'
+    });
+  }
+});
+
+// GET /api/jobs/:id/applications/:applicationId - Get a specific application
+router.get('/:applicationId', async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.applicationId,
+      job: req.job._id
+    }).select('-__v');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: application
+    });
+
+  } catch (error) {
+    logger.error('Error fetching application:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch application'
+    });
+  }
+});
+
+// PATCH /api/jobs/:id/applications/:applicationId/stage - Move an application
+router.patch('/:applicationId/stage', validateApplicationStage, async (req, res) => {
+  try {
+    const { stage, note } = req.body;
+
+    const application = await Application.findOne({
+      _id: req.params.applicationId,
+      job: req.job._id
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    if (!application.canMoveTo(stage)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot move application from ${application.stage} to ${stage}`
+      });
+    }
+
+    application.moveTo(stage, req.actor, note);
+    await application.save();
+
+    logger.info(`Application ${application._id} moved to ${stage} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      data: application
+    });
+
+  } catch (error) {
+    logger.error('Error updating application stage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update application stage'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { protect, requireUser, authorize } = require('../middleware/auth');
+const {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validateRoleUpdate
+} = require('../middleware/validation');
+const { issueTokens, verifyRefreshToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+// POST /api/auth/register - Create a new user account
+router.post('/register', validateRegister, async (req, res) => {
+  try {
+    const existing = await User.findOne({ email: req.body.email });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email is already registered'
+      });
+    }
+
+    // Self-registered accounts are viewers; admins grant other roles
+    const user = new User({ ...req.body, role: 'viewer' });
+    await user.save();
+
+    logger.info(`New user registered: ${user.email} (${user.role})`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user,
+        tokens: issueTokens(user)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register user'
+    });
+  }
+});
+
+// POST /api/auth/login - Exchange credentials for tokens
+router.post('/login', validateLogin, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = await User.findOne({ email }).select('+password');
+
+    if (!user || !(await user.comparePassword(password))) {
+      logger.warn(`Failed login attempt for ${email}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    logger.info(`User logged in: ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        tokens: issueTokens(user)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in'
+    });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', validateRefreshToken, async (req, res, next) => {
+  try {
+    const payload = verifyRefreshToken(req.body.refreshToken);
+    const user = await User.findById(payload.sub);
+
+    if (!user || user.tokenVersion !== payload.version) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token has been revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tokens: issueTokens(user)
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next(error);
+    }
+
+    logger.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token'
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke all refresh tokens of the current user
+router.post('/logout', protect, requireUser, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 } });
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out'
+    });
+  }
+});
+
+// GET /api/auth/me - Get the current user
+router.get('/me', protect, requireUser, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// PATCH /api/auth/users/:id/role - Change a user's role (admin only)
+router.patch('/users/:id/role', protect, authorize('admin'), validateRoleUpdate, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role, $inc: { tokenVersion: 1 } },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    logger.info(`User role updated: ${user.email} - ${user.role}`);
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    logger.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user role'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateCompany,
+  validateCompanyUpdate,
+  validateCompanyQuery,
+  validateCompanyJobsQuery
+} = require('../middleware/validation');
+const {
+  createCompany,
+  updateCompany,
+  deleteCompany,
+  openJobCounts,
+  companyStats
+} = require('../services/companies');
+const { buildJobFilter } = require('../utils/jobFilters');
+const { escapeRegex } = require('../utils/text');
+const logger = require('../utils/logger');
+
+// Load the company named by req.params.id into req.company
+const loadCompany = async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: 'Company not found'
+      });
+    }
+
+    req.company = company;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unusable names are 400s and names of other companies 409s
+const sendCompanyError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  error: error.message
+});
+
+const paginationOf = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNext: page < totalPages,
+    hasPrev: page > 1
+  };
+};
+
+// GET /api/companies - List companies with their open job counts
+router.get('/', validateCompanyQuery, async (req, res) => {
+  try {
+    const { q, industry, size, page, limit } = req.query;
+    const filter = {};
+
+    if (industry) filter.industry = { $regex: escapeRegex(industry), $options: 'i' };
+    if (size) filter.size = size;
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      filter.$or = [{ name: pattern }, { aliases: pattern }];
+    }
+
+    const [companies, total] = await Promise.all([
+      Company.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Company.countDocuments(filter)
+    ]);
+
+    const counts = await openJobCounts(companies.map(company => company._id));
+
+    res.json({
+      success: true,
+      data: companies.map(company => ({ ...company, openJobs: counts.get(String(company._id)) || 0 })),
+      pagination: paginationOf(page, limit, total)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching companies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch companies'
+    });
+  }
+});
+
+// GET /api/companies/:id - Get a company profile with its hiring stats
+router.get('/:id', loadCompany, async (req, res) => {
+  try {
+    const stats = await companyStats(req.company);
+
+    res.json({
+      success: true,
+      data: { ...req.company.toJSON(), stats }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching company:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company'
+    });
+  }
+});
+
+// GET /api/companies/:id/jobs - List a company's open jobs, newest first
+router.get('/:id/jobs', loadCompany, validateCompanyJobsQuery, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = { ...buildJobFilter({}), companyId: req.company._id };
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .sort({ postedDate: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      Job.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: paginationOf(page, limit, total)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching company jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company jobs'
+    });
+  }
+});
+
+// POST /api/companies - Add a company and link the jobs posted under its names (admin)
+router.post('/', protect, authorize('admin'), validateCompany, async (req, res) => {
+  try {
+    const { company, jobsLinked } = await createCompany(req.body, { actor: req.actor });
+
+    logger.info(`Company created: ${company.name} (${jobsLinked} jobs linked) by ${req.actor.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: { ...company.toJSON(), jobsLinked }
+    });
+
+  } catch (error) {
+    if (error.statusCode) return sendCompanyError(res, error);
+
+    logger.error('Error creating company:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create company'
+    });
+  }
+});
+
+// PATCH /api/companies/:id - Update a company's name, aliases or details (admin)
+router.patch('/:id', protect, authorize('admin'), loadCompany, validateCompanyUpdate, async (req, res) => {
+  try {
+    const { company, jobsLinked } = await updateCompany(req.company, req.body, { actor: req.actor });
+
+    logger.info(`Company updated: ${company.name} (${jobsLinked} jobs linked) by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      data: { ...company.toJSON(), jobsLinked }
+    });
+
+  } catch (error) {
+    if (error.statusCode) return sendCompanyError(res, error);
+
+    logger.error('Error updating company:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update company'
+    });
+  }
+});
+
+// DELETE /api/companies/:id - Remove a company; its jobs keep the company name (admin)
+router.delete('/:id', protect, authorize('admin'), loadCompany, async (req, res) => {
+  try {
+    await deleteCompany(req.company);
+
+    logger.info(`Company deleted: ${req.company.name} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      message: 'Company deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting company:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete company'
+    });
+  }
+});
+
+module.exports = router;
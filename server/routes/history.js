@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const JobRevision = require('../models/JobRevision');
+const { protect, authorize } = require('../middleware/auth');
+const { loadManageableJob } = require('../middleware/jobAccess');
+const { validateJobHistoryQuery } = require('../middleware/validation');
+const { escapeRegex } = require('../utils/text');
+const logger = require('../utils/logger');
+
+// Mounted under /api/jobs/:id/history. A job's history is visible to its
+// owner and admins.
+router.use(protect, authorize('admin', 'recruiter'), loadManageableJob);
+
+// Fields a restore leaves alone: restoring content never moves ownership
+const RESTORE_EXCLUDED_FIELDS = ['owner', 'ownerModel'];
+
+// Load the revision named by req.params.revision into req.revision
+const loadRevision = async (req, res, next) => {
+  try {
+    const number = Number(req.params.revision);
+    const revision = Number.isInteger(number) && number > 0
+      ? await JobRevision.findOne({ job: req.job._id, revision: number })
+      : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    req.revision = revision;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/jobs/:id/history - List a job's revisions, newest first
+router.get('/', validateJobHistoryQuery, async (req, res) => {
+  try {
+    const { action, field, page, limit } = req.query;
+
+    const filter = { job: req.job._id };
+    if (action) filter.action = action;
+    // A field also matches its nested keys, so salary finds salary.min
+    if (field) filter['changes.field'] = { $in: [field, new RegExp(`^${escapeRegex(field)}\\.`)] };
+
+    const [revisions, total] = await Promise.all([
+      JobRevision.find(filter)
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-snapshot -__v'),
+      JobRevision.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching job history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job history'
+    });
+  }
+});
+
+// GET /api/jobs/:id/history/:revision - Get a revision with the job as it was after that change
+router.get('/:revision', loadRevision, (req, res) => {
+  res.json({
+    success: true,
+    data: req.revision
+  });
+});
+
+// POST /api/jobs/:id/history/:revision/restore - Restore the job content of a revision
+router.post('/:revision/restore', loadRevision, async (req, res) => {
+  try {
+    const { job, revision } = req;
+    const snapshot = { ...revision.snapshot };
+    RESTORE_EXCLUDED_FIELDS.forEach(field => delete snapshot[field]);
+
+    // Fields added after the revision was recorded are cleared
+    Object.keys(JobRevision.snapshotOf(job))
+      .filter(field => !(field in snapshot) && !RESTORE_EXCLUDED_FIELDS.includes(field))
+      .forEach(field => job.set(field, undefined));
+    job.set(snapshot);
+    job.$locals.restoredFrom = revision.revision;
+    await job.save();
+
+    logger.info(`Job restored to revision ${revision.revision}: ${job.title} at ${job.company} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: `Revision cannot be restored: ${error.message}`
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Another job already uses the source and sourceId of this revision'
+      });
+    }
+
+    logger.error('Error restoring job revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore job revision'
+    });
+  }
+});
+
+module.exports = router;
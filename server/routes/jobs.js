@@ -1,83 +1,206 @@
 const express = require('express');
 const router = express.Router();
 const Job = require('../models/Job');
-const { validateJob, validateJobUpdate } = require('../middleware/validation');
+const Application = require('../models/Application');
+const {
+  validateJob,
+  validateJobUpdate,
+  validateDuplicateQuery,
+  validateDuplicateMerge,
+  validateTrashQuery,
+  validateTrashPurgeQuery,
+  validateBulkOperation
+} = require('../middleware/validation');
+const { protect, authorize, canManageJob } = require('../middleware/auth');
+const { loadManageableJob, loadTrashedJob } = require('../middleware/jobAccess');
+const { buildJobFilter } = require('../utils/jobFilters');
+const { applyExtraction } = require('../services/extraction');
+const { FORMATS, detectFormat, readRecords, importJobs } = require('../services/importer');
+const { findDuplicateClusters, mergeJobs } = require('../services/deduplication');
+const { EXPORT_FORMATS, negotiateFormat, exportLimit, streamJobs } = require('../services/exporter');
+const { trashedFilter, purgeJobs } = require('../services/trash');
+const { runBulkOperation } = require('../services/bulkOperations');
+const { escapeRegex } = require('../utils/text');
+const { readPagination, sortStage, keysetFilter, countTotal, buildPage } = require('../utils/pagination');
 const logger = require('../utils/logger');
-
-// GET /api/jobs - List all jobs with filtering, pagination, and sorting
-router.get('/', async (req, res) => {
+const applicationRoutes = require('./applications');
+const aiRoutes = require('./ai');
+const historyRoutes = require('./history');
+
+// List jobs matching the query filters, optionally narrowed by a scope filter.
+// Pages are addressed by page number or by cursor. CSV, NDJSON, RSS and Atom
+// are streamed instead of paginated.
+const listJobs = (getScope = () => ({}), feedTitle = 'Jobs') => async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 20,
       sort = 'postedDate',
-      order = 'desc',
-      status = 'active',
-      jobType,
-      remote,
-      experienceLevel,
-      industry,
-      location,
-      minSalary,
-      maxSalary,
-      skills,
-      company
+      order = 'desc'
     } = req.query;
 
-    // Build filter object
-    const filter = { status };
-    
-    if (jobType) filter.jobType = jobType;
-    if (remote) filter.remote = remote;
-    if (experienceLevel) filter.experienceLevel = experienceLevel;
-    if (industry) filter.industry = { $regex: industry, $options: 'i' };
-    if (location) filter.location = { $regex: location, $options: 'i' };
-    if (company) filter.company = { $regex: company, $options: 'i' };
-    
-    // Salary filter
-    if (minSalary || maxSalary) {
-      filter.salary = {};
-      if (minSalary) filter.salary.min = { $gte: parseInt(minSalary) };
-      if (maxSalary) filter.salary.max = { $lte: parseInt(maxSalary) };
+    const format = negotiateFormat(req);
+    if (format === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format; use json or one of: ${EXPORT_FORMATS.join(', ')}`
+      });
     }
-    
-    // Skills filter
-    if (skills) {
-      const skillsArray = skills.split(',').map(skill => skill.trim());
-      filter.skills = { $in: skillsArray };
+
+    // Build filter object
+    const filter = { ...buildJobFilter(req.query), ...getScope(req) };
+
+    // Sort by the requested field; _id keeps the order stable. Salaries are
+    // sorted by their normalized yearly amount, whatever their currency.
+    const field = sort === 'salary' ? 'normalizedSalary.max' : String(sort);
+    const sortSpec = { field, order: order === 'desc' ? -1 : 1 };
+
+    if (format) {
+      const cursor = Job.find(filter)
+        .sort(sortStage(sortSpec))
+        .limit(exportLimit(format, req.query.limit))
+        .select('-__v')
+        .lean()
+        .cursor();
+
+      return await streamJobs(req, res, cursor, format, { title: feedTitle });
     }
 
-    // Build sort object
-    const sortObj = {};
-    sortObj[sort] = order === 'desc' ? -1 : 1;
+    const pageOptions = { sort: sortSpec, ...readPagination(req.query, sortSpec) };
+    const { page, limit, cursor, totalMode } = pageOptions;
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Execute query
-    const jobs = await Job.find(filter)
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit))
+    // One extra job tells whether another page follows
+    const query = Job.find(cursor ? { $and: [filter, keysetFilter(sortSpec, cursor)] } : filter)
+      .sort(sortStage(sortSpec, cursor))
+      .limit(limit + 1)
       .select('-__v');
+    if (!cursor) query.skip((page - 1) * limit);
 
-    // Get total count for pagination
-    const total = await Job.countDocuments(filter);
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const [docs, count] = await Promise.all([query, countTotal(Job, filter, totalMode)]);
+    const { items: jobs, pagination } = buildPage(docs, pageOptions, count);
 
-    // Increment view count for each job
+    // Increment view count for each job; views are not content updates
     const jobIds = jobs.map(job => job._id);
     await Job.updateMany(
       { _id: { $in: jobIds } },
-      { $inc: { views: 1 } }
+      { $inc: { views: 1 } },
+      { timestamps: false }
     );
 
+    res.json({
+      success: true,
+      data: jobs,
+      pagination
+    });
+
+  } catch (error) {
+    // Bad cursors, total modes and salary currencies
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error fetching jobs:', error);
+    // An export that fails midway can only be cut off
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs'
+    });
+  }
+};
+
+// GET /api/jobs - List all jobs with filtering, pagination, and sorting, or export them
+router.get('/', listJobs());
+
+// GET /api/jobs/mine - List the caller's own jobs with the same filters
+router.get('/mine', protect, authorize('admin', 'recruiter'), listJobs(req => ({
+  owner: req.actor.id,
+  ownerModel: req.actor.kind
+}), 'My jobs'));
+
+// GET /api/jobs/duplicates - List clusters of suspected duplicate jobs
+router.get('/duplicates', protect, authorize('admin'), validateDuplicateQuery, async (req, res) => {
+  try {
+    const { clusters, pagination } = await findDuplicateClusters(req.query);
+
+    res.json({
+      success: true,
+      data: clusters,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Error finding duplicate jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find duplicate jobs'
+    });
+  }
+});
+
+// POST /api/jobs/duplicates/merge - Merge duplicate jobs into a primary job
+router.post('/duplicates/merge', protect, authorize('admin'), validateDuplicateMerge, async (req, res) => {
+  try {
+    const { primaryId, duplicateIds } = req.body;
+    const { job, summary } = await mergeJobs(primaryId, duplicateIds, { actor: req.actor });
+
+    logger.info(`Merged ${summary.merged.length} duplicate jobs into ${job._id} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      data: job,
+      summary
+    });
+
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error merging duplicate jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge duplicate jobs'
+    });
+  }
+});
+
+// GET /api/jobs/trash - List trashed jobs; admins see every trashed job, others their own
+router.get('/trash', protect, authorize('admin', 'recruiter'), validateTrashQuery, async (req, res) => {
+  try {
+    const { q, page, limit } = req.query;
+
+    const filter = trashedFilter();
+    if (req.actor.role !== 'admin') {
+      filter.owner = req.actor.id;
+      filter.ownerModel = req.actor.kind;
+    }
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ title: pattern }, { company: pattern }];
+    }
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      Job.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
     res.json({
       success: true,
       data: jobs,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
         totalPages,
         hasNext: page < totalPages,
@@ -86,10 +209,54 @@ router.get('/', async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Error fetching jobs:', error);
+    logger.error('Error fetching trash:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch jobs'
+      error: 'Failed to fetch trash'
+    });
+  }
+});
+
+// DELETE /api/jobs/trash - Permanently delete every trashed job, or those trashed before a date
+router.delete('/trash', protect, authorize('admin'), validateTrashPurgeQuery, async (req, res) => {
+  try {
+    const purged = await purgeJobs(trashedFilter(req.query.before), { actor: req.actor });
+
+    logger.info(`Trash emptied: ${purged.length} jobs purged by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      message: `${purged.length} jobs permanently deleted`,
+      data: { purged }
+    });
+
+  } catch (error) {
+    logger.error('Error emptying trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to empty trash'
+    });
+  }
+});
+
+// DELETE /api/jobs/trash/:id - Permanently delete a trashed job
+router.delete('/trash/:id', protect, authorize('admin'), loadTrashedJob, async (req, res) => {
+  try {
+    const { job } = req;
+    await purgeJobs({ _id: job._id, ...trashedFilter() }, { limit: 1, actor: req.actor });
+
+    logger.info(`Job purged: ${job.title} at ${job.company} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      message: 'Job permanently deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error purging job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge job'
     });
   }
 });
@@ -106,8 +273,8 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Increment view count
-    await Job.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
+    // Increment view count; views are not content updates
+    await Job.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } }, { timestamps: false });
 
     res.json({
       success: true,
@@ -123,13 +290,53 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/jobs - Create a new job
-router.post('/', validateJob, async (req, res) => {
+// POST /api/jobs - Create a new job, or update the existing job when one with
+// the same source and sourceId is already stored; a trashed one is restored
+router.post('/', protect, authorize('admin', 'recruiter'), validateJob, async (req, res) => {
   try {
-    const job = new Job(req.body);
+    const { source, sourceId } = req.body;
+    const existing = sourceId ? await Job.findBySource(source, sourceId) : null;
+
+    if (existing && !canManageJob(req.actor, existing)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A job with this source and sourceId already exists',
+        data: { id: existing._id }
+      });
+    }
+
+    if (existing) {
+      existing.$locals.actor = req.actor;
+      // The match may be a posting merged into this job, so keep its own source
+      const { source: _source, sourceId: _sourceId, ...changes } = req.body;
+      existing.set(changes);
+      existing.inferredFields = existing.inferredFields.filter(field => !(field in req.body));
+      const restored = Boolean(existing.deletedAt);
+      if (restored) existing.takeOutOfTrash();
+
+      const textChanged = ['title', 'description', 'requirements'].some(field => existing.isModified(field));
+      applyExtraction(existing, { refresh: textChanged });
+      await existing.save();
+
+      logger.info(`Job upserted: ${existing.title} at ${existing.company} (${source}:${sourceId})${restored ? ' and restored from trash' : ''} by ${req.actor.name}`);
+
+      return res.json({
+        success: true,
+        message: restored ? 'Existing job restored from trash and updated' : 'Existing job updated',
+        data: existing
+      });
+    }
+
+    const job = new Job({
+      ...req.body,
+      owner: req.actor.id,
+      ownerModel: req.actor.kind
+    });
+    job.$locals.actor = req.actor;
+    applyExtraction(job);
     await job.save();
 
-    logger.info(`New job created: ${job.title} at ${job.company}`);
+    logger.info(`New job created: ${job.title} at ${job.company} by ${req.actor.name}`);
 
     res.status(201).json({
       success: true,
@@ -137,6 +344,16 @@ router.post('/', validateJob, async (req, res) => {
     });
 
   } catch (error) {
+    // Another request stored the same posting in the meantime
+    if (error.code === 11000) {
+      const existing = await Job.findBySource(req.body.source, req.body.sourceId).select('_id').catch(() => null);
+      return res.status(409).json({
+        success: false,
+        error: 'A job with this source and sourceId already exists',
+        ...(existing && { data: { id: existing._id } })
+      });
+    }
+
     logger.error('Error creating job:', error);
     res.status(500).json({
       success: false,
@@ -145,23 +362,96 @@ router.post('/', validateJob, async (req, res) => {
   }
 });
 
-// PUT /api/jobs/:id - Update a job
-router.put('/:id', validateJobUpdate, async (req, res) => {
+// POST /api/jobs/import - Bulk import jobs from CSV, a JSON array or NDJSON
+router.post('/import', protect, authorize('admin', 'recruiter'), async (req, res) => {
   try {
-    const job = await Job.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).select('-__v');
+    const format = req.query.format || detectFormat(req.get('Content-Type'));
+    const dryRun = req.query.dryRun === 'true';
 
-    if (!job) {
-      return res.status(404).json({
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
         success: false,
-        error: 'Job not found'
+        error: `Unsupported import format; use one of: ${FORMATS.join(', ')}`
       });
     }
 
-    logger.info(`Job updated: ${job.title} at ${job.company}`);
+    // The body parsers skip this route, so every format is streamed straight
+    // from the request
+    const result = await importJobs(readRecords(req, format), { actor: req.actor, dryRun });
+
+    logger.info(`Job import ${dryRun ? '(dry run) ' : ''}by ${req.actor.name}:`, result.summary);
+
+    // Rows before unparseable input may already be saved, so their report
+    // is returned with the error
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: `Failed to import jobs: ${result.error}`,
+        data: result
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error importing jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import jobs'
+    });
+  }
+});
+
+// POST /api/jobs/bulk - Change the status, tags or expiry of many jobs, or
+// move them to the trash, selected by ids or by a search
+router.post('/bulk', protect, authorize('admin', 'recruiter'), validateBulkOperation, async (req, res) => {
+  try {
+    const result = await runBulkOperation(req.body, { actor: req.actor });
+
+    if (!result.dryRun) {
+      logger.info(`Bulk ${result.operation.type} by ${req.actor.name}:`, result.summary);
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+
+    logger.error('Error running bulk operation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run bulk operation'
+    });
+  }
+});
+
+// PUT /api/jobs/:id - Update a job
+router.put('/:id', protect, authorize('admin', 'recruiter'), loadManageableJob, validateJobUpdate, async (req, res) => {
+  try {
+    const { job } = req;
+    job.set(req.body);
+
+    // Values given by the poster are no longer inferred
+    job.inferredFields = job.inferredFields.filter(field => !(field in req.body));
+
+    // Re-infer earlier guesses when the text they came from changed
+    const textChanged = ['title', 'description', 'requirements'].some(field => job.isModified(field));
+    applyExtraction(job, { refresh: textChanged });
+    await job.save();
+
+    logger.info(`Job updated: ${job.title} at ${job.company} by ${req.actor.name}`);
 
     res.json({
       success: true,
@@ -177,23 +467,36 @@ router.put('/:id', validateJobUpdate, async (req, res) => {
   }
 });
 
-// DELETE /api/jobs/:id - Delete a job
-router.delete('/:id', async (req, res) => {
+// DELETE /api/jobs/:id - Move a job to the trash; admins can pass
+// ?permanent=true to delete it for good
+router.delete('/:id', protect, authorize('admin', 'recruiter'), loadManageableJob, async (req, res) => {
   try {
-    const job = await Job.findByIdAndDelete(req.params.id);
+    const { job } = req;
+
+    if (req.query.permanent === 'true') {
+      if (req.actor.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Only admins can permanently delete jobs'
+        });
+      }
 
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        error: 'Job not found'
+      await purgeJobs({ _id: job._id }, { limit: 1, actor: req.actor });
+      logger.info(`Job purged: ${job.title} at ${job.company} by ${req.actor.name}`);
+
+      return res.json({
+        success: true,
+        message: 'Job permanently deleted'
       });
     }
 
-    logger.info(`Job deleted: ${job.title} at ${job.company}`);
+    await job.moveToTrash(req.actor);
+
+    logger.info(`Job moved to trash: ${job.title} at ${job.company} by ${req.actor.name}`);
 
     res.json({
       success: true,
-      message: 'Job deleted successfully'
+      message: 'Job moved to trash'
     });
 
   } catch (error) {
@@ -205,32 +508,46 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/jobs/:id/restore - Take a job out of the trash
+router.post('/:id/restore', protect, authorize('admin', 'recruiter'), loadTrashedJob, async (req, res) => {
+  try {
+    const { job } = req;
+    await job.restoreFromTrash(req.actor);
+
+    logger.info(`Job restored from trash: ${job.title} at ${job.company} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    logger.error('Error restoring job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore job'
+    });
+  }
+});
+
 // PATCH /api/jobs/:id/status - Update job status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', protect, authorize('admin', 'recruiter'), loadManageableJob, async (req, res) => {
   try {
     const { status } = req.body;
     
-    if (!['active', 'expired', 'filled', 'draft'].includes(status)) {
+    if (!['active', 'expired', 'filled', 'draft', 'archived'].includes(status)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid status value'
       });
     }
 
-    const job = await Job.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    ).select('-__v');
+    // Saved through the document so the status change events fire
+    const { job } = req;
+    job.status = status;
+    await job.save({ validateModifiedOnly: true });
 
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        error: 'Job not found'
-      });
-    }
-
-    logger.info(`Job status updated: ${job.title} - ${status}`);
+    logger.info(`Job status updated: ${job.title} - ${status} by ${req.actor.name}`);
 
     res.json({
       success: true,
@@ -259,12 +576,24 @@ router.get('/stats/overview', async (req, res) => {
               $cond: [{ $eq: ['$status', 'active'] }, 1, 0]
             }
           },
-          totalViews: { $sum: '$views' },
-          totalApplications: { $sum: '$applications' }
+          totalViews: { $sum: '$views' }
         }
       }
     ]);
 
+    // Applications to trashed jobs are left out like the jobs themselves
+    const trashedJobs = await Job.distinct('_id', trashedFilter());
+    const applicationFilter = { job: { $nin: trashedJobs } };
+
+    const [totalApplications, applicationStageStats] = await Promise.all([
+      Application.countDocuments(applicationFilter),
+      Application.aggregate([
+        { $match: applicationFilter },
+        { $group: { _id: '$stage', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
     const jobTypeStats = await Job.aggregate([
       { $group: { _id: '$jobType', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
@@ -285,12 +614,15 @@ router.get('/stats/overview', async (req, res) => {
     res.json({
       success: true,
       data: {
-        overview: stats[0] || {
-          totalJobs: 0,
-          activeJobs: 0,
-          totalViews: 0,
-          totalApplications: 0
+        overview: {
+          ...(stats[0] || {
+            totalJobs: 0,
+            activeJobs: 0,
+            totalViews: 0
+          }),
+          totalApplications
         },
+        applicationStages: applicationStageStats,
         jobTypes: jobTypeStats,
         remoteOptions: remoteStats,
         topIndustries: industryStats
@@ -306,4 +638,13 @@ router.get('/stats/overview', async (req, res) => {
   }
 });
 
+// Candidate applications for a job
+router.use('/:id/applications', applicationRoutes);
+
+// AI assistance for a job
+router.use('/:id/ai', aiRoutes);
+
+// Change history of a job
+router.use('/:id/history', historyRoutes);
+
 module.exports = router;
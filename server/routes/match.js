@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { validateMatch } = require('../middleware/validation');
+const { buildSearchQuery } = require('../utils/searchFilters');
+const { parseResume, matchJobs } = require('../services/matching');
+const logger = require('../utils/logger');
+
+// POST /api/match - Rank active jobs against a resume
+router.post('/', validateMatch, async (req, res) => {
+  try {
+    const { resume, filters, minScore, limit } = req.body;
+
+    const profile = parseResume(resume);
+    const searchQuery = buildSearchQuery(filters);
+
+    const { results, ...counts } = await matchJobs(profile, searchQuery, { minScore, limit });
+
+    res.json({
+      success: true,
+      data: results.map(({ job, match }) => ({
+        job,
+        score: match.score,
+        breakdown: match.breakdown,
+        explanation: match.explanation
+      })),
+      matchInfo: {
+        profile,
+        filters,
+        ...counts,
+        resultsCount: results.length
+      }
+    });
+
+  } catch (error) {
+    // Unknown places and currencies in the filters
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error matching resume:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to match resume'
+    });
+  }
+});
+
+module.exports = router;
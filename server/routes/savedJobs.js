@@ -0,0 +1,404 @@
+const express = require('express');
+const router = express.Router();
+const Job = require('../models/Job');
+const SavedJob = require('../models/SavedJob');
+const { protect, requireUser } = require('../middleware/auth');
+const {
+  validateSavedJob,
+  validateSavedJobUpdate,
+  validateSavedJobNote,
+  validateReminder,
+  validateReminderUpdate,
+  validateSavedJobQuery
+} = require('../middleware/validation');
+const { escapeRegex } = require('../utils/text');
+const logger = require('../utils/logger');
+
+// The board is personal, so every route needs a user account
+router.use(protect, requireUser);
+
+const alreadySaved = (res, existing) => res.status(409).json({
+  success: false,
+  error: 'Job is already saved',
+  ...(existing && { data: { id: existing._id } })
+});
+
+// Load the current user's saved entry named by req.params.id into req.savedJob
+const loadSavedJob = async (req, res, next) => {
+  try {
+    const savedJob = await SavedJob.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!savedJob) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved job not found'
+      });
+    }
+
+    req.savedJob = savedJob;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach the live job when it still exists; the snapshot covers the rest
+const withJob = async (savedJob) => {
+  const job = await Job.findById(savedJob.job).select('-__v');
+  return {
+    ...savedJob.toJSON(),
+    job: job || null,
+    jobAvailable: Boolean(job && job.status === 'active' && !job.isExpired())
+  };
+};
+
+// GET /api/saved-jobs - List the current user's board
+router.get('/', validateSavedJobQuery, async (req, res) => {
+  try {
+    const { status, q, reminderDue, page, limit, sort, order } = req.query;
+
+    const filter = { user: req.user._id };
+
+    if (status) filter.status = status;
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      filter.$or = [
+        { 'snapshot.title': pattern },
+        { 'snapshot.company': pattern },
+        { 'notes.text': pattern }
+      ];
+    }
+    if (reminderDue) {
+      filter.reminders = { $elemMatch: { done: false, dueAt: { $lte: new Date() } } };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [savedJobs, total] = await Promise.all([
+      SavedJob.find(filter)
+        .sort({ [sort]: order === 'desc' ? -1 : 1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v'),
+      SavedJob.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: savedJobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching saved jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch saved jobs'
+    });
+  }
+});
+
+// GET /api/saved-jobs/reminders - List open reminders across the board
+router.get('/reminders', async (req, res) => {
+  try {
+    const { before } = req.query;
+    const dueBefore = before ? new Date(before) : null;
+
+    if (dueBefore && isNaN(dueBefore.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid before date'
+      });
+    }
+
+    const reminderMatch = { 'reminders.done': false };
+    if (dueBefore) reminderMatch['reminders.dueAt'] = { $lte: dueBefore };
+
+    const reminders = await SavedJob.aggregate([
+      { $match: { user: req.user._id } },
+      { $unwind: '$reminders' },
+      { $match: reminderMatch },
+      { $sort: { 'reminders.dueAt': 1 } },
+      {
+        $project: {
+          _id: '$reminders._id',
+          savedJob: '$_id',
+          dueAt: '$reminders.dueAt',
+          note: '$reminders.note',
+          status: 1,
+          title: '$snapshot.title',
+          company: '$snapshot.company'
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: reminders
+    });
+
+  } catch (error) {
+    logger.error('Error fetching reminders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reminders'
+    });
+  }
+});
+
+// POST /api/saved-jobs - Save a job to the board
+router.post('/', validateSavedJob, async (req, res) => {
+  try {
+    const { jobId, status, note, reminder } = req.body;
+
+    const job = await Job.findById(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const existing = await SavedJob.findOne({ user: req.user._id, job: job._id });
+
+    if (existing) return alreadySaved(res, existing);
+
+    const savedJob = new SavedJob({
+      user: req.user._id,
+      job: job._id,
+      snapshot: SavedJob.snapshotOf(job),
+      status,
+      notes: note ? [{ text: note }] : [],
+      reminders: reminder ? [reminder] : []
+    });
+    await savedJob.save();
+
+    logger.info(`Job saved: ${job.title} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: savedJob
+    });
+
+  } catch (error) {
+    // A simultaneous request saved the same job first
+    if (error.code === 11000) {
+      const existing = await SavedJob.findOne({ user: req.user._id, job: req.body.jobId }).select('_id').catch(() => null);
+      return alreadySaved(res, existing);
+    }
+
+    logger.error('Error saving job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save job'
+    });
+  }
+});
+
+// GET /api/saved-jobs/:id - Get a saved job with the live posting, if any
+router.get('/:id', loadSavedJob, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await withJob(req.savedJob)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching saved job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch saved job'
+    });
+  }
+});
+
+// PATCH /api/saved-jobs/:id - Update the personal status
+router.patch('/:id', loadSavedJob, validateSavedJobUpdate, async (req, res) => {
+  try {
+    const { savedJob } = req;
+    savedJob.status = req.body.status;
+    await savedJob.save();
+
+    res.json({
+      success: true,
+      data: savedJob
+    });
+
+  } catch (error) {
+    logger.error('Error updating saved job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update saved job'
+    });
+  }
+});
+
+// DELETE /api/saved-jobs/:id - Remove a job from the board
+router.delete('/:id', loadSavedJob, async (req, res) => {
+  try {
+    await req.savedJob.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Saved job removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error removing saved job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove saved job'
+    });
+  }
+});
+
+// POST /api/saved-jobs/:id/notes - Add a private note
+router.post('/:id/notes', loadSavedJob, validateSavedJobNote, async (req, res) => {
+  try {
+    const { savedJob } = req;
+    savedJob.notes.push({ text: req.body.text });
+    await savedJob.save();
+
+    res.status(201).json({
+      success: true,
+      data: savedJob.notes[savedJob.notes.length - 1]
+    });
+
+  } catch (error) {
+    logger.error('Error adding note:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add note'
+    });
+  }
+});
+
+// DELETE /api/saved-jobs/:id/notes/:noteId - Delete a note
+router.delete('/:id/notes/:noteId', loadSavedJob, async (req, res) => {
+  try {
+    const { savedJob } = req;
+    const note = savedJob.notes.id(req.params.noteId);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    note.deleteOne();
+    await savedJob.save();
+
+    res.json({
+      success: true,
+      message: 'Note deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting note:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete note'
+    });
+  }
+});
+
+// POST /api/saved-jobs/:id/reminders - Add a follow-up reminder
+router.post('/:id/reminders', loadSavedJob, validateReminder, async (req, res) => {
+  try {
+    const { savedJob } = req;
+    savedJob.reminders.push(req.body);
+    await savedJob.save();
+
+    res.status(201).json({
+      success: true,
+      data: savedJob.reminders[savedJob.reminders.length - 1]
+    });
+
+  } catch (error) {
+    logger.error('Error adding reminder:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add reminder'
+    });
+  }
+});
+
+// PATCH /api/saved-jobs/:id/reminders/:reminderId - Update or complete a reminder
+router.patch('/:id/reminders/:reminderId', loadSavedJob, validateReminderUpdate, async (req, res) => {
+  try {
+    const { savedJob } = req;
+    const reminder = savedJob.reminders.id(req.params.reminderId);
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reminder not found'
+      });
+    }
+
+    const { dueAt, note, done } = req.body;
+    if (dueAt) reminder.dueAt = dueAt;
+    if (note !== undefined) reminder.note = note;
+    if (done !== undefined) {
+      reminder.done = done;
+      reminder.doneAt = done ? new Date() : undefined;
+    }
+    await savedJob.save();
+
+    res.json({
+      success: true,
+      data: reminder
+    });
+
+  } catch (error) {
+    logger.error('Error updating reminder:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update reminder'
+    });
+  }
+});
+
+// DELETE /api/saved-jobs/:id/reminders/:reminderId - Delete a reminder
+router.delete('/:id/reminders/:reminderId', loadSavedJob, async (req, res) => {
+  try {
+    const { savedJob } = req;
+    const reminder = savedJob.reminders.id(req.params.reminderId);
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reminder not found'
+      });
+    }
+
+    reminder.deleteOne();
+    await savedJob.save();
+
+    res.json({
+      success: true,
+      message: 'Reminder deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting reminder:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete reminder'
+    });
+  }
+});
+
+module.exports = router;
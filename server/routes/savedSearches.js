@@ -0,0 +1,212 @@
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const { protect, requireUser } = require('../middleware/auth');
+const {
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateSavedSearchRun
+} = require('../middleware/validation');
+const { runSavedSearch } = require('../services/savedSearches');
+const logger = require('../utils/logger');
+
+// Saved searches are personal, so every route needs a user account
+router.use(protect, requireUser);
+
+// Load the current user's saved search named by req.params.id into req.savedSearch
+const loadSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    req.savedSearch = savedSearch;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+const duplicateName = (res) => res.status(409).json({
+  success: false,
+  error: 'You already have a saved search with this name'
+});
+
+// GET /api/saved-searches - List the current user's saved searches
+router.get('/', async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+      .sort({ name: 1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: savedSearches
+    });
+
+  } catch (error) {
+    logger.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch saved searches'
+    });
+  }
+});
+
+// POST /api/saved-searches - Save a search
+router.post('/', validateSavedSearch, async (req, res) => {
+  try {
+    const savedSearch = new SavedSearch({
+      ...req.body,
+      user: req.user._id
+    });
+    await savedSearch.save();
+
+    logger.info(`Search saved: ${savedSearch.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: savedSearch
+    });
+
+  } catch (error) {
+    if (error.code === 11000) return duplicateName(res);
+
+    logger.error('Error saving search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save search'
+    });
+  }
+});
+
+// GET /api/saved-searches/:id - Get a saved search
+router.get('/:id', loadSavedSearch, (req, res) => {
+  res.json({
+    success: true,
+    data: req.savedSearch
+  });
+});
+
+// PATCH /api/saved-searches/:id - Update the name, query, filters, frequency or notifications
+router.patch('/:id', loadSavedSearch, validateSavedSearchUpdate, async (req, res) => {
+  try {
+    const { savedSearch } = req;
+    savedSearch.set(req.body);
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      data: savedSearch
+    });
+
+  } catch (error) {
+    if (error.code === 11000) return duplicateName(res);
+
+    logger.error('Error updating saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update saved search'
+    });
+  }
+});
+
+// DELETE /api/saved-searches/:id - Delete a saved search
+router.delete('/:id', loadSavedSearch, async (req, res) => {
+  try {
+    await req.savedSearch.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete saved search'
+    });
+  }
+});
+
+// POST /api/saved-searches/:id/pause - Stop checking for new matches
+router.post('/:id/pause', loadSavedSearch, async (req, res) => {
+  try {
+    const { savedSearch } = req;
+    savedSearch.paused = true;
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      data: savedSearch
+    });
+
+  } catch (error) {
+    logger.error('Error pausing saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause saved search'
+    });
+  }
+});
+
+// POST /api/saved-searches/:id/resume - Check for new matches again; jobs
+// posted while the search was paused are not reported
+router.post('/:id/resume', loadSavedSearch, async (req, res) => {
+  try {
+    const { savedSearch } = req;
+
+    if (savedSearch.paused) {
+      const now = new Date();
+      savedSearch.paused = false;
+      savedSearch.lastRunAt = now;
+      savedSearch.nextRunAt = savedSearch.nextRunAfter(now);
+      await savedSearch.save();
+    }
+
+    res.json({
+      success: true,
+      data: savedSearch
+    });
+
+  } catch (error) {
+    logger.error('Error resuming saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume saved search'
+    });
+  }
+});
+
+// POST /api/saved-searches/:id/run - Check for new matches now. With
+// dryRun=true the matches are returned without notifying.
+router.post('/:id/run', loadSavedSearch, validateSavedSearchRun, async (req, res) => {
+  try {
+    const { savedSearch } = req;
+    await savedSearch.populate('user', 'name email');
+
+    const { digest, deliveries } = await runSavedSearch(savedSearch, { dryRun: req.query.dryRun });
+
+    res.json({
+      success: true,
+      data: digest,
+      deliveries
+    });
+
+  } catch (error) {
+    logger.error('Error running saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run saved search'
+    });
+  }
+});
+
+module.exports = router;
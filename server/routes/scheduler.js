@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const scheduler = require('../services/scheduler');
+const { lifecycleOverview } = require('../services/lifecycle');
+const { protect, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Scheduler status and manual runs are reserved to admins
+router.use(protect, authorize('admin'));
+
+// GET /api/scheduler/status - Background task state and jobs waiting for the lifecycle sweeper
+router.get('/status', async (req, res) => {
+  try {
+    const [status, lifecycle] = await Promise.all([
+      scheduler.status(),
+      lifecycleOverview()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        lifecycle
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching scheduler status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheduler status'
+    });
+  }
+});
+
+// POST /api/scheduler/tasks/:name/run - Run a background task now
+router.post('/tasks/:name/run', async (req, res) => {
+  const { name } = req.params;
+
+  if (!scheduler.has(name)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+
+  try {
+    const result = await scheduler.runNow(name);
+
+    if (result === null) {
+      return res.status(409).json({
+        success: false,
+        error: 'Task is already running'
+      });
+    }
+
+    logger.info(`Scheduled task ${name} run by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      data: {
+        task: name,
+        result
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error running scheduled task ${name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run task'
+    });
+  }
+});
+
+module.exports = router;
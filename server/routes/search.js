@@ -1,142 +1,141 @@
 const express = require('express');
 const router = express.Router();
 const Job = require('../models/Job');
+const { parseFilters, buildSearchQuery } = require('../utils/searchFilters');
+const { EXPORT_FORMATS, negotiateFormat, exportLimit, streamJobs } = require('../services/exporter');
+const { readPagination, sortStage, keysetFilter, countTotal, buildPage } = require('../utils/pagination');
+const { resolvePoint, distanceExpression } = require('../utils/geo');
+const { loadRates, readSalaryUnits, fromBaseAnnual } = require('../utils/salary');
+const { readFacetNames, searchFacets } = require('../services/searchFacets');
+const { suggest } = require('../services/suggestions');
+const { queryFilter } = require('../utils/queryParser');
+const { validateSuggestionQuery } = require('../middleware/validation');
 const logger = require('../utils/logger');
 
-// GET /api/search - Advanced search with text search and filters
+// Sort options other than relevance
+const SORTS = {
+  postedDate: { field: 'postedDate', order: -1 },
+  salary: { field: 'normalizedSalary.max', order: -1 },
+  company: { field: 'company', order: 1 },
+  location: { field: 'location', order: 1 },
+  distance: { field: 'distance', order: 1 }
+};
+
+// GET /api/search - Advanced search with a query language, filters, radius
+// queries and facet counts, or an export of the results as CSV, NDJSON, RSS
+// or Atom
 router.get('/', async (req, res) => {
   try {
     const {
-      q, // search query
-      page = 1,
-      limit = 20,
+      q, // search query, plain text or with fields and operators
       sort = 'relevance',
-      filters = '{}'
+      filters = '{}',
+      facets
     } = req.query;
 
-    let searchQuery = {};
-    let sortObj = {};
+    const format = negotiateFormat(req);
+    if (format === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format; use json or one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
 
     // Parse filters from query string
-    let parsedFilters = {};
-    try {
-      parsedFilters = JSON.parse(filters);
-    } catch (e) {
+    let parsedFilters = parseFilters(filters);
+    if (!parsedFilters) {
       logger.warn('Invalid filters format:', filters);
-    }
-
-    // Build search query
-    if (q && q.trim()) {
-      // Text search using MongoDB text index
-      searchQuery.$text = { $search: q.trim() };
-      
-      // Add text score for relevance sorting
-      if (sort === 'relevance') {
-        sortObj = { score: { $meta: 'textScore' } };
-      }
+      parsedFilters = {};
     }
 
     // Apply filters
-    if (parsedFilters.jobType) searchQuery.jobType = parsedFilters.jobType;
-    if (parsedFilters.remote) searchQuery.remote = parsedFilters.remote;
-    if (parsedFilters.experienceLevel) searchQuery.experienceLevel = parsedFilters.experienceLevel;
-    if (parsedFilters.industry) searchQuery.industry = { $regex: parsedFilters.industry, $options: 'i' };
-    if (parsedFilters.location) searchQuery.location = { $regex: parsedFilters.location, $options: 'i' };
-    if (parsedFilters.company) searchQuery.company = { $regex: parsedFilters.company, $options: 'i' };
-    
-    // Salary filters
-    if (parsedFilters.minSalary || parsedFilters.maxSalary) {
-      searchQuery.salary = {};
-      if (parsedFilters.minSalary) searchQuery.salary.min = { $gte: parseInt(parsedFilters.minSalary) };
-      if (parsedFilters.maxSalary) searchQuery.salary.max = { $lte: parseInt(parsedFilters.maxSalary) };
-    }
-    
-    // Skills filters
-    if (parsedFilters.skills && Array.isArray(parsedFilters.skills)) {
-      searchQuery.skills = { $in: parsedFilters.skills };
-    }
-    
-    // Date filters
-    if (parsedFilters.postedAfter) {
-      searchQuery.postedDate = { $gte: new Date(parsedFilters.postedAfter) };
-    }
-    if (parsedFilters.postedBefore) {
-      if (searchQuery.postedDate) {
-        searchQuery.postedDate.$lte = new Date(parsedFilters.postedBefore);
-      } else {
-        searchQuery.postedDate = { $lte: new Date(parsedFilters.postedBefore) };
-      }
-    }
+    const searchQuery = buildSearchQuery(parsedFilters);
+    const facetNames = format ? null : readFacetNames(facets);
 
-    // Default filters
-    searchQuery.status = 'active';
-    
-    // Apply default sorting if not relevance
-    if (sort !== 'relevance') {
-      sortObj = {};
-      switch (sort) {
-        case 'postedDate':
-          sortObj.postedDate = -1;
-          break;
-        case 'salary':
-          sortObj['salary.max'] = -1;
-          break;
-        case 'company':
-          sortObj.company = 1;
-          break;
-        case 'location':
-          sortObj.location = 1;
-          break;
-        default:
-          sortObj.postedDate = -1;
-      }
+    // Plain text uses the MongoDB text index; queries with fields or
+    // operators become regular filters
+    const text = q && q.trim();
+    const { filter: textFilter, textSearch } = text ? queryFilter(text, parsedFilters) : {};
+    if (text) Object.assign(searchQuery, textFilter);
+
+    // Distances are measured from the point of a radius filter
+    const point = parsedFilters.near ? resolvePoint(parsedFilters.near) : null;
+    if (sort === 'distance' && !point) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sorting by distance needs a near filter'
+      });
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
+    // Relevance is the text score; without a text search there is no
+    // relevance to sort by, so the newest jobs come first
+    const sortSpec = sort === 'relevance' && textSearch
+      ? { field: 'score', order: -1 }
+      : (Object.hasOwn(SORTS, sort) && SORTS[sort]) || SORTS.postedDate;
+
     // Execute search
-    let searchPipeline = [
+    const searchPipeline = [
       { $match: searchQuery }
     ];
 
     // Add text score if text search is performed
-    if (q && q.trim()) {
+    if (textSearch) {
       searchPipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
     }
 
-    // Add sorting and pagination
+    // Add the distance in kilometres for radius searches
+    if (point) {
+      searchPipeline.push({ $addFields: { distance: distanceExpression(point) } });
+    }
+
+    // Exports stream every match instead of a page
+    if (format) {
+      searchPipeline.push(
+        { $sort: sortStage(sortSpec) },
+        { $limit: exportLimit(format, req.query.limit) },
+        { $project: { __v: 0 } }
+      );
+
+      const cursor = Job.aggregate(searchPipeline).allowDiskUse(true).cursor();
+      const title = text ? `Jobs matching "${text}"` : 'Job search';
+
+      return await streamJobs(req, res, cursor, format, { title });
+    }
+
+    const pageOptions = { sort: sortSpec, ...readPagination(req.query, sortSpec) };
+    const { page, limit, cursor, totalMode } = pageOptions;
+
+    // Add sorting and pagination; the cursor filter comes after the text
+    // score so relevance pages can be continued too. One extra job tells
+    // whether another page follows.
+    if (cursor) searchPipeline.push({ $match: keysetFilter(sortSpec, cursor) });
+    searchPipeline.push({ $sort: sortStage(sortSpec, cursor) });
+    if (!cursor) searchPipeline.push({ $skip: (page - 1) * limit });
     searchPipeline.push(
-      { $sort: sortObj },
-      { $skip: skip },
-      { $limit: parseInt(limit) },
+      { $limit: limit + 1 },
       { $project: { __v: 0 } }
     );
 
-    const jobs = await Job.aggregate(searchPipeline);
-    
-    // Get total count for pagination
-    const total = await Job.countDocuments(searchQuery);
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const [docs, count, facetCounts] = await Promise.all([
+      Job.aggregate(searchPipeline),
+      countTotal(Job, searchQuery, totalMode),
+      facetNames && searchFacets(facetNames, parsedFilters, { textFilter })
+    ]);
+    const { items: jobs, pagination } = buildPage(docs, pageOptions, count);
 
-    // Increment view count for each job
+    // Increment view count for each job; views are not content updates
     const jobIds = jobs.map(job => job._id);
     await Job.updateMany(
       { _id: { $in: jobIds } },
-      { $inc: { views: 1 } }
+      { $inc: { views: 1 } },
+      { timestamps: false }
     );
 
     res.json({
       success: true,
       data: jobs,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      },
+      pagination,
+      ...(facetCounts && { facets: facetCounts }),
       searchInfo: {
         query: q || '',
         filters: parsedFilters,
@@ -146,7 +145,19 @@ router.get('/', async (req, res) => {
     });
 
   } catch (error) {
+    // Query syntax errors, bad cursors, total modes, facets, unknown places
+    // and currencies
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+
     logger.error('Error performing search:', error);
+    // An export that fails midway can only be cut off
+    if (res.headersSent) return res.destroy();
     res.status(500).json({
       success: false,
       error: 'Search failed'
@@ -154,70 +165,13 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/search/suggestions - Get search suggestions
-router.get('/suggestions', async (req, res) => {
+// GET /api/search/suggestions - Typo-tolerant autocomplete for job titles,
+// companies, locations and skills, most used first
+router.get('/suggestions', validateSuggestionQuery, async (req, res) => {
   try {
-    const { q, type = 'all' } = req.query;
-    
-    if (!q || q.trim().length < 2) {
-      return res.json({
-        success: true,
-        data: []
-      });
-    }
-
-    const query = q.trim();
-    let suggestions = [];
-
-    switch (type) {
-      case 'jobs':
-        suggestions = await Job.distinct('title', {
-          title: { $regex: query, $options: 'i' },
-          status: 'active'
-        }).limit(10);
-        break;
-        
-      case 'companies':
-        suggestions = await Job.distinct('company', {
-          company: { $regex: query, $options: 'i' },
-          status: 'active'
-        }).limit(10);
-        break;
-        
-      case 'locations':
-        suggestions = await Job.distinct('location', {
-          location: { $regex: query, $options: 'i' },
-          status: 'active'
-        }).limit(10);
-        break;
-        
-      case 'skills':
-        suggestions = await Job.distinct('skills', {
-          skills: { $regex: query, $options: 'i' },
-          status: 'active'
-        }).limit(10);
-        break;
-        
-      default:
-        // Get suggestions from all fields
-        const [jobTitles, companies, locations, skills] = await Promise.all([
-          Job.distinct('title', { title: { $regex: query, $options: 'i' }, status: 'active' }).limit(5),
-          Job.distinct('company', { company: { $regex: query, $options: 'i' }, status: 'active' }).limit(5),
-          Job.distinct('location', { location: { $regex: query, $options: 'i' }, status: 'active' }).limit(5),
-          Job.distinct('skills', { skills: { $regex: query, $options: 'i' }, status: 'active' }).limit(5)
-        ]);
-        
-        suggestions = [
-          ...jobTitles.map(title => ({ type: 'job', value: title })),
-          ...companies.map(company => ({ type: 'company', value: company })),
-          ...locations.map(location => ({ type: 'location', value: location })),
-          ...skills.map(skill => ({ type: 'skill', value: skill }))
-        ];
-    }
-
     res.json({
       success: true,
-      data: suggestions
+      data: await suggest(req.query)
     });
 
   } catch (error) {
@@ -229,29 +183,34 @@ router.get('/suggestions', async (req, res) => {
   }
 });
 
-// GET /api/search/filters - Get available filter options
+// GET /api/search/filters - Get available filter options, with the salary
+// range in the currency and period asked for
 router.get('/filters', async (req, res) => {
   try {
-    const [jobTypes, remoteOptions, experienceLevels, industries, locations] = await Promise.all([
+    const units = readSalaryUnits({ currency: req.query.currency, period: req.query.period });
+
+    const [jobTypes, remoteOptions, experienceLevels, industries, locations, countries] = await Promise.all([
       Job.distinct('jobType', { status: 'active' }),
       Job.distinct('remote', { status: 'active' }),
       Job.distinct('experienceLevel', { status: 'active' }),
       Job.distinct('industry', { status: 'active', industry: { $exists: true, $ne: '' } }),
-      Job.distinct('location', { status: 'active' })
+      Job.distinct('location', { status: 'active' }),
+      Job.distinct('place.country', { status: 'active' })
     ]);
 
-    // Get salary ranges
-    const salaryStats = await Job.aggregate([
-      { $match: { status: 'active', 'salary.min': { $exists: true }, 'salary.max': { $exists: true } } },
+    // Get salary ranges from the normalized yearly amounts
+    const [salaryStats = { minSalary: 0, maxSalary: 0, avgSalary: 0 }] = await Job.aggregate([
+      { $match: { status: 'active', 'normalizedSalary.min': { $exists: true }, 'normalizedSalary.max': { $exists: true } } },
       {
         $group: {
           _id: null,
-          minSalary: { $min: '$salary.min' },
-          maxSalary: { $max: '$salary.max' },
-          avgSalary: { $avg: { $avg: ['$salary.min', '$salary.max'] } }
+          minSalary: { $min: '$normalizedSalary.min' },
+          maxSalary: { $max: '$normalizedSalary.max' },
+          avgSalary: { $avg: { $avg: ['$normalizedSalary.min', '$normalizedSalary.max'] } }
         }
       }
     ]);
+    const convert = (amount) => Math.round(fromBaseAnnual(amount, units));
 
     // Get top skills
     const topSkills = await Job.aggregate([
@@ -270,12 +229,26 @@ router.get('/filters', async (req, res) => {
         experienceLevels: experienceLevels.sort(),
         industries: industries.sort(),
         locations: locations.sort(),
-        salaryRange: salaryStats[0] || { minSalary: 0, maxSalary: 0, avgSalary: 0 },
+        countries: countries.sort(),
+        salaryRange: {
+          minSalary: convert(salaryStats.minSalary),
+          maxSalary: convert(salaryStats.maxSalary),
+          avgSalary: convert(salaryStats.avgSalary),
+          ...units
+        },
+        currencies: Object.keys(loadRates().rates).sort(),
         topSkills: topSkills.map(skill => skill._id)
       }
     });
 
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     logger.error('Error getting filter options:', error);
     res.status(500).json({
       success: false,
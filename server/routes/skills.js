@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const Skill = require('../models/Skill');
+const { protect, authorize } = require('../middleware/auth');
+const { validateSkill, validateSkillUpdate, validateSkillQuery } = require('../middleware/validation');
+const { createSkill, updateSkill, deleteSkill } = require('../services/skillTaxonomy');
+const { escapeRegex } = require('../utils/text');
+const logger = require('../utils/logger');
+
+// Load the skill named by req.params.id into req.skill
+const loadSkill = async (req, res, next) => {
+  try {
+    const skill = await Skill.findById(req.params.id);
+
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        error: 'Skill not found'
+      });
+    }
+
+    req.skill = skill;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Name conflicts are 409s and unknown or circular parents 400s
+const sendTaxonomyError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  error: error.message
+});
+
+// GET /api/skills - List the skill taxonomy, optionally by category or matching a name or alias
+router.get('/', validateSkillQuery, async (req, res) => {
+  try {
+    const { q, category } = req.query;
+    const filter = {};
+
+    if (category) filter.category = category;
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      filter.$or = [{ name: pattern }, { 'aliases.alias': pattern }];
+    }
+
+    const skills = await Skill.find(filter)
+      .populate('parent', 'name')
+      .sort({ category: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: skills
+    });
+
+  } catch (error) {
+    logger.error('Error fetching skills:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch skills'
+    });
+  }
+});
+
+// GET /api/skills/:id - Get a skill with the skills directly under it
+router.get('/:id', loadSkill, async (req, res) => {
+  try {
+    const [skill, children] = await Promise.all([
+      req.skill.populate('parent', 'name'),
+      Skill.find({ parent: req.skill._id }).select('name category').sort({ name: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...skill.toJSON(), children }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching skill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch skill'
+    });
+  }
+});
+
+// POST /api/skills - Add a skill to the taxonomy (admin)
+router.post('/', protect, authorize('admin'), validateSkill, async (req, res) => {
+  try {
+    const skill = await createSkill(req.body);
+
+    logger.info(`Skill created: ${skill.name} by ${req.actor.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: skill
+    });
+
+  } catch (error) {
+    if (error.statusCode) return sendTaxonomyError(res, error);
+
+    logger.error('Error creating skill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create skill'
+    });
+  }
+});
+
+// PATCH /api/skills/:id - Rename a skill or change its aliases, category or parent (admin)
+router.patch('/:id', protect, authorize('admin'), loadSkill, validateSkillUpdate, async (req, res) => {
+  try {
+    const skill = await updateSkill(req.skill, req.body);
+
+    logger.info(`Skill updated: ${skill.name} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      data: skill
+    });
+
+  } catch (error) {
+    if (error.statusCode) return sendTaxonomyError(res, error);
+
+    logger.error('Error updating skill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update skill'
+    });
+  }
+});
+
+// DELETE /api/skills/:id - Remove a skill; the skills under it move to its parent (admin)
+router.delete('/:id', protect, authorize('admin'), loadSkill, async (req, res) => {
+  try {
+    await deleteSkill(req.skill);
+
+    logger.info(`Skill deleted: ${req.skill.name} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      message: 'Skill deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting skill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete skill'
+    });
+  }
+});
+
+module.exports = router;
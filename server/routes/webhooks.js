@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookDeliveryQuery
+} = require('../middleware/validation');
+const { redeliver } = require('../services/webhooks');
+const logger = require('../utils/logger');
+
+// Managing webhooks is reserved to admins
+router.use(protect, authorize('admin'));
+
+// Load the subscription named by req.params.id into req.subscription
+const loadSubscription = async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    req.subscription = subscription;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/webhooks - List webhook subscriptions
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+
+  } catch (error) {
+    logger.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhooks'
+    });
+  }
+});
+
+// POST /api/webhooks - Subscribe a URL to job events; the signing secret is only returned once
+router.post('/', validateWebhook, async (req, res) => {
+  try {
+    const secret = WebhookSubscription.generateSecret();
+
+    const subscription = new WebhookSubscription({
+      ...req.body,
+      secret,
+      createdBy: req.actor.id,
+      createdByModel: req.actor.kind
+    });
+    await subscription.save();
+
+    logger.info(`Webhook created: ${subscription.url} (${subscription.events.join(', ')}) by ${req.actor.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        webhook: subscription,
+        secret
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook'
+    });
+  }
+});
+
+// GET /api/webhooks/:id - Get a webhook subscription
+router.get('/:id', loadSubscription, (req, res) => {
+  res.json({
+    success: true,
+    data: req.subscription
+  });
+});
+
+// PATCH /api/webhooks/:id - Change the URL, events, description or active flag
+router.patch('/:id', loadSubscription, validateWebhookUpdate, async (req, res) => {
+  try {
+    const { subscription } = req;
+    subscription.set(req.body);
+
+    // A re-enabled subscription starts with a clean failure count
+    if (req.body.active) subscription.consecutiveFailures = 0;
+    await subscription.save();
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    logger.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook'
+    });
+  }
+});
+
+// DELETE /api/webhooks/:id - Delete a subscription and its delivery log
+router.delete('/:id', loadSubscription, async (req, res) => {
+  try {
+    const { subscription } = req;
+    await subscription.deleteOne();
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+
+    logger.info(`Webhook deleted: ${subscription.url} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+router.post('/:id/rotate-secret', loadSubscription, async (req, res) => {
+  try {
+    const { subscription } = req;
+    const secret = WebhookSubscription.generateSecret();
+    subscription.secret = secret;
+    await subscription.save();
+
+    logger.info(`Webhook secret rotated: ${subscription.url} by ${req.actor.name}`);
+
+    res.json({
+      success: true,
+      data: {
+        webhook: subscription,
+        secret
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret'
+    });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - List deliveries with their response codes
+router.get('/:id/deliveries', loadSubscription, validateWebhookDeliveryQuery, async (req, res) => {
+  try {
+    const { status, event, page, limit } = req.query;
+
+    const filter = { subscription: req.subscription._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-payload -__v'),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// Load a delivery of the current subscription into req.delivery
+const loadDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      subscription: req.subscription._id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    req.delivery = delivery;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/webhooks/:id/deliveries/:deliveryId - Get a delivery with its payload and attempts
+router.get('/:id/deliveries/:deliveryId', loadSubscription, loadDelivery, (req, res) => {
+  res.json({
+    success: true,
+    data: req.delivery
+  });
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Send an event again
+router.post('/:id/deliveries/:deliveryId/redeliver', loadSubscription, loadDelivery, async (req, res) => {
+  try {
+    const { subscription, delivery } = req;
+
+    if (delivery.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'Delivery is still being retried'
+      });
+    }
+
+    if (!subscription.active) {
+      return res.status(409).json({
+        success: false,
+        error: 'Webhook is not active'
+      });
+    }
+
+    // The secret is not loaded by default
+    const withSecret = await WebhookSubscription.findById(subscription._id).select('+secret');
+    const redelivery = await redeliver(delivery, withSecret);
+
+    logger.info(`Webhook delivery ${delivery._id} redelivered as ${redelivery._id} by ${req.actor.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: redelivery
+    });
+
+  } catch (error) {
+    logger.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeliver webhook'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// Build the search suggestion index from the stored jobs, e.g. for an
+// existing database or after suggestion updates were missed. The running
+// server keeps it current afterwards.
+// Usage: node server/scripts/buildSuggestions.js [--dry-run]
+//   --dry-run  report what would change without saving
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const Suggestion = require('../models/Suggestion');
+const { rebuildSuggestions } = require('../services/suggestions');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await connectDB();
+
+  if (!dryRun) await Suggestion.syncIndexes();
+  const summary = await rebuildSuggestions({ dryRun });
+
+  logger.info(`Suggestion index build ${dryRun ? '(dry run) ' : ''}finished`, summary);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  logger.error('Suggestion index build failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// Create an admin account, or promote an existing user to admin.
+// Usage: node server/scripts/createAdmin.js <email> <password> [name]
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!email || !password) {
+    logger.error('Usage: node server/scripts/createAdmin.js <email> <password> [name]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+
+  if (user) {
+    user.role = 'admin';
+    user.tokenVersion += 1;
+    await user.save();
+    logger.info(`Existing user promoted to admin: ${user.email}`);
+  } else {
+    user = new User({ name, email, password, role: 'admin' });
+    await user.save();
+    logger.info(`Admin user created: ${user.email}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  logger.error('Failed to create admin user:', error);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+// Prepare existing data for duplicate detection: fill in missing dedupe keys,
+// merge jobs stored more than once for the same source posting and build the
+// unique (source, sourceId) index.
+// Usage: node server/scripts/dedupeJobs.js [--dry-run]
+//   --dry-run  report what would change without saving
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const Job = require('../models/Job');
+const { mergeJobs } = require('../services/deduplication');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await connectDB();
+
+  const counts = { keysUpdated: 0, sourceDuplicates: 0, merged: 0 };
+
+  // Trashed jobs are included: the unique index covers them too
+  const cursor = Job.find()
+    .setOptions({ withDeleted: true })
+    .select('title company location dedupeKey')
+    .cursor();
+
+  for (let job = await cursor.next(); job; job = await cursor.next()) {
+    const dedupeKey = Job.dedupeKeyOf(job);
+    if (job.dedupeKey === dedupeKey) continue;
+
+    counts.keysUpdated += 1;
+    if (!dryRun) await Job.updateOne({ _id: job._id }, { dedupeKey }, { withDeleted: true });
+  }
+
+  // Jobs stored several times for one source posting, trashed or not; the
+  // oldest job outside the trash is kept
+  const groups = await Job.aggregate([
+    { $match: { sourceId: { $type: 'string' } } },
+    { $sort: { deletedAt: 1, postedDate: 1, _id: 1 } },
+    { $group: { _id: { source: '$source', sourceId: '$sourceId' }, ids: { $push: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } }
+  ]).option({ withDeleted: true });
+
+  for (const group of groups) {
+    const [primaryId, ...duplicateIds] = group.ids;
+    counts.sourceDuplicates += duplicateIds.length;
+
+    if (dryRun) continue;
+
+    await mergeJobs(primaryId, duplicateIds, { withDeleted: true });
+    counts.merged += duplicateIds.length;
+    logger.info(`Merged ${duplicateIds.length} copies of ${group._id.source}:${group._id.sourceId} into ${primaryId}`);
+  }
+
+  if (!dryRun) await Job.syncIndexes();
+
+  logger.info(`Job deduplication ${dryRun ? '(dry run) ' : ''}finished`, counts);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  logger.error('Job deduplication failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+// Fill in missing job metadata (skills, experience level, remote, salary,
+// requirements) from the job text for existing documents.
+// Usage: node server/scripts/extractMetadata.js [--refresh] [--dry-run]
+//   --refresh  also recompute fields that were inferred on an earlier run
+//   --dry-run  report what would change without saving
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const Job = require('../models/Job');
+const { applyExtraction } = require('../services/extraction');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const refresh = args.includes('--refresh');
+  const dryRun = args.includes('--dry-run');
+
+  await connectDB();
+
+  const counts = { scanned: 0, updated: 0, failed: 0 };
+  const fieldCounts = {};
+
+  const cursor = Job.find().cursor();
+
+  for (let job = await cursor.next(); job; job = await cursor.next()) {
+    counts.scanned += 1;
+
+    const applied = applyExtraction(job, { refresh });
+    if (!job.isModified()) continue;
+
+    applied.forEach(field => {
+      fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+    });
+
+    if (dryRun) {
+      counts.updated += 1;
+      continue;
+    }
+
+    try {
+      await job.save();
+      counts.updated += 1;
+    } catch (error) {
+      counts.failed += 1;
+      logger.warn(`Could not update job ${job._id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Metadata extraction ${dryRun ? '(dry run) ' : ''}finished`, { ...counts, fields: fieldCounts });
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  logger.error('Metadata extraction failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+// Resolve the structured place (city, region, country, coordinates) of
+// existing jobs from their location, e.g. after the gazetteer in
+// server/data/gazetteer.json was updated, and build the geo indexes.
+// Usage: node server/scripts/geocodeJobs.js [--dry-run]
+//   --dry-run  report what would change without saving
+require('dotenv').config();
+const { isDeepStrictEqual } = require('util');
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const Job = require('../models/Job');
+const { lookupLocation } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await connectDB();
+
+  const counts = { scanned: 0, updated: 0, cleared: 0, unresolved: 0 };
+
+  // Trashed jobs are included so they are current when restored
+  const cursor = Job.find()
+    .setOptions({ withDeleted: true })
+    .select('location place')
+    .lean()
+    .cursor();
+
+  for (let job = await cursor.next(); job; job = await cursor.next()) {
+    counts.scanned += 1;
+
+    const place = lookupLocation(job.location);
+    if (!place) counts.unresolved += 1;
+    if (isDeepStrictEqual(place || undefined, job.place)) continue;
+
+    if (place) {
+      counts.updated += 1;
+      if (!dryRun) await Job.updateOne({ _id: job._id }, { place }, { withDeleted: true, timestamps: false });
+    } else {
+      counts.cleared += 1;
+      if (!dryRun) await Job.updateOne({ _id: job._id }, { $unset: { place: 1 } }, { withDeleted: true, timestamps: false });
+    }
+  }
+
+  if (!dryRun) await Job.syncIndexes();
+
+  logger.info(`Job geocoding ${dryRun ? '(dry run) ' : ''}finished`, counts);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  logger.error('Job geocoding failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+// Bulk import jobs from a CSV, JSON array or NDJSON file.
+// Usage: node server/scripts/importJobs.js <file> [--format csv|json|ndjson] [--dry-run] [--owner <email>] [--report <file>]
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const { FORMATS, detectFormat, readRecords, importJobs } = require('../services/importer');
+const logger = require('../utils/logger');
+
+const optionValue = (args, name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const file = args[0];
+  const format = optionValue(args, '--format') || detectFormat(file || '');
+  const ownerEmail = optionValue(args, '--owner');
+  const reportFile = optionValue(args, '--report');
+  const dryRun = args.includes('--dry-run');
+
+  if (!file || file.startsWith('--')) {
+    logger.error('Usage: node server/scripts/importJobs.js <file> [--format csv|json|ndjson] [--dry-run] [--owner <email>] [--report <file>]');
+    process.exit(1);
+  }
+
+  if (!FORMATS.includes(format)) {
+    logger.error(`Cannot tell the format of ${file}; pass --format ${FORMATS.join('|')}`);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  let actor = null;
+  if (ownerEmail) {
+    const owner = await User.findOne({ email: ownerEmail.toLowerCase() });
+    if (!owner) {
+      logger.error(`No user with email ${ownerEmail}`);
+      process.exit(1);
+    }
+    actor = { id: owner._id, kind: 'User', role: owner.role, name: owner.email };
+  } else {
+    // Without an owner the import runs with admin rights and creates unowned jobs
+    actor = { role: 'admin', name: 'cli' };
+  }
+
+  const records = readRecords(fs.createReadStream(file), format);
+  const result = await importJobs(records, { actor, dryRun });
+
+  result.rows
+    .filter(row => row.status === 'failed')
+    .forEach(row => logger.warn(`Row ${row.row} failed:`, { errors: row.errors }));
+
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify(result, null, 2));
+    logger.info(`Import report written to ${reportFile}`);
+  }
+
+  logger.info(`Import of ${file} ${dryRun ? '(dry run) ' : ''}finished`, result.summary);
+
+  await mongoose.disconnect();
+
+  if (result.error) {
+    logger.error(`Import of ${file} stopped at unparseable input: ${result.error}`);
+    process.exit(1);
+  }
+};
+
+run().catch(error => {
+  logger.error('Import failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+// Create company profiles from the company names of existing jobs and link
+// the jobs to them. Names that normalize alike ("Acme, Inc." and "ACME")
+// share one company.
+// Usage: node server/scripts/migrateCompanies.js [--dry-run]
+//   --dry-run  report what would change without saving
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const Company = require('../models/Company');
+const { migrateCompanies } = require('../services/companies');
+const { rebuildSuggestions } = require('../services/suggestions');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await connectDB();
+
+  if (!dryRun) await Company.syncIndexes();
+  const summary = await migrateCompanies({ dryRun, actor: { role: 'admin', name: 'cli' } });
+
+  // Job events are not listened to here, so rebuild the suggestions instead
+  if (summary.jobsLinked && !dryRun) await rebuildSuggestions();
+
+  logger.info(`Company migration ${dryRun ? '(dry run) ' : ''}finished`, summary);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  logger.error('Company migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Recompute the normalized yearly salary of existing jobs, e.g. after the
+// exchange rate table (server/data/exchangeRates.json or EXCHANGE_RATES_FILE)
+// was updated.
+// Usage: node server/scripts/normalizeSalaries.js [--dry-run]
+//   --dry-run  report what would change without saving
+require('dotenv').config();
+const { isDeepStrictEqual } = require('util');
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const Job = require('../models/Job');
+const { loadRates, normalizeSalary } = require('../utils/salary');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  const { base, updatedAt } = loadRates();
+  logger.info(`Normalizing salaries to yearly ${base} with rates from ${updatedAt || 'an undated table'}`);
+
+  await connectDB();
+
+  const counts = { scanned: 0, updated: 0, cleared: 0, unconvertible: 0 };
+
+  // Trashed jobs are included so they are current when restored
+  const cursor = Job.find()
+    .setOptions({ withDeleted: true })
+    .select('salary normalizedSalary')
+    .lean()
+    .cursor();
+
+  for (let job = await cursor.next(); job; job = await cursor.next()) {
+    counts.scanned += 1;
+
+    const normalizedSalary = normalizeSalary(job.salary);
+    const hasAmount = job.salary && (job.salary.min || job.salary.max);
+    if (!normalizedSalary && hasAmount) counts.unconvertible += 1;
+    if (isDeepStrictEqual(normalizedSalary || undefined, job.normalizedSalary)) continue;
+
+    if (normalizedSalary) {
+      counts.updated += 1;
+      if (!dryRun) await Job.updateOne({ _id: job._id }, { normalizedSalary }, { withDeleted: true, timestamps: false });
+    } else {
+      counts.cleared += 1;
+      if (!dryRun) await Job.updateOne({ _id: job._id }, { $unset: { normalizedSalary: 1 } }, { withDeleted: true, timestamps: false });
+    }
+  }
+
+  if (!dryRun) await Job.syncIndexes();
+
+  logger.info(`Salary normalization ${dryRun ? '(dry run) ' : ''}finished`, counts);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  logger.error('Salary normalization failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+// Rewrite the skills of existing jobs to their canonical taxonomy names,
+// e.g. after aliases were added or skills renamed, and rebuild the skill
+// suggestions. An empty taxonomy is seeded with the built-in skills.
+// Usage: node server/scripts/normalizeSkills.js [--seed] [--dry-run]
+//   --seed     also add built-in skills missing from the taxonomy
+//   --dry-run  report what would change without saving
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const Skill = require('../models/Skill');
+const { seedSkills, loadTaxonomy, normalizeStoredSkills } = require('../services/skillTaxonomy');
+const { rebuildSuggestions } = require('../services/suggestions');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  await connectDB();
+
+  if (!dryRun) await Skill.syncIndexes();
+  const seeded = args.includes('--seed') && !dryRun ? await seedSkills() : 0;
+  const { skills } = await loadTaxonomy();
+
+  const counts = await normalizeStoredSkills({ dryRun, actor: { role: 'admin', name: 'cli' } });
+
+  // Skill suggestions are counted by name, and job events are not listened
+  // to here
+  if (counts.updated && !dryRun) await rebuildSuggestions();
+
+  logger.info(`Skill normalization ${dryRun ? '(dry run) ' : ''}finished`, { skills, seeded, ...counts });
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  logger.error('Skill normalization failed:', error);
+  process.exit(1);
+});
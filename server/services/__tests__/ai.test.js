@@ -0,0 +1,138 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const User = require('../../models/User');
+const AiResult = require('../../models/AiResult');
+const aiRoutes = require('../../routes/ai');
+const { signAccessToken } = require('../../utils/tokens');
+const { AiProviderError } = require('../ai/errors');
+const OllamaProvider = require('../ai/providers/ollama');
+const MockProvider = require('../ai/providers/mock');
+const { getProvider, resetProvider, revisionOf, summarizeJob, extractJobDetails } = require('../ai');
+
+const job = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Backend Engineer',
+  company: 'Acme',
+  location: 'Berlin',
+  description: 'We build APIs with Node.js and MongoDB. You need 3 years of experience. We offer a yearly bonus.',
+  requirements: [],
+  skills: [],
+  benefits: [],
+  ...fields
+});
+
+// Keep AiResult documents in memory; returns the stored results
+const mockResultCache = () => {
+  const stored = [];
+  const sameKey = (doc, key) => Object.keys(key).every(field => String(doc[field]) === String(key[field]));
+
+  jest.spyOn(AiResult, 'findOne').mockImplementation(async key => stored.find(doc => sameKey(doc, key)) || null);
+  jest.spyOn(AiResult, 'updateOne').mockImplementation(async (key, { $setOnInsert }) => {
+    if (!stored.some(doc => sameKey(doc, key))) stored.push($setOnInsert);
+  });
+  return stored;
+};
+
+const environment = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...environment };
+  resetProvider();
+  jest.restoreAllMocks();
+});
+
+describe('getProvider', () => {
+  test('defaults to the mock provider and reuses the instance', () => {
+    delete process.env.AI_PROVIDER;
+    const provider = getProvider();
+    expect(provider).toBeInstanceOf(MockProvider);
+    expect(provider.config.model).toBe('mock');
+    expect(getProvider()).toBe(provider);
+  });
+
+  test('reads AI_PROVIDER again after a reset', () => {
+    process.env.AI_PROVIDER = 'mock';
+    expect(getProvider()).toBeInstanceOf(MockProvider);
+
+    resetProvider();
+    process.env.AI_PROVIDER = 'Ollama';
+    process.env.AI_MODEL = 'mistral';
+    const provider = getProvider();
+    expect(provider).toBeInstanceOf(OllamaProvider);
+    expect(provider.config).toMatchObject({ provider: 'ollama', model: 'mistral', baseUrl: 'http://localhost:11434' });
+  });
+
+  test('rejects unknown providers', () => {
+    process.env.AI_PROVIDER = 'skynet';
+    expect(getProvider).toThrow(AiProviderError);
+    expect(getProvider).toThrow('Unknown AI provider: skynet');
+  });
+});
+
+describe('result caching', () => {
+  test('a second call for the same revision is a cache hit', async () => {
+    const stored = mockResultCache();
+    const posting = job();
+
+    const first = await summarizeJob(posting);
+    expect(first).toMatchObject({ cached: false, provider: 'mock', model: 'mock', revision: revisionOf(posting) });
+    expect(first.summary).toMatch(/^Backend Engineer at Acme \(Berlin\)\. We build APIs/);
+
+    const second = await summarizeJob(posting);
+    expect(second).toEqual({ ...first, cached: true });
+    expect(stored).toHaveLength(1);
+  });
+
+  test('editing the content the task reads is a new revision', async () => {
+    const stored = mockResultCache();
+    const posting = job();
+    const first = await extractJobDetails(posting);
+
+    posting.description += ' Health insurance is included.';
+    const edited = await extractJobDetails(posting);
+
+    expect(edited.revision).not.toBe(first.revision);
+    expect(edited.cached).toBe(false);
+    expect(edited.benefits).toContain('Health insurance is included.');
+    expect(stored).toHaveLength(2);
+  });
+
+  test('fields the tasks do not read keep the revision', () => {
+    const posting = job();
+    expect(revisionOf({ ...posting, status: 'filled', views: 10 })).toBe(revisionOf(posting));
+    expect(revisionOf({ ...posting, title: 'Frontend Engineer' })).not.toBe(revisionOf(posting));
+  });
+});
+
+describe('POST /api/jobs/:id/ai/extract', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/jobs/:id/ai', aiRoutes);
+
+  test('attributes applied changes to the requesting user', async () => {
+    mockResultCache();
+    const user = new User({ email: 'recruiter@example.com', password: 'secret123', role: 'recruiter' });
+    const posting = new Job({ ...job(), jobType: 'full-time', owner: user._id, ownerModel: 'User' });
+    let savedBy;
+
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Job, 'findById').mockResolvedValue(posting);
+    jest.spyOn(Job.prototype, 'save').mockImplementation(async function() {
+      savedBy = this.$locals.actor;
+      return this;
+    });
+
+    const response = await request(app)
+      .post(`/api/jobs/${posting._id}/ai/extract`)
+      .set('Authorization', `Bearer ${signAccessToken(user)}`)
+      .send({ apply: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.applied).toBe(true);
+    expect(posting.skills).toEqual(expect.arrayContaining(['Node.js', 'MongoDB']));
+    expect(savedBy).toMatchObject({ kind: 'User', role: 'recruiter', name: 'recruiter@example.com' });
+    expect(String(savedBy.id)).toBe(String(user._id));
+  });
+});
@@ -0,0 +1,161 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const { validateBulkOperation } = require('../../middleware/validation');
+const { BULK_MAX_DOCUMENTS, runBulkOperation } = require('../bulkOperations');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const admin = { id: id(), kind: 'User', role: 'admin', name: 'admin@example.com' };
+const recruiter = { id: id(), kind: 'User', role: 'recruiter', name: 'recruiter@example.com' };
+
+const posting = (fields = {}) => new Job({
+  title: 'Backend Engineer',
+  company: 'Acme',
+  location: 'Berlin',
+  description: 'Build APIs with Node.js and MongoDB.',
+  jobType: 'full-time',
+  source: 'manual',
+  owner: recruiter.id,
+  ownerModel: 'User',
+  ...fields
+});
+
+// Ids of up to count jobs, as the API receives them
+const idList = count => Array.from({ length: count }, () => String(id()));
+
+let saved;
+
+beforeEach(() => {
+  saved = [];
+  jest.spyOn(Job.prototype, 'save').mockImplementation(async function() {
+    saved.push({ job: this, actor: this.$locals.actor });
+    return this;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('runBulkOperation by ids', () => {
+  let own;
+  let tagged;
+  let others;
+  let missing;
+
+  beforeEach(() => {
+    own = posting({ title: 'Own job' });
+    tagged = posting({ title: 'Tagged job', tags: ['urgent'] });
+    others = posting({ title: 'Other job', owner: id() });
+    missing = id();
+    jest.spyOn(Job, 'find').mockResolvedValue([tagged, others, own]);
+  });
+
+  const ids = () => [own, missing, others, tagged].map(job => String(job._id || job));
+
+  test('reports a result per id, in the order given', async () => {
+    const result = await runBulkOperation(
+      { ids: ids(), operation: { type: 'addTags', tags: ['urgent'] } },
+      { actor: recruiter }
+    );
+
+    expect(result).toMatchObject({ dryRun: false, matched: 3, summary: { updated: 1, not_found: 1, forbidden: 1, unchanged: 1 } });
+    expect(result.results).toEqual([
+      { id: own._id, title: 'Own job', result: 'updated' },
+      { id: String(missing), result: 'not_found' },
+      { id: String(others._id), result: 'forbidden' },
+      { id: tagged._id, title: 'Tagged job', result: 'unchanged' }
+    ]);
+    expect(saved).toEqual([{ job: own, actor: recruiter }]);
+    expect([...others.tags]).toEqual([]);
+  });
+
+  test('admins may change any job', async () => {
+    const { summary } = await runBulkOperation({ ids: ids(), operation: { type: 'setStatus', status: 'filled' } }, { actor: admin });
+
+    expect(summary).toEqual({ updated: 3, not_found: 1 });
+    expect(saved.map(({ job }) => job.title)).toEqual(['Own job', 'Other job', 'Tagged job']);
+  });
+
+  test('a dry run reports what would happen without saving', async () => {
+    const before = own.expiryDate;
+    const { dryRun, summary, results } = await runBulkOperation(
+      { ids: ids(), operation: { type: 'extendExpiry', days: 30 }, dryRun: true },
+      { actor: recruiter }
+    );
+
+    expect(dryRun).toBe(true);
+    expect(summary).toEqual({ updated: 2, not_found: 1, forbidden: 1 });
+    expect(results[0].expiryDate).toEqual(expect.any(Date));
+    expect(results[0].expiryDate).not.toEqual(before);
+    expect(saved).toEqual([]);
+  });
+
+  test('a dry run of a delete moves nothing to the trash', async () => {
+    const { summary } = await runBulkOperation({ ids: ids(), operation: { type: 'delete' }, dryRun: true }, { actor: recruiter });
+
+    expect(summary).toMatchObject({ deleted: 2 });
+    expect(saved).toEqual([]);
+    expect(own.deletedAt).toBeFalsy();
+  });
+
+  test('one failing job does not stop the others', async () => {
+    own.tags = Array.from({ length: 20 }, (_, index) => `tag-${index}`);
+
+    const { summary, results } = await runBulkOperation(
+      { ids: ids(), operation: { type: 'addTags', tags: ['remote'] } },
+      { actor: recruiter }
+    );
+
+    expect(summary).toMatchObject({ failed: 1, updated: 1 });
+    expect(results[0]).toMatchObject({ result: 'failed', error: 'A job can have at most 20 tags' });
+    expect(saved.map(({ job }) => job)).toEqual([tagged]);
+  });
+});
+
+describe('the bulk cap', () => {
+  test('rejects more ids than the cap', async () => {
+    const find = jest.spyOn(Job, 'find');
+
+    await expect(runBulkOperation(
+      { ids: idList(BULK_MAX_DOCUMENTS + 1), operation: { type: 'delete' } },
+      { actor: admin }
+    )).rejects.toMatchObject({ statusCode: 400, details: { matched: BULK_MAX_DOCUMENTS + 1, max: BULK_MAX_DOCUMENTS } });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('rejects searches matching more jobs than the cap', async () => {
+    jest.spyOn(Job, 'countDocuments').mockResolvedValue(BULK_MAX_DOCUMENTS + 20);
+    const find = jest.spyOn(Job, 'find');
+
+    await expect(runBulkOperation(
+      { search: { q: 'engineer' }, operation: { type: 'setStatus', status: 'filled' } },
+      { actor: recruiter }
+    )).rejects.toMatchObject({
+      statusCode: 400,
+      message: `The selection matches ${BULK_MAX_DOCUMENTS + 20} jobs; at most ${BULK_MAX_DOCUMENTS} can be changed in one call`
+    });
+    expect(find).not.toHaveBeenCalled();
+    expect(Job.countDocuments.mock.calls[0][0]).toMatchObject({ owner: recruiter.id, ownerModel: 'User' });
+  });
+
+  describe('in request validation', () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/bulk', validateBulkOperation, (req, res) => res.json({ ids: req.body.ids.length }));
+
+    const send = ids => request(app).post('/bulk').send({ ids, operation: { type: 'delete' } });
+
+    test('allows as many ids as the cap', async () => {
+      const response = await send(idList(BULK_MAX_DOCUMENTS));
+      expect(response.status).toBe(200);
+      expect(response.body.ids).toBe(BULK_MAX_DOCUMENTS);
+    });
+
+    test('rejects one more', async () => {
+      const response = await send(idList(BULK_MAX_DOCUMENTS + 1));
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ field: 'ids', message: `"ids" must contain less than or equal to ${BULK_MAX_DOCUMENTS} items` }]);
+    });
+  });
+});
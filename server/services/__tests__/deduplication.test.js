@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const Application = require('../../models/Application');
+const SavedJob = require('../../models/SavedJob');
+const AiResult = require('../../models/AiResult');
+const { findDuplicateClusters, mergeJobs } = require('../deduplication');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const posting = (fields = {}) => new Job({
+  title: 'Backend Engineer',
+  company: 'Acme',
+  location: 'Berlin',
+  description: 'Build APIs with Node.js and MongoDB.',
+  jobType: 'full-time',
+  source: 'linkedin',
+  ...fields
+});
+
+// Keep applications and saved jobs in memory, with the queries mergeJobs
+// runs against them
+const mockRecords = (Model, records, ownerField) => {
+  const matches = (record, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = field === 'candidate.email' ? record.candidate.email : record[field];
+    return condition && condition.$in
+      ? condition.$in.some(item => String(item) === String(value))
+      : String(value) === String(condition);
+  });
+
+  jest.spyOn(Model, 'distinct').mockImplementation(async (field, filter) => (
+    records.filter(record => matches(record, filter)).map(record => (
+      field === 'candidate.email' ? record.candidate.email : record[ownerField]
+    ))
+  ));
+  jest.spyOn(Model, 'deleteMany').mockImplementation(async (filter) => {
+    const removed = records.filter(record => matches(record, filter));
+    removed.forEach(record => records.splice(records.indexOf(record), 1));
+    return { deletedCount: removed.length };
+  });
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) => {
+    const changed = records.filter(record => matches(record, filter));
+    changed.forEach(record => Object.assign(record, update));
+    return { modifiedCount: changed.length };
+  });
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Job.dedupeKeyOf', () => {
+  test('postings differing in case, punctuation, abbreviations and legal form share a key', () => {
+    const keys = [
+      { title: 'Senior Backend Engineer', company: 'Acme GmbH', location: 'München' },
+      { title: 'Sr. Backend Engineer (m/f/d)', company: 'ACME', location: 'Munchen' },
+      { title: 'senior backend engineer', company: 'Acme, Inc.', location: 'munchen' }
+    ].map(fields => Job.dedupeKeyOf(fields));
+
+    expect(new Set(keys)).toEqual(new Set(['senior backend engineer|acme|munchen']));
+    expect(Job.dedupeKeyOf({ title: 'Backend Engineer', company: 'Acme', location: 'Munich' })).not.toBe(keys[0]);
+  });
+});
+
+describe('findDuplicateClusters', () => {
+  test('suggests the job with most applications, then views, then the earliest', async () => {
+    const jobs = [
+      { _id: 'a', source: 'linkedin', applications: 1, views: 50, postedDate: new Date('2026-01-01') },
+      { _id: 'b', source: 'indeed', applications: 3, views: 10, postedDate: new Date('2026-01-03') },
+      { _id: 'c', source: 'indeed', applications: 3, views: 10, postedDate: new Date('2026-01-02') }
+    ];
+    const aggregate = jest.spyOn(Job, 'aggregate').mockResolvedValue([{
+      clusters: [{ _id: 'backend engineer|acme|berlin', count: 3, sources: ['linkedin', 'indeed'], jobs }],
+      total: [{ count: 41 }]
+    }]);
+
+    const { clusters, pagination } = await findDuplicateClusters({ crossSource: true, page: 2, limit: 20 });
+
+    expect(clusters).toEqual([{
+      key: 'backend engineer|acme|berlin',
+      count: 3,
+      sources: ['indeed', 'linkedin'],
+      suggestedPrimaryId: 'c',
+      jobs
+    }]);
+    expect(pagination).toEqual({ page: 2, limit: 20, total: 41, totalPages: 3, hasNext: true, hasPrev: true });
+
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline).toContainEqual({ $match: { count: { $gt: 1 }, 'sources.1': { $exists: true } } });
+    expect(pipeline.find(stage => stage.$facet).$facet.clusters).toEqual([{ $skip: 20 }, { $limit: 20 }]);
+  });
+});
+
+describe('mergeJobs', () => {
+  const actor = { id: id(), kind: 'User', role: 'admin', name: 'admin@example.com' };
+  let primary;
+  let duplicate;
+  let applications;
+  let savedJobs;
+  let steps;
+
+  beforeEach(() => {
+    primary = posting({ sourceId: 'p', views: 10, applications: 2 });
+    duplicate = posting({ source: 'indeed', sourceId: 'd', views: 5, applications: 3 });
+    const alice = id();
+    const bob = id();
+
+    applications = [
+      { _id: id(), job: primary._id, candidate: { email: 'ann@example.com' } },
+      { _id: id(), job: primary._id, candidate: { email: 'ben@example.com' } },
+      { _id: id(), job: duplicate._id, candidate: { email: 'ann@example.com' } },
+      { _id: id(), job: duplicate._id, candidate: { email: 'cat@example.com' } },
+      { _id: id(), job: duplicate._id, candidate: { email: 'dan@example.com' } }
+    ];
+    savedJobs = [
+      { _id: id(), job: primary._id, user: alice },
+      { _id: id(), job: duplicate._id, user: alice },
+      { _id: id(), job: duplicate._id, user: bob }
+    ];
+    mockRecords(Application, applications, 'candidate');
+    mockRecords(SavedJob, savedJobs, 'user');
+
+    steps = [];
+    jest.spyOn(Job, 'findById').mockReturnValue({ setOptions: async () => primary });
+    jest.spyOn(Job, 'find').mockReturnValue({ setOptions: async () => [duplicate] });
+    jest.spyOn(primary, 'save').mockImplementation(async () => steps.push(`save ${primary.sourceId}`));
+    jest.spyOn(duplicate, 'deleteOne').mockImplementation(async () => steps.push(`delete ${duplicate.sourceId}`));
+    jest.spyOn(AiResult, 'deleteMany').mockImplementation(async ({ job }) => steps.push(`forget ${job}`));
+  });
+
+  test('moves applications and saved jobs to the primary job and adds up the counters', async () => {
+    const { job, summary } = await mergeJobs(primary._id, [duplicate._id], { actor });
+
+    expect(job).toBe(primary);
+    expect(summary).toEqual({
+      merged: [duplicate._id],
+      views: 5,
+      applications: 2,
+      applicationsMoved: 2,
+      applicationsDropped: 1,
+      savedJobsMoved: 1
+    });
+
+    expect(applications.every(application => application.job.equals(primary._id))).toBe(true);
+    expect(applications.map(application => application.candidate.email).sort())
+      .toEqual(['ann@example.com', 'ben@example.com', 'cat@example.com', 'dan@example.com']);
+    expect(savedJobs).toHaveLength(2);
+    expect(savedJobs.every(savedJob => savedJob.job.equals(primary._id))).toBe(true);
+
+    expect(primary).toMatchObject({ views: 15, applications: 4 });
+    expect(primary.mergedSources.map(entry => entry.toObject())).toEqual([
+      expect.objectContaining({ source: 'indeed', sourceId: 'd', jobId: duplicate._id })
+    ]);
+    expect(primary.$locals.actor).toBe(actor);
+    expect(duplicate.$locals.actor).toBe(actor);
+  });
+
+  test('deletes the duplicates only after the primary job is saved', async () => {
+    await mergeJobs(primary._id, [duplicate._id], { actor });
+    expect(steps).toEqual(['save p', 'delete d', `forget ${duplicate._id}`]);
+  });
+
+  test('keeps the duplicates when the primary job cannot be saved', async () => {
+    primary.save.mockRejectedValue(new Error('write conflict'));
+
+    await expect(mergeJobs(primary._id, [duplicate._id], { actor })).rejects.toThrow('write conflict');
+    expect(duplicate.deleteOne).not.toHaveBeenCalled();
+    expect(AiResult.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test('reports missing jobs as 404s', async () => {
+    const missing = id();
+
+    await expect(mergeJobs(primary._id, [duplicate._id, missing])).rejects.toMatchObject({
+      statusCode: 404,
+      message: `Jobs not found: ${missing}`
+    });
+
+    Job.findById.mockReturnValue({ setOptions: async () => null });
+    await expect(mergeJobs(id(), [duplicate._id])).rejects.toMatchObject({ statusCode: 404, message: 'Primary job not found' });
+  });
+});
@@ -0,0 +1,136 @@
+const express = require('express');
+const request = require('supertest');
+const { negotiateFormat, exportLimit, toCsvValue, escapeXml, streamJobs } = require('../exporter');
+
+const job = (fields = {}) => ({
+  _id: '65a000000000000000000001',
+  title: 'Backend Engineer',
+  company: 'Acme',
+  location: 'Berlin',
+  jobType: 'full-time',
+  skills: ['Node.js', 'MongoDB'],
+  source: 'linkedin',
+  status: 'active',
+  postedDate: new Date('2026-01-05T10:00:00Z'),
+  description: 'Build APIs.',
+  ...fields
+});
+
+// An in-memory stand-in for a query cursor
+const cursorOf = (jobs) => {
+  const cursor = {
+    closed: false,
+    async* [Symbol.asyncIterator]() {
+      yield* jobs;
+    },
+    close: async () => {
+      cursor.closed = true;
+    }
+  };
+  return cursor;
+};
+
+// An app answering with the negotiated format, or streaming the given jobs
+const appFor = (jobs = []) => {
+  const app = express();
+  app.get('/format', (req, res) => res.json({ format: negotiateFormat(req) }));
+  app.get('/export/:format', (req, res) => streamJobs(req, res, cursorOf(jobs), req.params.format, { title: 'Jobs & more' }));
+  return app;
+};
+
+describe('negotiateFormat', () => {
+  test.each([
+    ['?format=CSV', undefined, 'csv'],
+    ['?format=json', 'text/csv', null],
+    ['?format=xlsx', undefined, undefined],
+    ['', 'text/csv', 'csv'],
+    ['', 'application/jsonl', 'ndjson'],
+    ['', 'application/atom+xml, application/json;q=0.5', 'atom'],
+    ['', 'application/json, application/rss+xml;q=0.1', null],
+    ['', 'text/html', null],
+    ['', undefined, null]
+  ])('query %j with Accept %j is %j', async (query, accept, format) => {
+    const req = request(appFor()).get(`/format${query}`);
+    const response = await (accept ? req.set('Accept', accept) : req);
+    expect(response.body).toEqual(format === undefined ? {} : { format });
+  });
+});
+
+describe('exportLimit', () => {
+  test('feeds default to 50 items and allow at most 200', () => {
+    expect(exportLimit('rss')).toBe(50);
+    expect(exportLimit('atom', '500')).toBe(200);
+    expect(exportLimit('rss', '10')).toBe(10);
+    expect(exportLimit('csv', '10')).toBe(50000);
+  });
+});
+
+describe('toCsvValue', () => {
+  test.each([
+    ['=HYPERLINK("http://evil")', '"\'=HYPERLINK(""http://evil"")"'],
+    ['+1 555', "'+1 555"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\tindented', "'\tindented"],
+    ['\rline', "\"'\rline\""],
+    ['plain text', 'plain text'],
+    ['a "quoted", value', '"a ""quoted"", value"'],
+    ['two\nlines', '"two\nlines"']
+  ])('%j is written as %j', (value, expected) => {
+    expect(toCsvValue(value)).toBe(expected);
+  });
+
+  test('writes dates, numbers, lists and missing values', () => {
+    expect(toCsvValue(new Date('2026-01-05T10:00:00Z'))).toBe('2026-01-05T10:00:00.000Z');
+    expect(toCsvValue(-5)).toBe('-5');
+    expect(toCsvValue(['Node.js', '=cmd'])).toBe('Node.js|=cmd');
+    expect(toCsvValue(['=cmd', 'Node.js'])).toBe("'=cmd|Node.js");
+    expect(toCsvValue(null)).toBe('');
+    expect(toCsvValue(undefined)).toBe('');
+  });
+});
+
+describe('escapeXml', () => {
+  test('escapes markup characters and drops control characters', () => {
+    expect(escapeXml('<b>"R&D"</b> \'team\'')).toBe('&lt;b&gt;&quot;R&amp;D&quot;&lt;/b&gt; &apos;team&apos;');
+    expect(escapeXml('bell\u0007 tab\t line\n')).toBe('bell tab\t line\n');
+    expect(escapeXml(undefined)).toBe('');
+    expect(escapeXml(0)).toBe('0');
+  });
+});
+
+describe('streamJobs', () => {
+  test('writes CSV with a BOM, the import columns and escaped cells', async () => {
+    const response = await request(appFor([job({ title: '=Engineer', company: 'Acme, Inc.' })])).get('/export/csv');
+
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="jobs-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const [header, row] = response.text.split('\r\n');
+    expect(header.startsWith('\uFEFFid,title,company,location')).toBe(true);
+    expect(row.startsWith('65a000000000000000000001,\'=Engineer,"Acme, Inc.",Berlin,full-time')).toBe(true);
+    expect(row).toContain(',Node.js|MongoDB,');
+  });
+
+  test('writes RSS with escaped text and closes the cursor', async () => {
+    const jobs = [job({ title: 'R&D <Lead>', skills: ['C++'] })];
+    const cursor = cursorOf(jobs);
+    const app = express();
+    app.get('/feed', (req, res) => streamJobs(req, res, cursor, 'rss', { title: 'Jobs & more' }));
+
+    const response = await request(app).get('/feed');
+
+    expect(response.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(response.text).toContain('<title>Jobs &amp; more</title>');
+    expect(response.text).toContain('<title>R&amp;D &lt;Lead&gt; at Acme</title>');
+    expect(response.text).toContain('<category>C++</category>');
+    expect(response.text.trim().endsWith('</channel></rss>')).toBe(true);
+    expect(cursor.closed).toBe(true);
+  });
+
+  test('writes one JSON document per line for NDJSON', async () => {
+    const response = await request(appFor([job(), job({ title: 'Data Engineer' })])).get('/export/ndjson');
+    const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.title)).toEqual(['Backend Engineer', 'Data Engineer']);
+  });
+});
@@ -0,0 +1,30 @@
+const { extractSalary } = require('../extraction');
+
+describe('extractSalary', () => {
+  test.each([
+    ['₹12,00,000 per annum', { min: 1200000, currency: 'INR', period: 'yearly' }],
+    ['CHF 120000', { min: 120000, currency: 'CHF', period: 'yearly' }],
+    ['1.200.000 JPY', { min: 1200000, currency: 'JPY', period: 'yearly' }],
+    ['$120,000 - $150,000', { min: 120000, max: 150000, currency: 'USD', period: 'yearly' }],
+    ['€50k–60k EUR', { min: 50000, max: 60000, currency: 'EUR', period: 'yearly' }],
+    ['100-120k GBP', { min: 100000, max: 120000, currency: 'GBP', period: 'yearly' }],
+    ['CA$90k', { min: 90000, currency: 'CAD', period: 'yearly' }],
+    ['Salary: R$ 8.000 monthly', { min: 8000, currency: 'BRL', period: 'monthly' }],
+    ['up to £80k', { max: 80000, currency: 'GBP', period: 'yearly' }],
+    ['£45 per hour', { min: 45, currency: 'GBP', period: 'hourly' }]
+  ])('%s', (text, salary) => {
+    expect(extractSalary(text)).toEqual(salary);
+  });
+
+  test('small amounts need a salary word nearby', () => {
+    expect(extractSalary('Pay: USD 45 to 60 per hour')).toEqual({ min: 45, max: 60, currency: 'USD', period: 'hourly' });
+    expect(extractSalary('We pay $30')).toEqual({ min: 30, currency: 'USD', period: 'hourly' });
+    expect(extractSalary('Plans from £9.99 per month')).toBeNull();
+    expect(extractSalary('Version 2.0 of the app costs $9.99')).toBeNull();
+  });
+
+  test('amounts without a currency and lower-case codes are ignored', () => {
+    expect(extractSalary('5 years of experience since 2024')).toBeNull();
+    expect(extractSalary('try 50000 variations')).toBeNull();
+  });
+});
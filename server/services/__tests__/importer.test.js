@@ -0,0 +1,164 @@
+const { Readable } = require('stream');
+const { setTimeout: delay } = require('timers/promises');
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const { detectFormat, readRecords, csvRowToJob, importJobs } = require('../importer');
+
+const admin = { id: new mongoose.Types.ObjectId(), kind: 'User', role: 'admin', name: 'admin@example.com' };
+
+const posting = (fields = {}) => ({
+  title: 'Backend Engineer',
+  company: 'Acme',
+  location: 'Berlin',
+  description: 'Build APIs with Node.js and MongoDB.',
+  jobType: 'full-time',
+  source: 'linkedin',
+  ...fields
+});
+
+// A stream of text chunks; with pause set, each chunk arrives after the
+// importer has worked through the previous one
+const streamOf = (chunks, { pause = false } = {}) => Readable.from((async function* () {
+  for (const chunk of chunks) {
+    if (pause) await delay(20);
+    yield chunk;
+  }
+})());
+
+const importText = (chunks, format, options = {}) => importJobs(
+  readRecords(streamOf([].concat(chunks), options), format),
+  { actor: admin, ...options }
+);
+
+let saved;
+
+beforeEach(() => {
+  saved = [];
+  jest.spyOn(Job, 'findBySource').mockResolvedValue(null);
+  jest.spyOn(Job.prototype, 'save').mockImplementation(async function() {
+    saved.push(this);
+    return this;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('detectFormat', () => {
+  test.each([
+    ['jobs.csv', 'csv'],
+    ['text/csv', 'csv'],
+    ['jobs.ndjson', 'ndjson'],
+    ['jobs.jsonl', 'ndjson'],
+    ['application/x-ndjson', 'ndjson'],
+    ['application/json', 'json'],
+    ['jobs.xml', null]
+  ])('%s is %s', (hint, format) => {
+    expect(detectFormat(hint)).toBe(format);
+  });
+});
+
+describe('csvRowToJob', () => {
+  test('nests dotted columns, splits list columns and drops empty cells', () => {
+    expect(csvRowToJob({
+      title: 'Engineer',
+      'salary.min': '70000',
+      skills: 'Node.js | MongoDB;Docker',
+      industry: ''
+    })).toEqual({
+      title: 'Engineer',
+      salary: { min: '70000' },
+      skills: ['Node.js', 'MongoDB', 'Docker']
+    });
+  });
+});
+
+describe('importJobs', () => {
+  test('creates jobs from CSV rows', async () => {
+    const csv = [
+      'title,company,location,description,jobType,source,sourceId,skills,salary.min',
+      'Backend Engineer,Acme,Berlin,Build APIs with Node.js and MongoDB.,full-time,linkedin,1,Node.js|MongoDB,70000',
+      ',,,,,,,,',
+      'Data Engineer,Globex,Paris,Build pipelines with Python.,contract,indeed,2,Python,'
+    ].join('\n');
+
+    const result = await importText(csv, 'csv');
+
+    expect(result.summary).toEqual({ total: 3, created: 2, updated: 0, skipped: 1, failed: 0 });
+    expect(result.rows[1]).toEqual({ row: 2, status: 'skipped', reason: 'Empty row' });
+    expect(saved.map(job => job.title)).toEqual(['Backend Engineer', 'Data Engineer']);
+    expect(saved[0]).toMatchObject({ sourceId: '1', salary: { min: 70000 } });
+    expect([...saved[0].skills]).toEqual(['Node.js', 'MongoDB']);
+    expect(String(saved[0].owner)).toBe(String(admin.id));
+  });
+
+  test('reports invalid rows, unparseable lines and repeated sources per row', async () => {
+    const ndjson = [
+      JSON.stringify(posting({ sourceId: 'a' })),
+      '',
+      '{"title": ',
+      JSON.stringify(posting({ title: 'QA', jobType: 'gig' })),
+      JSON.stringify(posting({ sourceId: 'a', title: 'Backend Engineer II' }))
+    ].join('\n');
+
+    const { summary, rows } = await importText(ndjson, 'ndjson');
+
+    expect(summary).toEqual({ total: 4, created: 1, updated: 0, skipped: 1, failed: 2 });
+    expect(rows[1]).toMatchObject({ row: 3, status: 'failed', errors: [{ field: null }] });
+    expect(rows[1].errors[0].message).toMatch(/^Invalid JSON/);
+    expect(rows[2]).toMatchObject({ row: 4, status: 'failed' });
+    expect(rows[2].errors.map(error => error.field)).toEqual(['title', 'jobType']);
+    expect(rows[3]).toEqual({ row: 5, status: 'skipped', reason: 'Duplicate of an earlier row (linkedin:a)' });
+  });
+
+  test('updates the job with the same source, touching only the given columns', async () => {
+    const existing = new Job({ ...posting({ sourceId: 'a' }), industry: 'Software', owner: admin.id, ownerModel: 'User' });
+    Job.findBySource.mockResolvedValue(existing);
+
+    const { summary, rows } = await importText(JSON.stringify([{ ...posting({ sourceId: 'a' }), title: 'Lead Engineer' }]), 'json');
+
+    expect(summary.updated).toBe(1);
+    expect(rows[0]).toEqual({ row: 1, status: 'updated', id: existing._id });
+    expect(saved).toEqual([existing]);
+    expect(existing).toMatchObject({ title: 'Lead Engineer', industry: 'Software' });
+    expect(existing.$locals.actor).toBe(admin);
+  });
+
+  test('refuses to update jobs of other owners', async () => {
+    const recruiter = { id: new mongoose.Types.ObjectId(), kind: 'User', role: 'recruiter', name: 'r@example.com' };
+    Job.findBySource.mockResolvedValue(new Job({ ...posting({ sourceId: 'a' }), owner: admin.id, ownerModel: 'User' }));
+
+    const { rows } = await importJobs(
+      readRecords(streamOf([JSON.stringify(posting({ sourceId: 'a' }))]), 'ndjson'),
+      { actor: recruiter }
+    );
+
+    expect(rows[0]).toMatchObject({ status: 'failed', errors: [{ field: 'sourceId' }] });
+    expect(saved).toEqual([]);
+  });
+
+  test('a dry run validates without saving', async () => {
+    const { dryRun, summary, rows } = await importText(JSON.stringify([posting(), posting({ salary: { min: -1 } })]), 'json', { dryRun: true });
+
+    expect(dryRun).toBe(true);
+    expect(summary).toMatchObject({ created: 1, failed: 1 });
+    expect(rows[0]).toEqual({ row: 1, status: 'created', id: undefined });
+    expect(saved).toEqual([]);
+  });
+
+  test('input that stops parsing returns the rows before it and the error', async () => {
+    const result = await importText(
+      [`[${JSON.stringify(posting({ sourceId: 'a' }))},`, `${JSON.stringify(posting({ sourceId: 'b' }))},`, '{"title": tru'],
+      'json',
+      { pause: true }
+    );
+
+    expect(result.error).toEqual(expect.any(String));
+    expect(result.summary).toMatchObject({ total: 2, created: 2 });
+    expect(saved.map(job => job.sourceId)).toEqual(['a', 'b']);
+  });
+
+  test('a complete import has no error', async () => {
+    const result = await importText(JSON.stringify([posting()]), 'json');
+    expect(result).not.toHaveProperty('error');
+  });
+});
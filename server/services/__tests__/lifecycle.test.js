@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const JobRevision = require('../../models/JobRevision');
+const Application = require('../../models/Application');
+const AiResult = require('../../models/AiResult');
+const { jobEvents } = require('../../utils/events');
+const { runLifecycle } = require('../lifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T12:00:00Z');
+const daysAgo = days => new Date(NOW.getTime() - days * DAY_MS);
+
+const SYSTEM_ACTOR = { id: null, kind: 'System', name: 'lifecycle' };
+
+// The part of the MongoDB query language the sweeper uses
+const matches = (job, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(branch => matches(job, branch));
+
+  const value = job[field];
+  if (condition === null) return value == null;
+  if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+  if (typeof condition !== 'object' || condition instanceof mongoose.Types.ObjectId) return String(value) === String(condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$lte': return value != null && value <= operand;
+      case '$gt': return value != null && value > operand;
+      case '$in': return operand.includes(value);
+      case '$ne': return operand === null ? value != null : value !== operand;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+});
+
+// Keep jobs in memory, with the queries the sweeper and trash run
+const mockJobs = (jobs) => {
+  const query = result => ({
+    select: () => query(result),
+    limit: count => query(result.slice(0, count)),
+    lean: async () => result
+  });
+  const find = filter => jobs.find(job => matches(job, filter));
+
+  jest.spyOn(Job, 'find').mockImplementation(filter => query(jobs.filter(job => matches(job, filter))));
+  jest.spyOn(Job, 'findOne').mockImplementation(filter => ({ lean: async () => find(filter) && { ...find(filter) } }));
+  jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const job = find(filter);
+    return job ? Object.assign(job, update) : null;
+  });
+  jest.spyOn(Job, 'findOneAndDelete').mockImplementation(async (filter) => {
+    const job = find(filter);
+    if (job) jobs.splice(jobs.indexOf(job), 1);
+    return job || null;
+  });
+};
+
+const job = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Backend Engineer',
+  status: 'active',
+  postedDate: daysAgo(30),
+  updatedAt: daysAgo(30),
+  deletedAt: null,
+  ...fields
+});
+
+const environment = { ...process.env };
+let events;
+
+const recordEvent = type => event => events.push({ ...event, type });
+
+beforeEach(() => {
+  events = [];
+  ['job.status_changed', 'job.expired', 'job.deleted'].forEach(type => jobEvents.on(type, recordEvent(type)));
+  jest.spyOn(JobRevision, 'record').mockResolvedValue(null);
+  jest.spyOn(JobRevision, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(Application, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(AiResult, 'deleteMany').mockResolvedValue({});
+  process.env.TRASH_RETENTION_DAYS = '0';
+});
+
+afterEach(() => {
+  process.env = { ...environment };
+  jobEvents.removeAllListeners();
+  jest.restoreAllMocks();
+});
+
+describe('runLifecycle', () => {
+  test('expires active jobs past their expiry date', async () => {
+    const overdue = job({ expiryDate: daysAgo(1) });
+    const open = job({ expiryDate: new Date(NOW.getTime() + DAY_MS) });
+    const filled = job({ status: 'filled', expiryDate: daysAgo(1) });
+    mockJobs([overdue, open, filled]);
+
+    const summary = await runLifecycle({ now: NOW });
+
+    expect(summary).toEqual({ expired: 1, published: 0, archived: 0, purged: 0, trashPurged: 0 });
+    expect(overdue).toMatchObject({ status: 'expired', statusChangedAt: NOW });
+    expect(open.status).toBe('active');
+    expect(filled.status).toBe('filled');
+
+    expect(JobRevision.record).toHaveBeenCalledTimes(1);
+    expect(JobRevision.record).toHaveBeenCalledWith(overdue, {
+      action: 'status_changed',
+      before: expect.objectContaining({ status: 'active' }),
+      actor: SYSTEM_ACTOR
+    });
+    expect(events.map(({ type, job: { _id }, actor, data }) => ({ type, _id, actor, data }))).toEqual([
+      { type: 'job.status_changed', _id: overdue._id, actor: SYSTEM_ACTOR, data: { from: 'active', to: 'expired' } },
+      { type: 'job.expired', _id: overdue._id, actor: SYSTEM_ACTOR, data: {} }
+    ]);
+  });
+
+  test('publishes due drafts and moves their expiry date along', async () => {
+    const draft = job({ status: 'draft', publishAt: daysAgo(0), postedDate: daysAgo(10), expiryDate: daysAgo(-20) });
+    const scheduled = job({ status: 'draft', publishAt: daysAgo(-1) });
+    mockJobs([draft, scheduled]);
+
+    expect((await runLifecycle({ now: NOW })).published).toBe(1);
+    expect(draft).toMatchObject({ status: 'active', postedDate: NOW, expiryDate: daysAgo(-30) });
+    expect(scheduled.status).toBe('draft');
+  });
+
+  test('handles at most a batch of jobs per step', async () => {
+    process.env.LIFECYCLE_BATCH_SIZE = '2';
+    const jobs = [1, 2, 3].map(() => job({ expiryDate: daysAgo(1) }));
+    mockJobs(jobs);
+
+    expect((await runLifecycle({ now: NOW })).expired).toBe(2);
+    expect((await runLifecycle({ now: NOW })).expired).toBe(1);
+    expect(jobs.every(item => item.status === 'expired')).toBe(true);
+  });
+
+  test('skips a job that changed after it was picked', async () => {
+    const overdue = job({ expiryDate: daysAgo(1) });
+    mockJobs([overdue]);
+    Job.findOneAndUpdate.mockResolvedValue(null);
+
+    expect((await runLifecycle({ now: NOW })).expired).toBe(0);
+    expect(JobRevision.record).not.toHaveBeenCalled();
+    expect(events).toEqual([]);
+  });
+
+  describe('retention', () => {
+    let jobs;
+
+    beforeEach(() => {
+      process.env.JOB_RETENTION_DAYS = '30';
+      jobs = {
+        old: job({ status: 'expired', statusChangedAt: daysAgo(31) }),
+        recent: job({ status: 'filled', statusChangedAt: daysAgo(29) }),
+        // Closed before statusChangedAt was recorded
+        legacy: job({ status: 'filled', updatedAt: daysAgo(40) }),
+        open: job({ updatedAt: daysAgo(90) }),
+        archived: job({ status: 'archived', statusChangedAt: daysAgo(90) })
+      };
+      mockJobs(Object.values(jobs));
+    });
+
+    test('is off by default', async () => {
+      delete process.env.JOB_RETENTION_DAYS;
+      expect(await runLifecycle({ now: NOW })).toMatchObject({ archived: 0, purged: 0 });
+      expect(jobs.old.status).toBe('expired');
+    });
+
+    test('archives jobs closed before the retention period', async () => {
+      expect((await runLifecycle({ now: NOW })).archived).toBe(2);
+      expect(Object.entries(jobs).map(([name, { status }]) => `${name}: ${status}`)).toEqual([
+        'old: archived',
+        'recent: filled',
+        'legacy: archived',
+        'open: active',
+        'archived: archived'
+      ]);
+      expect(events.map(event => event.data)).toEqual([
+        { from: 'expired', to: 'archived' },
+        { from: 'filled', to: 'archived' }
+      ]);
+    });
+
+    test('purges closed and archived jobs when configured to', async () => {
+      process.env.JOB_RETENTION_ACTION = 'purge';
+
+      expect(await runLifecycle({ now: NOW })).toMatchObject({ archived: 0, purged: 3 });
+      expect(Job.findOneAndDelete).toHaveBeenCalledTimes(3);
+      expect(Application.deleteMany).toHaveBeenCalledWith({ job: jobs.old._id });
+      expect(events.map(({ type, job: { _id }, actor, data }) => ({ type, _id, actor, data }))).toEqual(
+        [jobs.old, jobs.legacy, jobs.archived].map(({ _id }) => ({
+          type: 'job.deleted',
+          _id,
+          actor: SYSTEM_ACTOR,
+          data: { permanent: true }
+        }))
+      );
+    });
+  });
+
+  test('empties the trash after the trash retention period', async () => {
+    process.env.TRASH_RETENTION_DAYS = '30';
+    const stale = job({ deletedAt: daysAgo(31) });
+    const fresh = job({ deletedAt: daysAgo(1) });
+    mockJobs([stale, fresh, job()]);
+
+    expect((await runLifecycle({ now: NOW })).trashPurged).toBe(1);
+    expect(Job.findOneAndDelete).toHaveBeenCalledTimes(1);
+    expect(Job.findOneAndDelete.mock.calls[0][0]._id).toBe(stale._id);
+  });
+});
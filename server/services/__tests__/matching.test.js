@@ -0,0 +1,134 @@
+const Job = require('../../models/Job');
+const { CANDIDATE_LIMIT, parseResume, candidateFilter, scoreJob, rankJobs, matchJobs } = require('../matching');
+
+const job = (id, fields = {}) => ({
+  _id: id,
+  title: 'Engineer',
+  location: 'Berlin',
+  remote: 'on-site',
+  postedDate: new Date('2026-01-01'),
+  skills: [],
+  requirements: [],
+  ...fields
+});
+
+const profile = parseResume({
+  skills: ['Node.js', 'MongoDB'],
+  experienceYears: 6,
+  location: 'Berlin',
+  salary: { min: 80000, currency: 'USD', period: 'yearly' }
+});
+
+const JOBS = [
+  job('a', { skills: ['Python'], experienceLevel: 'junior', location: 'Paris' }),
+  job('b', { skills: ['Node.js', 'MongoDB'], experienceLevel: 'senior', salary: { min: 90000, currency: 'USD', period: 'yearly' } }),
+  job('c', { skills: ['Node.js', 'React'], experienceLevel: 'senior' })
+];
+
+// Stand in for Job.countDocuments and Job.find; returns the queries asked for
+const mockJobs = (jobs, total = jobs.length) => {
+  const queries = [];
+  jest.spyOn(Job, 'countDocuments').mockResolvedValue(total);
+  jest.spyOn(Job, 'find').mockImplementation((query) => {
+    queries.push(query);
+    const chain = {
+      sort: () => chain,
+      limit: () => chain,
+      select: () => chain,
+      lean: () => Promise.resolve(jobs)
+    };
+    return chain;
+  });
+  return queries;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('scoreJob', () => {
+  test('weights each criterion and explains it', () => {
+    const { score, breakdown, explanation } = scoreJob(JOBS[1], profile);
+    expect(score).toBe(100);
+    expect(breakdown.skills).toMatchObject({ score: 1, matched: ['Node.js', 'MongoDB'], missing: [] });
+    expect(explanation).toContain('Matches 2 of 2 skills');
+  });
+
+  test('missing information scores as neutral', () => {
+    const { breakdown } = scoreJob(job('x'), parseResume({ skills: [] }));
+    expect(breakdown.skills.score).toBe(0.5);
+    expect(breakdown.experience.score).toBe(0.5);
+    expect(breakdown.salary.score).toBe(0.5);
+  });
+
+  test('salaries are compared as yearly amounts in the base currency', () => {
+    const hourly = job('x', { salary: { min: 20, currency: 'USD', period: 'hourly' } });
+    expect(scoreJob(hourly, profile).breakdown.salary.explanation).toBe('Salary is 48% below expectations');
+  });
+});
+
+describe('rankJobs', () => {
+  test('orders by score, then newest, then id', () => {
+    const tied = [
+      job('b', { postedDate: new Date('2026-01-01') }),
+      job('a', { postedDate: new Date('2026-01-01') }),
+      job('c', { postedDate: new Date('2026-02-01') })
+    ];
+    expect(rankJobs(tied, profile).map(item => item.job._id)).toEqual(['c', 'a', 'b']);
+    expect(rankJobs(JOBS, profile).map(item => item.job._id)).toEqual(['b', 'c', 'a']);
+  });
+});
+
+describe('candidateFilter', () => {
+  test('narrows to shared skills, the location and remote jobs', () => {
+    expect(candidateFilter(parseResume({ skills: ['reactjs'], location: 'São Paulo (SP)' }))).toEqual({
+      $or: [
+        { skills: { $in: ['React'] } },
+        { location: { $regex: 'São Paulo \\(SP\\)', $options: 'i' } },
+        { remote: 'remote' }
+      ]
+    });
+  });
+
+  test('does not narrow a profile without skills or location', () => {
+    expect(candidateFilter(parseResume({ skills: [] }))).toBeNull();
+  });
+});
+
+describe('matchJobs', () => {
+  const query = { status: 'active' };
+
+  test('returns results best first above minScore, up to limit', async () => {
+    mockJobs(JOBS);
+
+    const all = await matchJobs(profile, query);
+    expect(all.results.map(item => item.job._id)).toEqual(['b', 'c', 'a']);
+
+    const best = await matchJobs(profile, query, { minScore: 60 });
+    expect(best.results.map(item => item.job._id)).toEqual(['b', 'c']);
+    expect(best.results.every(item => item.match.score >= 60)).toBe(true);
+
+    const first = await matchJobs(profile, query, { limit: 1 });
+    expect(first.results.map(item => item.job._id)).toEqual(['b']);
+  });
+
+  test('scores every job when they fit under the cap', async () => {
+    const queries = mockJobs(JOBS);
+
+    expect(await matchJobs(profile, query)).toMatchObject({
+      candidatesMatched: 3,
+      candidatesScored: 3,
+      truncated: false
+    });
+    expect(queries).toEqual([query]);
+  });
+
+  test('pre-filters on skills and location above the cap and reports truncation', async () => {
+    const queries = mockJobs(JOBS, CANDIDATE_LIMIT + 1);
+
+    expect(await matchJobs(profile, query)).toMatchObject({
+      candidatesMatched: CANDIDATE_LIMIT + 1,
+      candidatesScored: 3,
+      truncated: true
+    });
+    expect(queries).toEqual([{ $and: [query, candidateFilter(profile)] }]);
+  });
+});
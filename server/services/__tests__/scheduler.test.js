@@ -0,0 +1,127 @@
+const SchedulerLock = require('../../models/SchedulerLock');
+const scheduler = require('../scheduler');
+
+const MINUTE = 60 * 1000;
+
+// Keep lock documents in memory. An upsert whose filter misses an existing
+// document collides with its _id, as it does on the unique index.
+const mockLocks = () => {
+  const locks = new Map();
+  const matchesBranch = (lock, branch) => {
+    if ('owner' in branch) return lock.owner === branch.owner;
+    if (branch.lockedUntil === null) return lock.lockedUntil == null;
+    return lock.lockedUntil != null && lock.lockedUntil <= branch.lockedUntil.$lte;
+  };
+  const holds = (lock, { owner, $or }) => (
+    (owner === undefined || lock.owner === owner) &&
+    (!$or || $or.some(branch => matchesBranch(lock, branch)))
+  );
+
+  jest.spyOn(SchedulerLock, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const lock = locks.get(filter._id);
+    if (lock && !holds(lock, filter)) {
+      throw Object.assign(new Error(`E11000 duplicate key error dup key: { _id: "${filter._id}" }`), { code: 11000 });
+    }
+    const updated = { ...lock, _id: filter._id, ...update };
+    locks.set(filter._id, updated);
+    return updated;
+  });
+  jest.spyOn(SchedulerLock, 'updateOne').mockImplementation(async (filter, update) => {
+    const lock = locks.get(filter._id);
+    if (!lock || !holds(lock, filter)) return { matchedCount: 0 };
+    Object.assign(lock, update);
+    return { matchedCount: 1 };
+  });
+  return locks;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('SchedulerLock', () => {
+  test('a lock is held by one owner until it expires', async () => {
+    const locks = mockLocks();
+
+    expect(await SchedulerLock.acquire('sweep', 'a', 10 * MINUTE)).toBe(true);
+    expect(await SchedulerLock.acquire('sweep', 'b', 10 * MINUTE)).toBe(false);
+    expect(locks.get('sweep').owner).toBe('a');
+
+    // The owner can extend its own lease
+    expect(await SchedulerLock.acquire('sweep', 'a', 10 * MINUTE)).toBe(true);
+
+    locks.get('sweep').lockedUntil = new Date(Date.now() - 1);
+    expect(await SchedulerLock.acquire('sweep', 'b', 10 * MINUTE)).toBe(true);
+    expect(locks.get('sweep').owner).toBe('b');
+  });
+
+  test('the lease lasts the given time', async () => {
+    const locks = mockLocks();
+    const before = Date.now();
+
+    await SchedulerLock.acquire('sweep', 'a', 5 * MINUTE);
+
+    const { lockedUntil, lastStartedAt } = locks.get('sweep');
+    expect(lockedUntil - lastStartedAt).toBe(5 * MINUTE);
+    expect(lastStartedAt.getTime()).toBeGreaterThanOrEqual(before);
+  });
+
+  test('releasing frees the lock and records the outcome', async () => {
+    const locks = mockLocks();
+    await SchedulerLock.acquire('sweep', 'a', 10 * MINUTE);
+
+    await SchedulerLock.release('sweep', 'b', { result: { expired: 1 } });
+    expect(locks.get('sweep').owner).toBe('a');
+
+    await SchedulerLock.release('sweep', 'a', { result: { expired: 1 } });
+    expect(locks.get('sweep')).toMatchObject({
+      owner: null,
+      lockedUntil: null,
+      lastOwner: 'a',
+      lastResult: { expired: 1 },
+      lastError: null
+    });
+    expect(await SchedulerLock.acquire('sweep', 'b', 10 * MINUTE)).toBe(true);
+  });
+
+  test('other database errors are not swallowed', async () => {
+    jest.spyOn(SchedulerLock, 'findOneAndUpdate').mockRejectedValue(new Error('not primary'));
+    await expect(SchedulerLock.acquire('sweep', 'a', MINUTE)).rejects.toThrow('not primary');
+  });
+});
+
+describe('scheduler', () => {
+  test('a locked task is skipped while another instance holds the lock', async () => {
+    const locks = mockLocks();
+    const run = jest.fn().mockResolvedValue({ expired: 2 });
+    const task = scheduler.register('locked-sweep', MINUTE, run, { lock: true });
+
+    await SchedulerLock.acquire('locked-sweep', 'other-instance', 10 * MINUTE);
+    expect(await scheduler.runNow('locked-sweep')).toBeNull();
+    expect(run).not.toHaveBeenCalled();
+    expect(task.skipped).toBe(1);
+
+    locks.get('locked-sweep').lockedUntil = new Date(Date.now() - 1);
+    expect(await scheduler.runNow('locked-sweep')).toEqual({ expired: 2 });
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(locks.get('locked-sweep')).toMatchObject({ owner: null, lastResult: { expired: 2 }, lastError: null });
+  });
+
+  test('a failed run releases the lock with the error', async () => {
+    const locks = mockLocks();
+    scheduler.register('failing-sweep', MINUTE, async () => {
+      throw new Error('boom');
+    }, { lock: true });
+
+    await expect(scheduler.runNow('failing-sweep')).rejects.toThrow('boom');
+    expect(locks.get('failing-sweep')).toMatchObject({ owner: null, lockedUntil: null, lastError: 'boom' });
+  });
+
+  test('tasks without a lock never touch the database', async () => {
+    mockLocks();
+    expect(await scheduler.runNow(scheduler.register('local-task', MINUTE, async () => 'done').name)).toBe('done');
+    expect(SchedulerLock.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('does not start under test', () => {
+    expect(scheduler.start()).toBe(false);
+  });
+});
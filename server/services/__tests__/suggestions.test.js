@@ -0,0 +1,234 @@
+const { isDeepStrictEqual } = require('util');
+const { setTimeout: delay } = require('timers/promises');
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const Suggestion = require('../../models/Suggestion');
+const { emitJobEvent } = require('../../utils/events');
+const { prefixDistance, suggest, syncJobSuggestions, listen } = require('../suggestions');
+
+let jobs;
+let entries;
+
+// Keep jobs and suggestion entries in memory, with the queries the
+// suggestion service runs against them
+const mockStore = () => {
+  jobs = new Map();
+  entries = [];
+
+  const entryOf = ({ type, key }) => entries.find(entry => entry.type === type && entry.key === key);
+  const ofType = (entry, filter) => !filter.type || filter.type.$in.includes(entry.type);
+
+  jest.spyOn(Job, 'findById').mockImplementation((id) => {
+    const chain = {
+      setOptions: () => chain,
+      select: () => chain,
+      lean: async () => (jobs.has(String(id)) ? { ...jobs.get(String(id)) } : null)
+    };
+    return chain;
+  });
+  jest.spyOn(Job, 'updateOne').mockImplementation(async ({ _id, suggestionKeys }, update) => {
+    const job = jobs.get(String(_id));
+    const unchanged = suggestionKeys.$exists === false
+      ? job.suggestionKeys === undefined
+      : isDeepStrictEqual(job.suggestionKeys, suggestionKeys);
+    if (!unchanged) return { modifiedCount: 0 };
+    Object.assign(job, update);
+    return { modifiedCount: 1 };
+  });
+
+  jest.spyOn(Suggestion, 'bulkWrite').mockImplementation(async (operations) => {
+    operations.forEach(({ updateOne: { filter, update, upsert } }) => {
+      let entry = entryOf(filter);
+      if (!entry && !upsert) return;
+      if (!entry) {
+        entry = { _id: new mongoose.Types.ObjectId(), ...filter, weight: 0, ...update.$setOnInsert };
+        entries.push(entry);
+      }
+      entry.weight += update.$inc.weight;
+    });
+  });
+  jest.spyOn(Suggestion, 'deleteMany').mockImplementation(async ({ $or, weight }) => {
+    entries = entries.filter(entry => !($or.some(filter => entryOf(filter) === entry) && entry.weight <= weight.$lte));
+  });
+
+  jest.spyOn(Suggestion, 'find').mockImplementation((filter) => {
+    let found = entries.filter(entry => entry.prefixes.includes(filter.prefixes) && ofType(entry, filter));
+    const chain = {
+      sort: () => {
+        found = [...found].sort((a, b) => b.weight - a.weight);
+        return chain;
+      },
+      limit: (count) => {
+        found = found.slice(0, count);
+        return chain;
+      },
+      select: () => chain,
+      lean: async () => found.map(entry => ({ ...entry }))
+    };
+    return chain;
+  });
+  jest.spyOn(Suggestion, 'aggregate').mockImplementation(async ([{ $match }, , , { $limit }]) => {
+    const grams = $match.grams.$in;
+    return entries
+      .filter(entry => ofType(entry, $match))
+      .map(entry => ({ ...entry, shared: entry.grams.filter(gram => grams.includes(gram)).length }))
+      .filter(entry => entry.shared > 0)
+      .sort((a, b) => b.shared - a.shared || b.weight - a.weight)
+      .slice(0, $limit);
+  });
+};
+
+const post = (fields = {}) => {
+  const job = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Backend Engineer',
+    company: 'Acme',
+    location: 'Berlin',
+    skills: [],
+    status: 'active',
+    deletedAt: null,
+    ...fields
+  };
+  jobs.set(String(job._id), job);
+  return job;
+};
+
+const postAndSync = async (fields) => {
+  const job = post(fields);
+  await syncJobSuggestions(job);
+  return job;
+};
+
+const weightOf = (type, key) => (entries.find(entry => entry.type === type && entry.key === key) || { weight: 0 }).weight;
+
+beforeEach(mockStore);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('prefixDistance', () => {
+  test.each([
+    ['react', 'react developer', 0],
+    ['raect', 'react', 1],
+    ['reat', 'react', 1],
+    ['pyhton', 'python', 1],
+    ['javscirpt', 'javascript', 2]
+  ])('from %s to a prefix of %s is %i', (query, text, distance) => {
+    expect(prefixDistance(query, text)).toBe(distance);
+  });
+});
+
+describe('suggest', () => {
+  beforeEach(async () => {
+    await postAndSync({ title: 'Senior React Developer', skills: ['React', 'Node.js'] });
+    await postAndSync({ title: 'Senior React Developer', company: 'Globex', skills: ['React'] });
+    await postAndSync({ title: 'React Native Engineer', company: 'Reaction GmbH', skills: ['React Native'] });
+    await postAndSync({ title: 'Recruiter', company: 'Realtek', location: 'Paris' });
+  });
+
+  const listed = suggestions => suggestions.map(({ type, value, weight, distance }) => `${type}: ${value} (${weight}, ${distance})`);
+
+  test('finds entries starting with the query at any word, most used first', async () => {
+    expect(listed(await suggest({ q: 'React' }))).toEqual([
+      'job: Senior React Developer (2, 0)',
+      'skill: React (2, 0)',
+      'job: React Native Engineer (1, 0)',
+      'company: Reaction GmbH (1, 0)',
+      'skill: React Native (1, 0)',
+      // One typo away from "react"
+      'company: Realtek (1, 1)'
+    ]);
+  });
+
+  test('matches several words from a word start', async () => {
+    expect((await suggest({ q: 'react dev' })).map(suggestion => suggestion.value)).toEqual(['Senior React Developer']);
+  });
+
+  test('finds misspelled queries sharing a trigram, closest and most used first', async () => {
+    expect(listed(await suggest({ q: 'reakt', type: 'jobs' }))).toEqual([
+      'job: Senior React Developer (2, 1)',
+      'job: React Native Engineer (1, 1)'
+    ]);
+    expect(listed(await suggest({ q: 'rectuiter' }))).toEqual(['job: Recruiter (1, 1)']);
+  });
+
+  test('tolerates no typos in very short queries', async () => {
+    expect(await suggest({ q: 'rx' })).toEqual([]);
+    expect(Suggestion.aggregate).not.toHaveBeenCalled();
+  });
+
+  test('filters by type and stops at the limit', async () => {
+    expect(await suggest({ q: 'react', type: 'skills', limit: 1 })).toEqual([
+      { type: 'skill', value: 'React', weight: 2, distance: 0 }
+    ]);
+  });
+
+  test('answers nothing for queries under two characters', async () => {
+    expect(await suggest({ q: 'r' })).toEqual([]);
+    expect(Suggestion.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('job events', () => {
+  beforeAll(listen);
+
+  // Listeners hand the update off; wait for it
+  const emitAndSettle = async (type, job) => {
+    emitJobEvent(type, job);
+    await delay(10);
+  };
+
+  test('count new jobs and move counts when a job changes', async () => {
+    const job = post({ title: 'Data Engineer', skills: ['Python'] });
+    await emitAndSettle('job.created', job);
+    expect(weightOf('job', 'data engineer')).toBe(1);
+    expect(jobs.get(String(job._id)).suggestionKeys).toEqual([
+      'job:data engineer', 'company:acme', 'location:berlin', 'skill:python'
+    ]);
+
+    job.title = 'Data Scientist';
+    await emitAndSettle('job.updated', job);
+    expect(weightOf('job', 'data scientist')).toBe(1);
+    expect(weightOf('job', 'data engineer')).toBe(0);
+    expect(entries.some(entry => entry.key === 'data engineer')).toBe(false);
+  });
+
+  test('the same change handled twice counts once', async () => {
+    const job = post({ skills: ['Go'] });
+    await Promise.all([
+      emitAndSettle('job.created', job),
+      emitAndSettle('job.updated', job)
+    ]);
+    await emitAndSettle('job.updated', job);
+
+    expect(weightOf('skill', 'go')).toBe(1);
+  });
+
+  test('closed, trashed and purged jobs stop counting', async () => {
+    const filled = await postAndSync({ skills: ['Rust'] });
+    const trashed = await postAndSync({ skills: ['Rust'] });
+    const purged = await postAndSync({ skills: ['Rust'] });
+    expect(weightOf('skill', 'rust')).toBe(3);
+
+    filled.status = 'filled';
+    await emitAndSettle('job.status_changed', filled);
+    trashed.deletedAt = new Date();
+    await emitAndSettle('job.deleted', trashed);
+    expect(weightOf('skill', 'rust')).toBe(1);
+
+    // A purged job is gone from the database; its event still carries its keys
+    const event = { ...jobs.get(String(purged._id)) };
+    jobs.delete(String(purged._id));
+    await emitAndSettle('job.deleted', event);
+    expect(entries.some(entry => entry.key === 'rust')).toBe(false);
+    expect(weightOf('company', 'acme')).toBe(0);
+  });
+
+  test('a restored job counts again', async () => {
+    const job = await postAndSync({ deletedAt: new Date(), skills: ['Elixir'] });
+    expect(weightOf('skill', 'elixir')).toBe(0);
+
+    job.deletedAt = null;
+    await emitAndSettle('job.restored', job);
+    expect(weightOf('skill', 'elixir')).toBe(1);
+  });
+});
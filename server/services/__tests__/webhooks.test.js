@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { signPayload, backoffDelay, enqueueEvent, redeliver } = require('../webhooks');
+
+const MINUTE = 60 * 1000;
+
+const subscription = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  url: 'https://hooks.example.com/jobs',
+  secret: 'whsec_test',
+  active: true,
+  ...fields
+});
+
+// A past delivery with the given number of failed attempts
+const pastDelivery = (failedAttempts = 0) => new WebhookDelivery({
+  subscription: new mongoose.Types.ObjectId(),
+  eventId: 'evt-1',
+  event: 'job.created',
+  payload: { id: 'evt-1', type: 'job.created', data: { job: { title: 'Engineer' } } },
+  attempts: Array.from({ length: failedAttempts }, () => ({ error: 'Responded with 500' }))
+});
+
+const respond = (status, body = '') => jest.spyOn(global, 'fetch').mockResolvedValue(new Response(body, { status }));
+
+let created;
+
+beforeEach(() => {
+  created = [];
+  jest.spyOn(WebhookDelivery, 'create').mockImplementation(async (fields) => {
+    const delivery = new WebhookDelivery(fields);
+    jest.spyOn(delivery, 'save').mockResolvedValue(delivery);
+    created.push(delivery);
+    return delivery;
+  });
+  jest.spyOn(WebhookSubscription, 'updateOne').mockResolvedValue({});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('signPayload', () => {
+  test('is the hex HMAC-SHA256 of "<timestamp>.<body>" with the secret', () => {
+    expect(signPayload('whsec_test', 1767225600, '{"type":"job.created"}'))
+      .toBe('0a05dd3f77ab135cef7ae4b7d517e63163a6556880e7f15b81365d3663f4a1fb');
+  });
+});
+
+describe('backoffDelay', () => {
+  test('doubles from 30 seconds and stops at 6 hours', () => {
+    expect([1, 2, 3, 4, 5].map(failed => backoffDelay(failed))).toEqual([0.5, 1, 2, 4, 8].map(minutes => minutes * MINUTE));
+    expect(backoffDelay(12)).toBe(6 * 60 * MINUTE);
+  });
+
+  test('follows the configured base and cap', () => {
+    expect(backoffDelay(3, { retryBaseMs: 1000, retryMaxMs: 3000 })).toBe(3000);
+    expect(backoffDelay(2, { retryBaseMs: 1000, retryMaxMs: 3000 })).toBe(2000);
+  });
+});
+
+describe('deliveries', () => {
+  test('are signed over the timestamp and the exact body sent', async () => {
+    const fetch = respond(202);
+    const target = subscription();
+
+    const delivery = await redeliver(pastDelivery(), target);
+
+    const [url, request] = fetch.mock.calls[0];
+    const { headers, body } = request;
+    const timestamp = headers['X-Webhook-Timestamp'];
+    const expected = crypto.createHmac('sha256', target.secret).update(`${timestamp}.${body}`).digest('hex');
+
+    expect(url).toBe(target.url);
+    expect(request).toMatchObject({ method: 'POST', redirect: 'manual' });
+    expect(headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': 'job.created',
+      'X-Webhook-Id': 'evt-1',
+      'X-Webhook-Delivery': String(delivery._id),
+      'X-Webhook-Signature': `sha256=${expected}`
+    });
+    expect(Math.abs(Number(timestamp) - Date.now() / 1000)).toBeLessThan(5);
+    expect(JSON.parse(body)).toEqual(delivery.payload);
+  });
+
+  test('succeed on a 2xx response', async () => {
+    respond(200, 'ok');
+    const delivery = await redeliver(pastDelivery(), subscription());
+
+    expect(delivery).toMatchObject({ status: 'succeeded', nextAttemptAt: undefined, lockedUntil: undefined });
+    expect(delivery.attempts[0]).toMatchObject({ responseStatus: 200, responseBody: 'ok' });
+    expect(WebhookSubscription.updateOne.mock.calls[0][1]).toMatchObject({ consecutiveFailures: 0 });
+  });
+
+  test('are retried after the backoff delay when they fail', async () => {
+    respond(503);
+    const delivery = await redeliver(pastDelivery(), subscription());
+
+    const wait = delivery.nextAttemptAt - Date.now();
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts[0]).toMatchObject({ responseStatus: 503, error: 'Responded with 503' });
+    expect(wait).toBeGreaterThan(0.5 * MINUTE - 5000);
+    expect(wait).toBeLessThanOrEqual(0.5 * MINUTE);
+    expect(WebhookSubscription.updateOne.mock.calls[0][1]).toMatchObject({ $inc: { consecutiveFailures: 1 } });
+  });
+
+  test('fail for good after the last attempt', async () => {
+    jest.spyOn(global, 'fetch').mockRejectedValue(new Error('connect ECONNREFUSED'));
+    const delivery = pastDelivery(5);
+    jest.spyOn(delivery, 'save').mockResolvedValue(delivery);
+    jest.spyOn(WebhookDelivery, 'create').mockResolvedValue(delivery);
+
+    await redeliver(pastDelivery(), subscription());
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts).toHaveLength(6);
+    expect(delivery.attempts[5].error).toBe('connect ECONNREFUSED');
+    expect(delivery.nextAttemptAt).toBeUndefined();
+  });
+
+  test('to a disabled subscription fail without a request', async () => {
+    const fetch = respond(200);
+    const delivery = await redeliver(pastDelivery(), subscription({ active: false }));
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts[0].error).toBe('Subscription is disabled or deleted');
+  });
+});
+
+describe('enqueueEvent', () => {
+  test('sends the event to every subscription that wants it', async () => {
+    const fetch = respond(200);
+    const sent = new Promise(resolve => fetch.mockImplementation(async () => {
+      resolve();
+      return new Response('', { status: 200 });
+    }));
+    const target = subscription();
+    jest.spyOn(WebhookSubscription, 'findForEvent').mockResolvedValue([target]);
+
+    const job = { _id: new mongoose.Types.ObjectId(), title: 'Engineer' };
+    await enqueueEvent({
+      type: 'job.updated',
+      job,
+      occurredAt: new Date('2026-01-05T10:00:00Z'),
+      actor: { id: 'u1', kind: 'User', role: 'admin', name: 'admin@example.com' },
+      data: { changes: ['title'] }
+    });
+    await sent;
+
+    expect(WebhookSubscription.findForEvent).toHaveBeenCalledWith('job.updated');
+    expect(created[0]).toMatchObject({ event: 'job.updated', subscription: target._id });
+    expect(created[0].payload).toEqual({
+      id: created[0].eventId,
+      type: 'job.updated',
+      occurredAt: '2026-01-05T10:00:00.000Z',
+      actor: { id: 'u1', kind: 'User', name: 'admin@example.com' },
+      data: { job: { _id: String(job._id), title: 'Engineer' }, changes: ['title'] }
+    });
+  });
+});
@@ -0,0 +1,15 @@
+// Raised when the configured AI provider fails or returns unusable output.
+// statusCode is picked up by the error handler.
+class AiProviderError extends Error {
+  constructor(message, { statusCode = 502, provider, cause } = {}) {
+    super(message);
+    this.name = 'AiProviderError';
+    this.statusCode = statusCode;
+    this.provider = provider;
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = {
+  AiProviderError
+};
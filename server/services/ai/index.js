@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const AiResult = require('../../models/AiResult');
+const { getAiConfig } = require('../../config/ai');
+const { AiProviderError } = require('./errors');
+const OpenAIProvider = require('./providers/openai');
+const OllamaProvider = require('./providers/ollama');
+const MockProvider = require('./providers/mock');
+const logger = require('../../utils/logger');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+// Job fields the AI tasks read; a change to any of them is a new revision
+const CONTENT_FIELDS = ['title', 'company', 'location', 'description', 'requirements', 'responsibilities', 'skills', 'benefits'];
+
+const SYSTEM_PROMPT = 'You are an assistant that helps recruiters and job seekers understand job postings. ' +
+  'Be accurate, concise and never invent facts that are not in the posting.';
+
+let cachedProvider = null;
+
+// Create the provider named in the configuration; the instance is reused
+const getProvider = () => {
+  if (cachedProvider) return cachedProvider;
+
+  const config = getAiConfig();
+  const Provider = PROVIDERS[config.provider];
+
+  if (!Provider) {
+    throw new AiProviderError(`Unknown AI provider: ${config.provider}`, { statusCode: 500 });
+  }
+
+  cachedProvider = new Provider(config);
+  return cachedProvider;
+};
+
+// Drop the cached provider so the next call re-reads the configuration
+const resetProvider = () => {
+  cachedProvider = null;
+};
+
+const hash = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+const contentOf = (job) => CONTENT_FIELDS.reduce((content, field) => {
+  content[field] = job[field];
+  return content;
+}, {});
+
+// Revision key of a job's AI-relevant content
+const revisionOf = (job) => hash(contentOf(job)).slice(0, 16);
+
+const describeJob = (job) => [
+  `Title: ${job.title}`,
+  `Company: ${job.company}`,
+  `Location: ${job.location}`,
+  `Description:\n${job.description}`,
+  job.requirements && job.requirements.length ? `Requirements:\n- ${job.requirements.join('\n- ')}` : null
+].filter(Boolean).join('\n\n');
+
+const PROMPTS = {
+  summarize: ({ job }) => ({
+    json: false,
+    prompt: `Summarize this job posting in 3 to 4 sentences for a job seeker.\n\n${describeJob(job)}`
+  }),
+  extract: ({ job }) => ({
+    json: true,
+    prompt: 'Extract the skills, requirements and benefits from this job posting. ' +
+      'Answer with a JSON object with the keys "skills", "requirements" and "benefits", ' +
+      'each an array of short strings.\n\n' + describeJob(job)
+  }),
+  coverLetter: ({ job, candidate }) => ({
+    json: false,
+    prompt: `Write a ${candidate.tone || 'professional'} cover letter of at most 300 words ` +
+      `for ${candidate.name} applying to this job.\n\n${describeJob(job)}\n\n` +
+      `Candidate background:\n${candidate.resumeText || 'Not provided'}`
+  })
+};
+
+const PARSERS = {
+  summarize: text => ({ summary: text.trim() }),
+  coverLetter: text => ({ coverLetter: text.trim() }),
+  extract: (text, provider) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new AiProviderError('AI provider returned invalid JSON', { provider });
+    }
+
+    const list = value => (Array.isArray(value) ? value : [])
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim());
+
+    return {
+      skills: list(data.skills),
+      requirements: list(data.requirements),
+      benefits: list(data.benefits)
+    };
+  }
+};
+
+// Run an AI task for a job, reusing the cached result for the same job
+// revision, task input, provider and model
+const runTask = async (task, job, extraInput = {}) => {
+  const provider = getProvider();
+  const { model } = provider.config;
+  const revision = revisionOf(job);
+  const inputHash = Object.keys(extraInput).length ? hash(extraInput) : '';
+
+  const key = { job: job._id, task, revision, inputHash, provider: provider.name, model };
+  const cached = await AiResult.findOne(key);
+
+  if (cached) {
+    return { ...cached.result, cached: true, revision, provider: provider.name, model };
+  }
+
+  const input = { job: job.toObject ? job.toObject() : job, ...extraInput };
+  const { prompt, json } = PROMPTS[task](input);
+
+  const started = Date.now();
+  const text = await provider.complete({
+    task,
+    input,
+    json,
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: prompt }
+    ]
+  });
+  logger.info(`AI ${task} for job ${job._id} via ${provider.name} took ${Date.now() - started}ms`);
+
+  const result = PARSERS[task](text, provider.name);
+
+  // A concurrent request may have stored the same result first
+  await AiResult.updateOne(key, { $setOnInsert: { ...key, result } }, { upsert: true })
+    .catch(error => {
+      if (error.code !== 11000) throw error;
+    });
+
+  return { ...result, cached: false, revision, provider: provider.name, model };
+};
+
+const summarizeJob = job => runTask('summarize', job);
+
+const extractJobDetails = job => runTask('extract', job);
+
+const writeCoverLetter = (job, candidate) => runTask('coverLetter', job, { candidate });
+
+module.exports = {
+  getProvider,
+  resetProvider,
+  revisionOf,
+  summarizeJob,
+  extractJobDetails,
+  writeCoverLetter
+};
@@ -0,0 +1,48 @@
+const { AiProviderError } = require('../errors');
+
+// POST a JSON body and parse the JSON response, aborting after timeoutMs
+const postJson = async (url, body, { headers = {}, timeoutMs, provider }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new AiProviderError(
+        `AI provider responded with ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`,
+        { provider }
+      );
+    }
+
+    return await response.json();
+
+  } catch (error) {
+    if (error instanceof AiProviderError) throw error;
+
+    if (error.name === 'AbortError') {
+      throw new AiProviderError(`AI provider timed out after ${timeoutMs}ms`, {
+        statusCode: 504,
+        provider
+      });
+    }
+
+    throw new AiProviderError(`AI provider request failed: ${error.message}`, {
+      provider,
+      cause: error
+    });
+
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+module.exports = {
+  postJson
+};
@@ -0,0 +1,62 @@
+const { extractSkills } = require('../../../utils/skills');
+
+// Sentences end at punctuation followed by whitespace, so "Node.js" stays whole
+const SENTENCE_BREAK = /(?<=[.!?])\s+|\n+/;
+const BENEFIT_WORDS = /\b(insurance|pension|401k|vacation|pto|holiday|bonus|equity|stock|remote|flexible|gym|wellness|parental|training)\b/i;
+const REQUIREMENT_WORDS = /\b(experience|years|degree|knowledge|proficien|familiar|ability|required|must)\b/i;
+
+const sentencesOf = (text = '') => text.split(SENTENCE_BREAK)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+// Deterministic stand-in for a language model: answers from the structured
+// input of each task, so tests and offline development need no network
+class MockProvider {
+  constructor(config) {
+    this.name = 'mock';
+    this.config = config;
+  }
+
+  async complete({ task, input = {} }) {
+    const job = input.job || {};
+
+    switch (task) {
+      case 'summarize': {
+        const lead = sentencesOf(job.description).slice(0, 2).join(' ');
+        return `${job.title} at ${job.company} (${job.location}). ${lead}`.trim();
+      }
+
+      case 'extract': {
+        const sentences = sentencesOf(job.description);
+        return JSON.stringify({
+          skills: extractSkills(job.description),
+          requirements: sentences.filter(sentence => REQUIREMENT_WORDS.test(sentence)),
+          benefits: sentences.filter(sentence => BENEFIT_WORDS.test(sentence))
+        });
+      }
+
+      case 'coverLetter': {
+        const candidate = input.candidate || {};
+        const matched = extractSkills(candidate.resumeText)
+          .filter(skill => (job.skills || []).includes(skill));
+
+        return [
+          `Dear ${job.company} hiring team,`,
+          '',
+          `I am writing to apply for the ${job.title} position in ${job.location}.` +
+            (matched.length ? ` My experience with ${matched.join(', ')} matches what you are looking for.` : ''),
+          '',
+          'Thank you for your time and consideration.',
+          '',
+          'Sincerely,',
+          candidate.name || 'Candidate'
+        ].join('\n');
+      }
+
+      default:
+        return '';
+    }
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,40 @@
+const { postJson } = require('./http');
+const { AiProviderError } = require('../errors');
+
+// Provider for a local Ollama-style /api/chat endpoint
+class OllamaProvider {
+  constructor(config) {
+    this.name = 'ollama';
+    this.config = config;
+  }
+
+  async complete({ messages, json = false }) {
+    const { baseUrl, model, temperature, maxTokens, timeoutMs } = this.config;
+
+    const body = {
+      model,
+      messages,
+      stream: false,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    };
+    if (json) body.format = 'json';
+
+    const data = await postJson(`${baseUrl}/api/chat`, body, {
+      timeoutMs,
+      provider: this.name
+    });
+
+    const content = data.message && data.message.content;
+
+    if (!content) {
+      throw new AiProviderError('AI provider returned an empty completion', { provider: this.name });
+    }
+
+    return content;
+  }
+}
+
+module.exports = OllamaProvider;
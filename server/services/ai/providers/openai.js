@@ -0,0 +1,39 @@
+const { postJson } = require('./http');
+const { AiProviderError } = require('../errors');
+
+// Provider for OpenAI and any server exposing the same /chat/completions API
+class OpenAIProvider {
+  constructor(config) {
+    this.name = 'openai';
+    this.config = config;
+  }
+
+  async complete({ messages, json = false }) {
+    const { baseUrl, apiKey, model, temperature, maxTokens, timeoutMs } = this.config;
+
+    const body = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (json) body.response_format = { type: 'json_object' };
+
+    const data = await postJson(`${baseUrl}/chat/completions`, body, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeoutMs,
+      provider: this.name
+    });
+
+    const content = data.choices && data.choices[0] && data.choices[0].message &&
+      data.choices[0].message.content;
+
+    if (!content) {
+      throw new AiProviderError('AI provider returned an empty completion', { provider: this.name });
+    }
+
+    return content;
+  }
+}
+
+module.exports = OpenAIProvider;
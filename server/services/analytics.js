@@ -0,0 +1,300 @@
+const Job = require('../models/Job');
+const { countryCode } = require('../utils/geo');
+const { escapeRegex } = require('../utils/text');
+const { readSalaryUnits, fromBaseAnnual } = require('../utils/salary');
+const { normalizeSkills } = require('../utils/skills');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods a posting volume series spans when no start date is given, and
+// at most
+const DEFAULT_SERIES_LENGTH = 12;
+const MAX_SERIES_LENGTH = 260;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// What salaries can be grouped by; skills are unwound first
+const SALARY_GROUPS = {
+  title: { $toLower: '$title' },
+  skill: '$skills',
+  location: { $ifNull: ['$place.city', '$location'] },
+  experienceLevel: '$experienceLevel',
+  industry: '$industry'
+};
+
+// Job filter shared by the reports. Unlike searches it covers every status
+// unless one is asked for, so history counts too.
+const analyticsFilter = ({ status, jobType, remote, experienceLevel, industry, company, location, country, skills }) => {
+  const filter = {};
+
+  if (status) filter.status = status;
+  if (jobType) filter.jobType = jobType;
+  if (remote) filter.remote = remote;
+  if (experienceLevel) filter.experienceLevel = experienceLevel;
+  if (industry) filter.industry = { $regex: escapeRegex(industry), $options: 'i' };
+  if (company) filter.company = { $regex: escapeRegex(company), $options: 'i' };
+  if (location) filter.location = { $regex: escapeRegex(location), $options: 'i' };
+  if (country) filter['place.country'] = countryCode(country);
+  if (skills) filter.skills = { $in: normalizeSkills(skills.split(',')) };
+
+  return filter;
+};
+
+const postedBetween = (from, to) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length ? { postedDate: range } : {};
+};
+
+// Aggregation expression for the p-th percentile (0-1) of a sorted array,
+// interpolating between the two nearest values
+const percentileOf = (sorted, p) => ({
+  $let: {
+    vars: { position: { $multiply: [p, { $subtract: [{ $size: sorted }, 1] }] } },
+    in: {
+      $let: {
+        vars: {
+          lower: { $arrayElemAt: [sorted, { $floor: '$$position' }] },
+          upper: { $arrayElemAt: [sorted, { $ceil: '$$position' }] }
+        },
+        in: {
+          $add: ['$$lower', {
+            $multiply: [{ $subtract: ['$$upper', '$$lower'] }, { $subtract: ['$$position', { $floor: '$$position' }] }]
+          }]
+        }
+      }
+    }
+  }
+});
+
+// Stages turning grouped salary amounts into their distribution
+const distributionStages = [
+  { $addFields: { sorted: { $sortArray: { input: '$amounts', sortBy: 1 } } } },
+  {
+    $project: {
+      _id: 0,
+      value: '$_id',
+      count: 1,
+      min: { $first: '$sorted' },
+      p25: percentileOf('$sorted', 0.25),
+      median: percentileOf('$sorted', 0.5),
+      p75: percentileOf('$sorted', 0.75),
+      max: { $last: '$sorted' }
+    }
+  }
+];
+
+const convertDistribution = (distribution, units) => {
+  const converted = { ...distribution };
+  ['min', 'p25', 'median', 'p75', 'max'].forEach(key => {
+    converted[key] = Math.round(fromBaseAnnual(distribution[key], units));
+  });
+  return converted;
+};
+
+// Salary percentiles per title, skill, location, experience level or
+// industry, from the midpoint of each job's normalized salary range and
+// given in the currency and period asked for
+const salaryInsights = async (query) => {
+  const { groupBy, from, to, minSamples, limit } = query;
+  const units = readSalaryUnits({ currency: query.currency, period: query.period });
+
+  const [result] = await Job.aggregate([
+    { $match: { ...analyticsFilter(query), ...postedBetween(from, to) } },
+    { $addFields: { amount: { $avg: ['$normalizedSalary.min', '$normalizedSalary.max'] } } },
+    { $match: { amount: { $ne: null } } },
+    {
+      $facet: {
+        overall: [
+          { $group: { _id: null, amounts: { $push: '$amount' }, count: { $sum: 1 } } },
+          ...distributionStages,
+          { $unset: 'value' }
+        ],
+        groups: [
+          ...(groupBy === 'skill' ? [{ $unwind: '$skills' }] : []),
+          { $group: { _id: SALARY_GROUPS[groupBy], amounts: { $push: '$amount' }, count: { $sum: 1 } } },
+          { $match: { _id: { $nin: [null, ''] }, count: { $gte: minSamples } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: limit },
+          ...distributionStages
+        ]
+      }
+    }
+  ]);
+
+  const [overall] = result.overall;
+
+  return {
+    groupBy,
+    ...units,
+    overall: overall ? convertDistribution(overall, units) : null,
+    groups: result.groups.map(group => convertDistribution(group, units))
+  };
+};
+
+// Start of the week (Monday) or month containing a date, in UTC
+const startOfPeriod = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'month') {
+    start.setUTCDate(1);
+  } else {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+// Start of the period a default series begins with, ending with `to`
+const defaultSeriesStart = (to, interval) => {
+  const start = startOfPeriod(to, interval);
+  if (interval === 'month') {
+    start.setUTCMonth(start.getUTCMonth() - (DEFAULT_SERIES_LENGTH - 1));
+  } else {
+    start.setUTCDate(start.getUTCDate() - 7 * (DEFAULT_SERIES_LENGTH - 1));
+  }
+  return start;
+};
+
+const nextPeriod = (date, interval) => {
+  const next = new Date(date);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + 7);
+  }
+  return next;
+};
+
+// Number of weeks or months from the period containing `from` to the one
+// containing `to`, both included
+const periodsBetween = (from, to, interval) => {
+  const start = startOfPeriod(from, interval);
+  if (interval === 'month') {
+    return (to.getUTCFullYear() - start.getUTCFullYear()) * 12 + to.getUTCMonth() - start.getUTCMonth() + 1;
+  }
+  return Math.floor((to - start) / (7 * DAY_MS)) + 1;
+};
+
+// Jobs posted per week or month. Periods without postings are listed with
+// zero counts, so the series can be charted as is. Series longer than
+// MAX_SERIES_LENGTH periods throw an error with statusCode 400.
+const postingVolume = async (query, { now = new Date() } = {}) => {
+  const { interval } = query;
+  const to = query.to || now;
+  const from = query.from || defaultSeriesStart(to, interval);
+
+  // Dates too far out to have a period start count as too long
+  if (!(periodsBetween(from, to, interval) <= MAX_SERIES_LENGTH)) {
+    throw badRequest(`A posting volume series can span at most ${MAX_SERIES_LENGTH} ${interval}s`);
+  }
+
+  const counts = await Job.aggregate([
+    { $match: { ...analyticsFilter(query), ...postedBetween(from, to) } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$postedDate', unit: interval, startOfWeek: 'monday' } },
+        count: { $sum: 1 },
+        companies: { $addToSet: '$company' }
+      }
+    },
+    { $project: { count: 1, companies: { $size: '$companies' } } }
+  ]);
+
+  const byPeriod = new Map(counts.map(({ _id, ...count }) => [_id.getTime(), count]));
+  const series = [];
+  for (let period = startOfPeriod(from, interval); period <= to; period = nextPeriod(period, interval)) {
+    series.push({ period, ...(byPeriod.get(period.getTime()) || { count: 0, companies: 0 }) });
+  }
+
+  return {
+    interval,
+    from,
+    to,
+    total: series.reduce((sum, { count }) => sum + count, 0),
+    series
+  };
+};
+
+// Skills whose posting counts grew most between the previous and the last
+// `days` days. Growth is the relative change; skills new in the last period
+// count from a previous count of one.
+const trendingSkills = async (query, { now = new Date() } = {}) => {
+  const { days, minCount, limit } = query;
+  const currentFrom = new Date(now.getTime() - days * DAY_MS);
+  const previousFrom = new Date(currentFrom.getTime() - days * DAY_MS);
+
+  const skills = await Job.aggregate([
+    { $match: { ...analyticsFilter(query), postedDate: { $gte: previousFrom, $lte: now } } },
+    { $unwind: '$skills' },
+    {
+      $group: {
+        _id: '$skills',
+        current: { $sum: { $cond: [{ $gte: ['$postedDate', currentFrom] }, 1, 0] } },
+        previous: { $sum: { $cond: [{ $lt: ['$postedDate', currentFrom] }, 1, 0] } }
+      }
+    },
+    { $match: { current: { $gte: minCount } } },
+    { $addFields: { growth: { $divide: [{ $subtract: ['$current', '$previous'] }, { $max: ['$previous', 1] }] } } },
+    { $sort: { growth: -1, current: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, skill: '$_id', current: 1, previous: 1, growth: { $round: ['$growth', 2] } } }
+  ]);
+
+  return {
+    days,
+    current: { from: currentFrom, to: now },
+    previous: { from: previousFrom, to: currentFrom },
+    skills
+  };
+};
+
+// Companies by the number of jobs they posted in the last `days` days, with
+// their open jobs, jobs filled in the period and applications received
+const companyActivity = async (query, { now = new Date() } = {}) => {
+  const { days, limit } = query;
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const inPeriod = { $gte: ['$postedDate', since] };
+
+  const companies = await Job.aggregate([
+    {
+      $match: {
+        ...analyticsFilter(query),
+        $or: [{ postedDate: { $gte: since } }, { status: 'active' }, { statusChangedAt: { $gte: since } }]
+      }
+    },
+    {
+      $group: {
+        _id: '$company',
+        postings: { $sum: { $cond: [inPeriod, 1, 0] } },
+        active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+        filled: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'filled'] }, { $gte: ['$statusChangedAt', since] }] }, 1, 0] }
+        },
+        applications: { $sum: { $cond: [inPeriod, '$applications', 0] } },
+        lastPostedAt: { $max: '$postedDate' }
+      }
+    },
+    { $match: { postings: { $gt: 0 } } },
+    { $sort: { postings: -1, lastPostedAt: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, company: '$_id', postings: 1, active: 1, filled: 1, applications: 1, lastPostedAt: 1 } }
+  ]);
+
+  return {
+    days,
+    since,
+    companies
+  };
+};
+
+module.exports = {
+  analyticsFilter,
+  salaryInsights,
+  postingVolume,
+  trendingSkills,
+  companyActivity
+};
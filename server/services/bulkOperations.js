@@ -0,0 +1,154 @@
+const Job = require('../models/Job');
+const { canManageJob } = require('../middleware/auth');
+const { buildSearchQuery } = require('../utils/searchFilters');
+const { queryFilter } = require('../utils/queryParser');
+
+// Most jobs one bulk call may touch
+const BULK_MAX_DOCUMENTS = parseInt(process.env.BULK_MAX_DOCUMENTS) || 500;
+
+// Most tags a job may carry, as for single updates
+const MAX_TAGS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Apply an operation to a loaded job in memory. Returns false when the job
+// would not change.
+const applyOperation = (job, operation, now) => {
+  switch (operation.type) {
+    case 'setStatus':
+      if (job.status === operation.status) return false;
+      job.status = operation.status;
+      return true;
+
+    case 'addTags': {
+      const added = operation.tags.filter(tag => !job.tags.includes(tag));
+      if (!added.length) return false;
+      if (job.tags.length + added.length > MAX_TAGS) {
+        throw new Error(`A job can have at most ${MAX_TAGS} tags`);
+      }
+      job.tags.push(...added);
+      return true;
+    }
+
+    case 'removeTags': {
+      const kept = job.tags.filter(tag => !operation.tags.includes(tag));
+      if (kept.length === job.tags.length) return false;
+      job.tags = kept;
+      return true;
+    }
+
+    case 'extendExpiry': {
+      // An expiry date in the past is extended from now
+      const from = Math.max(job.expiryDate ? job.expiryDate.getTime() : 0, now.getTime());
+      job.expiryDate = new Date(from + operation.days * DAY_MS);
+      return true;
+    }
+
+    case 'delete':
+      return true;
+
+    default:
+      throw new Error(`Unknown bulk operation: ${operation.type}`);
+  }
+};
+
+const tooManyError = (matched) => {
+  const error = new Error(`The selection matches ${matched} jobs; at most ${BULK_MAX_DOCUMENTS} can be changed in one call`);
+  error.statusCode = 400;
+  error.details = { matched, max: BULK_MAX_DOCUMENTS };
+  return error;
+};
+
+// Load the jobs a selection names. Ids the caller may not manage are
+// reported as forbidden; a search only matches jobs the caller may manage.
+const selectJobs = async ({ ids, search }, actor) => {
+  if (ids) {
+    if (ids.length > BULK_MAX_DOCUMENTS) throw tooManyError(ids.length);
+
+    const jobs = await Job.find({ _id: { $in: ids } });
+    const results = [];
+    const selected = [];
+
+    ids.forEach(id => {
+      const job = jobs.find(candidate => candidate._id.equals(id));
+      if (!job) {
+        results.push({ id, result: 'not_found' });
+      } else if (!canManageJob(actor, job)) {
+        results.push({ id, result: 'forbidden' });
+      } else {
+        selected.push(job);
+      }
+    });
+
+    return { matched: jobs.length, selected, results };
+  }
+
+  const query = buildSearchQuery(search.filters || {});
+  if (search.q) Object.assign(query, queryFilter(search.q, search.filters || {}).filter);
+  // Searches cover active jobs unless other statuses are asked for
+  if (search.status) {
+    query.status = { $in: search.status };
+    delete query.expiryDate;
+  }
+  if (actor.role !== 'admin') {
+    query.owner = actor.id;
+    query.ownerModel = actor.kind;
+  }
+
+  const matched = await Job.countDocuments(query);
+  if (matched > BULK_MAX_DOCUMENTS) throw tooManyError(matched);
+
+  const selected = await Job.find(query).sort({ _id: 1 }).limit(BULK_MAX_DOCUMENTS);
+  return { matched, selected, results: [] };
+};
+
+// Run one operation over the jobs selected by ids or by an /api/search
+// filter. Each job is saved on its own, so history and webhook events are
+// recorded per job and one failing job does not stop the others. With dryRun
+// nothing is saved and the results say what would happen.
+const runBulkOperation = async ({ ids, search, operation, dryRun = false }, { actor }) => {
+  const now = new Date();
+  const { matched, selected, results } = await selectJobs({ ids, search }, actor);
+
+  for (const job of selected) {
+    const item = { id: job._id, title: job.title };
+
+    try {
+      if (!applyOperation(job, operation, now)) {
+        item.result = 'unchanged';
+      } else if (operation.type === 'delete') {
+        if (!dryRun) await job.moveToTrash(actor);
+        item.result = 'deleted';
+      } else {
+        if (!dryRun) {
+          job.$locals.actor = actor;
+          await job.save({ validateModifiedOnly: true });
+        }
+        item.result = 'updated';
+        if (operation.type === 'extendExpiry') item.expiryDate = job.expiryDate;
+      }
+    } catch (error) {
+      item.result = 'failed';
+      item.error = error.message;
+    }
+
+    results.push(item);
+  }
+
+  // Report ids in the order they were given
+  if (ids) {
+    results.sort((a, b) => ids.indexOf(String(a.id)) - ids.indexOf(String(b.id)));
+  }
+
+  const summary = results.reduce((counts, { result }) => ({
+    ...counts,
+    [result]: (counts[result] || 0) + 1
+  }), {});
+
+  return { dryRun, operation, matched, summary, results };
+};
+
+module.exports = {
+  BULK_MAX_DOCUMENTS,
+  runBulkOperation
+};
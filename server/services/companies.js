@@ -0,0 +1,208 @@
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+const { buildJobFilter } = require('../utils/jobFilters');
+const { normalizeCompanyName } = require('../utils/text');
+
+// Period of the recent postings and fills in a company's hiring stats
+const STATS_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+// Check a company's name and aliases against the other companies. Names
+// that normalize to nothing ("Inc.") throw 400; names used by another
+// company throw 409.
+const checkCompany = async (fields, company = null) => {
+  const name = fields.name || company.name;
+  const spellings = [name, ...(fields.aliases || (company ? company.aliases : []))];
+
+  if (!normalizeCompanyName(name)) throw badRequest(`"${name}" is not a usable company name`);
+
+  const keys = spellings.map(normalizeCompanyName).filter(Boolean);
+  const others = await Company.find({ keys: { $in: keys }, ...(company && { _id: { $ne: company._id } }) })
+    .select('name keys')
+    .lean();
+
+  spellings.forEach(spelling => {
+    const owner = others.find(other => other.keys.includes(normalizeCompanyName(spelling)));
+    if (owner) throw conflict(`"${spelling}" is already used by the company ${owner.name}`);
+  });
+};
+
+// Link the jobs named by any of the given company names, and the jobs
+// already linked, to the company and store them under its current name.
+// Jobs are saved one by one, so renames are in their history under the actor
+// and their job.updated events reach webhooks and search suggestions.
+// Returns the number of jobs changed.
+const relinkJobs = async (company, names, { dryRun = false, actor } = {}) => {
+  let updated = 0;
+
+  // Trashed jobs are included so they are current when restored
+  const cursor = Job.find({ $or: [{ company: { $in: names } }, { companyId: company._id }] })
+    .setOptions({ withDeleted: true })
+    .cursor();
+
+  for (let job = await cursor.next(); job; job = await cursor.next()) {
+    if (String(job.companyId) === String(company._id) && job.company === company.name) continue;
+
+    updated += 1;
+    if (dryRun) continue;
+
+    job.company = company.name;
+    job.companyId = company._id;
+    job.$locals.actor = actor;
+    await job.save({ validateModifiedOnly: true, timestamps: false });
+  }
+
+  return updated;
+};
+
+// Link every job whose company name matches the company's name or aliases
+const linkJobs = async (company, options) => {
+  const names = (await Job.distinct('company').setOptions({ withDeleted: true }))
+    .filter(name => company.keys.includes(normalizeCompanyName(name)));
+  return relinkJobs(company, names, options);
+};
+
+// Add a company and link the jobs already posted under its names
+const createCompany = async (fields, { actor } = {}) => {
+  await checkCompany(fields);
+  const company = await Company.create(fields);
+  const jobsLinked = await linkJobs(company, { actor });
+  return { company, jobsLinked };
+};
+
+// Change a company. A renamed company keeps its old name as an alias, and
+// its jobs are stored under the new name.
+const updateCompany = async (company, fields, { actor } = {}) => {
+  await checkCompany(fields, company);
+  const update = { ...fields };
+
+  const aliases = update.aliases || company.aliases;
+  const key = normalizeCompanyName(company.name);
+  const renamed = fields.name && normalizeCompanyName(fields.name) !== key;
+  if (renamed && !aliases.some(alias => normalizeCompanyName(alias) === key)) {
+    update.aliases = [...aliases, company.name];
+  }
+
+  company.set(update);
+  await company.save();
+
+  const jobsLinked = await linkJobs(company, { actor });
+  return { company, jobsLinked };
+};
+
+// Remove a company. Its jobs keep the company name and are unlinked.
+const deleteCompany = async (company) => {
+  await Job.updateMany(
+    { companyId: company._id },
+    { $unset: { companyId: 1 } },
+    { withDeleted: true, timestamps: false }
+  );
+  await company.deleteOne();
+};
+
+// Open jobs per company, by company id
+const openJobCounts = async (companyIds) => {
+  const counts = await Job.aggregate([
+    { $match: { ...buildJobFilter({}), companyId: { $in: companyIds } } },
+    { $group: { _id: '$companyId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+// Hiring stats of a company: open jobs, jobs and fills overall and in the
+// last STATS_DAYS days, applications received and the last posting date
+const companyStats = async (company, { now = new Date() } = {}) => {
+  const since = new Date(now.getTime() - STATS_DAYS * DAY_MS);
+
+  const [openJobs, [totals]] = await Promise.all([
+    Job.countDocuments({ ...buildJobFilter({}), companyId: company._id }),
+    Job.aggregate([
+      { $match: { companyId: company._id } },
+      {
+        $group: {
+          _id: null,
+          totalJobs: { $sum: 1 },
+          filledJobs: { $sum: { $cond: [{ $eq: ['$status', 'filled'] }, 1, 0] } },
+          recentPostings: { $sum: { $cond: [{ $gte: ['$postedDate', since] }, 1, 0] } },
+          recentFills: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$status', 'filled'] }, { $gte: ['$statusChangedAt', since] }] }, 1, 0] }
+          },
+          applications: { $sum: '$applications' },
+          lastPostedAt: { $max: '$postedDate' }
+        }
+      }
+    ])
+  ]);
+
+  return {
+    openJobs,
+    totalJobs: totals ? totals.totalJobs : 0,
+    filledJobs: totals ? totals.filledJobs : 0,
+    applications: totals ? totals.applications : 0,
+    lastPostedAt: totals ? totals.lastPostedAt : null,
+    recent: {
+      days: STATS_DAYS,
+      since,
+      postings: totals ? totals.recentPostings : 0,
+      filled: totals ? totals.recentFills : 0
+    }
+  };
+};
+
+// Create company profiles from the company names of existing jobs. Names
+// are grouped by their normalized form; each group is linked to the company
+// that already has the name, or to a new company named after the group's
+// most used spelling.
+const migrateCompanies = async ({ dryRun = false, actor } = {}) => {
+  const summary = { names: 0, matched: 0, created: 0, jobsLinked: 0 };
+
+  const groups = new Map();
+  (await Job.distinct('company').setOptions({ withDeleted: true })).forEach(name => {
+    const key = normalizeCompanyName(name);
+    if (!key) return;
+    summary.names += 1;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(name);
+  });
+
+  for (const [key, names] of groups) {
+    let company = await Company.findOne({ keys: key });
+
+    if (company) {
+      summary.matched += 1;
+    } else {
+      const counts = await Promise.all(names.map(name => (
+        Job.countDocuments({ company: name }).setOptions({ withDeleted: true })
+      )));
+      const name = names[counts.indexOf(Math.max(...counts))];
+
+      summary.created += 1;
+      company = dryRun ? new Company({ name }) : await Company.create({ name });
+    }
+
+    summary.jobsLinked += await relinkJobs(company, names, { dryRun, actor });
+  }
+
+  return summary;
+};
+
+module.exports = {
+  createCompany,
+  updateCompany,
+  deleteCompany,
+  openJobCounts,
+  companyStats,
+  migrateCompanies
+};
@@ -0,0 +1,168 @@
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const SavedJob = require('../models/SavedJob');
+const AiResult = require('../models/AiResult');
+
+// Fields shown for each job of a duplicate cluster
+const CLUSTER_JOB_FIELDS = {
+  _id: '$_id',
+  title: '$title',
+  company: '$company',
+  location: '$location',
+  source: '$source',
+  sourceId: '$sourceId',
+  status: '$status',
+  views: '$views',
+  applications: '$applications',
+  postedDate: '$postedDate'
+};
+
+// The job most worth keeping: most applications, then most views, then the
+// earliest posting
+const pickPrimary = (jobs) => [...jobs].sort((a, b) =>
+  (b.applications || 0) - (a.applications || 0) ||
+  (b.views || 0) - (a.views || 0) ||
+  new Date(a.postedDate) - new Date(b.postedDate)
+)[0];
+
+// List groups of jobs sharing the same normalized title, company and
+// location. With crossSource only groups spanning several sources are listed.
+const findDuplicateClusters = async ({ crossSource = false, page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const clusterMatch = { count: { $gt: 1 } };
+  if (crossSource) clusterMatch['sources.1'] = { $exists: true };
+
+  const [result] = await Job.aggregate([
+    { $match: { dedupeKey: { $type: 'string' } } },
+    { $sort: { postedDate: 1 } },
+    {
+      $group: {
+        _id: '$dedupeKey',
+        count: { $sum: 1 },
+        sources: { $addToSet: '$source' },
+        jobs: { $push: CLUSTER_JOB_FIELDS }
+      }
+    },
+    { $match: clusterMatch },
+    { $sort: { count: -1, _id: 1 } },
+    {
+      $facet: {
+        clusters: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+
+  return {
+    clusters: result.clusters.map(cluster => ({
+      key: cluster._id,
+      count: cluster.count,
+      sources: cluster.sources.sort(),
+      suggestedPrimaryId: pickPrimary(cluster.jobs)._id,
+      jobs: cluster.jobs
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+// Move the applications of a duplicate to the primary job. A candidate who
+// applied to both keeps only their application to the primary job.
+const moveApplications = async (duplicate, primary) => {
+  const primaryEmails = await Application.distinct('candidate.email', { job: primary._id });
+
+  const dropped = await Application.deleteMany({
+    job: duplicate._id,
+    'candidate.email': { $in: primaryEmails }
+  });
+  const moved = await Application.updateMany({ job: duplicate._id }, { job: primary._id });
+
+  return { moved: moved.modifiedCount, dropped: dropped.deletedCount };
+};
+
+// Point saved jobs at the primary job; users who saved both keep the one
+// they saved for the primary job
+const moveSavedJobs = async (duplicate, primary) => {
+  const savedBy = await SavedJob.distinct('user', { job: primary._id });
+
+  await SavedJob.deleteMany({ job: duplicate._id, user: { $in: savedBy } });
+  const moved = await SavedJob.updateMany({ job: duplicate._id }, { job: primary._id });
+
+  return moved.modifiedCount;
+};
+
+// Merge duplicate jobs into a primary job. View and application counts are
+// added to the primary job, applications and saved jobs are moved over and
+// the duplicates' source postings are remembered so later imports of them
+// update the primary job. The duplicates are deleted only once the primary
+// job is saved, so a failed save loses nothing. withDeleted also merges
+// trashed jobs.
+const mergeJobs = async (primaryId, duplicateIds, { actor, withDeleted = false } = {}) => {
+  const primary = await Job.findById(primaryId).setOptions({ withDeleted });
+  if (!primary) {
+    const error = new Error('Primary job not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const duplicates = await Job.find({ _id: { $in: duplicateIds } }).setOptions({ withDeleted });
+  const missing = duplicateIds.filter(id => !duplicates.some(job => job._id.equals(id)));
+  if (missing.length) {
+    const error = new Error(`Jobs not found: ${missing.join(', ')}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  primary.$locals.actor = actor;
+  duplicates.forEach(duplicate => {
+    duplicate.$locals.actor = actor;
+  });
+
+  const summary = { merged: [], views: 0, applications: 0, applicationsMoved: 0, applicationsDropped: 0, savedJobsMoved: 0 };
+
+  for (const duplicate of duplicates) {
+    const applications = await moveApplications(duplicate, primary);
+    const savedJobsMoved = await moveSavedJobs(duplicate, primary);
+
+    // Counters may include applications that predate stored application
+    // records; only candidates who applied to both jobs are subtracted
+    const applicationCount = Math.max(0, (duplicate.applications || 0) - applications.dropped);
+
+    primary.views += duplicate.views || 0;
+    primary.applications += applicationCount;
+    primary.mergedSources.push(
+      ...duplicate.mergedSources.map(entry => entry.toObject()),
+      { source: duplicate.source, sourceId: duplicate.sourceId, jobId: duplicate._id }
+    );
+
+    summary.merged.push(duplicate._id);
+    summary.views += duplicate.views || 0;
+    summary.applications += applicationCount;
+    summary.applicationsMoved += applications.moved;
+    summary.applicationsDropped += applications.dropped;
+    summary.savedJobsMoved += savedJobsMoved;
+  }
+
+  await primary.save();
+
+  for (const duplicate of duplicates) {
+    await duplicate.deleteOne();
+    await AiResult.deleteMany({ job: duplicate._id });
+  }
+
+  return { job: primary, summary };
+};
+
+module.exports = {
+  findDuplicateClusters,
+  mergeJobs
+};
@@ -0,0 +1,216 @@
+const { once } = require('events');
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'rss', 'atom'];
+
+// Media types per format; the first ones are what is sent back
+const MEDIA_TYPES = {
+  json: ['application/json'],
+  csv: ['text/csv'],
+  ndjson: ['application/x-ndjson', 'application/jsonl'],
+  rss: ['application/rss+xml'],
+  atom: ['application/atom+xml']
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+
+// Most documents a CSV or NDJSON export may contain
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS) || 50000;
+
+// Items in a feed unless a limit is given, and the most allowed
+const FEED_DEFAULT_ITEMS = 50;
+const FEED_MAX_ITEMS = 200;
+
+// CSV columns; names match the import format so exports can be re-imported
+const CSV_COLUMNS = [
+  'id', 'title', 'company', 'location', 'jobType', 'experienceLevel', 'remote',
+  'industry', 'salary.min', 'salary.max', 'salary.currency', 'salary.period',
+  'skills', 'tags', 'source', 'sourceId', 'status', 'postedDate', 'expiryDate',
+  'applicationUrl', 'views', 'applications', 'description'
+];
+
+// Pick the export format from a format parameter or the Accept header.
+// Returns null for plain JSON and undefined for an unknown format.
+const negotiateFormat = (req) => {
+  const requested = req.query.format;
+  if (requested) {
+    const format = String(requested).toLowerCase();
+    if (format === 'json') return null;
+    return EXPORT_FORMATS.includes(format) ? format : undefined;
+  }
+
+  const accepted = req.accepts(Object.values(MEDIA_TYPES).flat());
+  if (!accepted) return null;
+
+  const format = Object.keys(MEDIA_TYPES).find(key => MEDIA_TYPES[key].includes(accepted));
+  return format === 'json' ? null : format;
+};
+
+// How many documents to stream for a format
+const exportLimit = (format, limit) => {
+  if (format === 'rss' || format === 'atom') {
+    return Math.min(parseInt(limit) || FEED_DEFAULT_ITEMS, FEED_MAX_ITEMS);
+  }
+  return EXPORT_MAX_ROWS;
+};
+
+const valueAt = (job, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), job);
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return toCsvValue(value.join('|'));
+  if (typeof value !== 'string') return String(value);
+
+  // Spreadsheets run cells starting with these characters as formulas
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (job) => CSV_COLUMNS
+  .map(column => toCsvValue(column === 'id' ? job._id : valueAt(job, column)))
+  .join(',') + '\r\n';
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const formatSalary = (salary) => {
+  if (!salary || (!salary.min && !salary.max)) return null;
+  const range = [salary.min, salary.max].filter(Boolean).join(' - ');
+  return `${range} ${salary.currency || 'USD'}${salary.period ? ` ${salary.period}` : ''}`;
+};
+
+// Short plain-text summary used as the feed item description
+const summaryOf = (job) => {
+  const details = [
+    job.location,
+    job.remote,
+    job.jobType,
+    job.experienceLevel,
+    formatSalary(job.salary)
+  ].filter(Boolean).join(' · ');
+  const description = (job.description || '').slice(0, 500);
+  return details ? `${details}\n\n${description}` : description;
+};
+
+const jobUrl = (job, baseUrl) => `${baseUrl}/api/jobs/${job._id}`;
+
+const rssItem = (job, baseUrl) => [
+  '<item>',
+  `<title>${escapeXml(`${job.title} at ${job.company}`)}</title>`,
+  `<link>${escapeXml(job.applicationUrl || jobUrl(job, baseUrl))}</link>`,
+  `<guid isPermaLink="false">${escapeXml(job._id)}</guid>`,
+  job.postedDate ? `<pubDate>${new Date(job.postedDate).toUTCString()}</pubDate>` : '',
+  `<description>${escapeXml(summaryOf(job))}</description>`,
+  ...(job.skills || []).map(skill => `<category>${escapeXml(skill)}</category>`),
+  '</item>\n'
+].join('');
+
+const atomEntry = (job, baseUrl) => [
+  '<entry>',
+  `<id>${escapeXml(jobUrl(job, baseUrl))}</id>`,
+  `<title>${escapeXml(`${job.title} at ${job.company}`)}</title>`,
+  `<link rel="alternate" href="${escapeXml(job.applicationUrl || jobUrl(job, baseUrl))}"/>`,
+  `<updated>${new Date(job.updatedAt || job.postedDate || Date.now()).toISOString()}</updated>`,
+  job.postedDate ? `<published>${new Date(job.postedDate).toISOString()}</published>` : '',
+  `<author><name>${escapeXml(job.company)}</name></author>`,
+  `<summary>${escapeXml(summaryOf(job))}</summary>`,
+  ...(job.skills || []).map(skill => `<category term="${escapeXml(skill)}"/>`),
+  '</entry>\n'
+].join('');
+
+// Opening and closing text plus a per-document writer for each format
+const writers = {
+  csv: () => ({
+    head: '\uFEFF' + CSV_COLUMNS.join(',') + '\r\n',
+    row: csvRow,
+    tail: ''
+  }),
+  ndjson: () => ({
+    head: '',
+    row: job => JSON.stringify(job) + '\n',
+    tail: ''
+  }),
+  rss: ({ title, description, selfUrl, baseUrl }) => ({
+    head: '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel>' +
+      `<title>${escapeXml(title)}</title>` +
+      `<link>${escapeXml(selfUrl)}</link>` +
+      `<description>${escapeXml(description)}</description>` +
+      `<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>` +
+      `<lastBuildDate>${new Date().toUTCString()}</lastBuildDate>\n`,
+    row: job => rssItem(job, baseUrl),
+    tail: '</channel></rss>\n'
+  }),
+  atom: ({ title, description, selfUrl, baseUrl }) => ({
+    head: '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<feed xmlns="http://www.w3.org/2005/Atom">' +
+      `<id>${escapeXml(selfUrl)}</id>` +
+      `<title>${escapeXml(title)}</title>` +
+      `<subtitle>${escapeXml(description)}</subtitle>` +
+      `<link rel="self" href="${escapeXml(selfUrl)}"/>` +
+      `<updated>${new Date().toISOString()}</updated>\n`,
+    row: job => atomEntry(job, baseUrl),
+    tail: '</feed>\n'
+  })
+};
+
+// Absolute URLs for feed links; PUBLIC_URL wins over the request host
+const feedUrls = (req) => {
+  const baseUrl = (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return { baseUrl, selfUrl: `${baseUrl}${req.originalUrl}` };
+};
+
+// Stream documents from a query or aggregation cursor to the response in the
+// given format, waiting for the client to catch up when its buffer is full
+const streamJobs = async (req, res, cursor, format, { title = 'Jobs', description = 'Job postings' } = {}) => {
+  const writer = writers[format]({ title, description, ...feedUrls(req) });
+
+  res.status(200);
+  if (format === 'csv' || format === 'ndjson') {
+    res.attachment(`jobs-${new Date().toISOString().slice(0, 10)}.${format}`);
+  }
+  res.set('Content-Type', CONTENT_TYPES[format]);
+
+  // Stop reading from the database if the client goes away
+  const disconnected = new AbortController();
+  res.on('close', () => disconnected.abort());
+
+  const write = async (chunk) => {
+    if (chunk && !res.write(chunk)) await once(res, 'drain', { signal: disconnected.signal });
+  };
+
+  try {
+    await write(writer.head);
+    for await (const job of cursor) {
+      if (disconnected.signal.aborted) break;
+      await write(writer.row(job));
+    }
+    await write(writer.tail);
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  negotiateFormat,
+  exportLimit,
+  toCsvValue,
+  escapeXml,
+  streamJobs
+};
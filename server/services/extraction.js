@@ -0,0 +1,305 @@
+const { extractSkills } = require('../utils/skills');
+const { loadRates, isKnownCurrency, toBaseAnnual } = require('../utils/salary');
+
+// Fields the extractor can infer from a job's text
+const INFERABLE_FIELDS = ['skills', 'experienceLevel', 'remote', 'salary', 'requirements'];
+
+const LEVELS = ['entry', 'junior', 'mid', 'senior', 'lead', 'executive'];
+
+// Minimum years of experience usually expected at each level
+const LEVEL_YEARS = { entry: 0, junior: 1, mid: 3, senior: 5, lead: 8, executive: 12 };
+
+// Checked in order, so the most specific seniority wins
+const LEVEL_KEYWORDS = [
+  { level: 'executive', pattern: /\b(cto|ceo|cfo|coo|vp|vice president|director|head of|chief)\b/i },
+  { level: 'lead', pattern: /\b(lead|principal|staff (?:engineer|developer)|architect|engineering manager)\b/i },
+  { level: 'senior', pattern: /\b(senior|sr\.?)(?=\W|$)/i },
+  { level: 'mid', pattern: /\b(mid[- ]level|intermediate|mid[- ]senior)\b/i },
+  { level: 'junior', pattern: /\b(junior|jr\.?|associate)(?=\W|$)/i },
+  { level: 'entry', pattern: /\b(intern|internship|trainee|apprentice|graduate|entry[- ]level|no experience)\b/i }
+];
+
+const YEARS_PATTERN = /(\d{1,2})\s*(?:\+|plus)?\s*(?:-\s*\d{1,2}\s*)?(?:years?|yrs?)(?:\s+of)?(?:\s+\w+){0,3}\s+experience/i;
+
+const REMOTE_PHRASES = [
+  { remote: 'hybrid', pattern: /\b(hybrid|partially remote|part[- ]remote|\d\s*days?\s*(?:a|per)\s*week\s*(?:in|at)\s*(?:the\s*)?office|remote[- ]friendly)\b/i },
+  { remote: 'remote', pattern: /\b(fully remote|100%\s*remote|remote[- ]first|remote only|work from home|work from anywhere|wfh|distributed team|remote position|remote role|remote job|this is a remote)\b/i },
+  { remote: 'on-site', pattern: /\b(on[- ]?site|in[- ]office|office[- ]based|in person)\b/i }
+];
+
+// Currency symbols and names; longer markers first so "CA$" wins over "$".
+// The exchange rate table's codes (USD, INR, CHF...) are recognized too.
+const CURRENCY_SYMBOLS = [
+  { pattern: '\\bUS\\$', currency: 'USD' },
+  { pattern: '\\bCA\\$|\\bC\\$', currency: 'CAD' },
+  { pattern: '\\bAU\\$|\\bA\\$', currency: 'AUD' },
+  { pattern: '\\bNZ\\$', currency: 'NZD' },
+  { pattern: '\\bSG\\$|\\bS\\$', currency: 'SGD' },
+  { pattern: '\\bMX\\$', currency: 'MXN' },
+  { pattern: '\\bR\\$', currency: 'BRL' },
+  { pattern: '€|\\beuros?\\b', currency: 'EUR' },
+  { pattern: '£|\\bpounds?\\b', currency: 'GBP' },
+  { pattern: '₹|\\bRs\\.?|\\brupees?\\b', currency: 'INR' },
+  { pattern: '¥|\\byen\\b', currency: 'JPY' },
+  { pattern: '\\bRMB\\b', currency: 'CNY' },
+  { pattern: '₩', currency: 'KRW' },
+  { pattern: 'zł', currency: 'PLN' },
+  { pattern: '₺', currency: 'TRY' },
+  { pattern: '₪', currency: 'ILS' },
+  { pattern: '₦', currency: 'NGN' },
+  { pattern: '\\$|\\bdollars?\\b', currency: 'USD' }
+];
+
+// Words that show an amount is pay rather than a price or version number
+const SALARY_CONTEXT = /\b(?:salary|salaries|compensation|pay|paid|paying|wages?|rate|remuneration|stipend|earn|earnings|income|ctc|ote|package)\b/i;
+
+// Amounts with neither a salary word nearby nor this yearly value in the
+// base currency are not taken for salaries
+const MIN_PLAUSIBLE_SALARY = 5000;
+
+const PERIOD_MARKERS = [
+  { pattern: /^(?:\/\s*|per\s+|an?\s+|each\s+)?(?:hour|hr)\b|^hourly\b|^p\/?h\b/i, period: 'hourly' },
+  { pattern: /^(?:\/\s*|per\s+|an?\s+|each\s+)?day\b|^daily\b|^p\/?d\b/i, period: 'daily' },
+  { pattern: /^(?:\/\s*|per\s+|an?\s+|each\s+)?(?:week|wk)\b|^weekly\b|^p\/?w\b/i, period: 'weekly' },
+  { pattern: /^(?:\/\s*|per\s+|an?\s+|each\s+)?(?:month|mo)\b|^monthly\b|^pcm\b|^p\/?m\b/i, period: 'monthly' },
+  { pattern: /^(?:\/\s*|per\s+|an?\s+|each\s+)?(?:year|yr|annum)\b|^(?:yearly|annually|annual)\b|^p\.?a\.?(?=\W|$)/i, period: 'yearly' }
+];
+
+// Lakh grouping ("12,00,000"), thousands separated by commas, dots or
+// spaces ("120,000", "1.200.000") and plain amounts
+const AMOUNT = '\\d{1,2}(?:,\\d{2})+,\\d{3}|\\d{1,3}(?:[,.\\s]\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?';
+const MULTIPLIER = '[kK]\\b|\\s?(?:thousand)\\b';
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|to)\\s*';
+
+let compiled = { rates: null, pattern: null };
+
+// "$120,000 - $150,000", "€50k–60k EUR", "USD 45 to 60", "100-120k GBP".
+// Built on first use and again after the rate table is reloaded.
+const salaryPattern = () => {
+  const { rates } = loadRates();
+  if (compiled.rates === rates) return compiled.pattern;
+
+  const currency = [
+    ...Object.keys(rates).map(code => `\\b${code}\\b`),
+    ...CURRENCY_SYMBOLS.map(symbol => symbol.pattern)
+  ].join('|');
+
+  const pattern = new RegExp(
+    `(?:(${currency})\\s?)?(${AMOUNT})(${MULTIPLIER})?` +
+    `(?:${RANGE_SEPARATOR}(?:(${currency})\\s?)?(${AMOUNT})(${MULTIPLIER})?)?` +
+    `(?:\\s?(${currency}))?`,
+    'gi'
+  );
+  compiled = { rates, pattern };
+  return pattern;
+};
+
+// Currency of a marker. Codes count only in capitals, so words such as
+// "try" are not read as currencies.
+const currencyOf = (marker) => {
+  if (!marker) return null;
+  if (isKnownCurrency(marker)) return marker;
+  const found = CURRENCY_SYMBOLS.find(entry => new RegExp(`^(?:${entry.pattern})$`, 'i').test(marker));
+  return found ? found.currency : null;
+};
+
+const parseAmount = (amount, multiplier) => {
+  // Thousands may be separated by commas, dots or spaces ("120,000", "120.000")
+  // and lakhs by commas ("12,00,000")
+  let normalized = amount;
+  if (/^\d{1,2}(?:,\d{2})+,\d{3}$/.test(amount)) {
+    normalized = amount.replace(/,/g, '');
+  } else if (/^\d{1,3}(?:[,.\s]\d{3})+(?:\.\d{1,2})?$/.test(amount)) {
+    normalized = amount.replace(/[,.\s](?=\d{3}(?:\D|$))/g, '');
+  }
+  const value = parseFloat(normalized.replace(',', '.'));
+  return multiplier ? value * 1000 : value;
+};
+
+const periodAfter = (text) => {
+  const rest = text.replace(/^\s*(?:gross|net|base|salary|\(|,)*\s*/i, '');
+  const found = PERIOD_MARKERS.find(entry => entry.pattern.test(rest));
+  return found ? found.period : null;
+};
+
+// Guess the pay period of an amount with no explicit period
+const guessPeriod = (value) => {
+  if (value < 300) return 'hourly';
+  if (value < 1500) return 'daily';
+  if (value < 20000) return 'monthly';
+  return 'yearly';
+};
+
+// Find the first salary mentioned in a text: an amount in a known currency
+// with a salary word nearby or a plausible yearly value.
+// Returns { min, max, currency, period } or null
+const extractSalary = (text) => {
+  if (!text) return null;
+
+  const pattern = salaryPattern();
+  pattern.lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, currencyBefore, minAmount, minMultiplier, currencyMiddle, maxAmount, maxMultiplier, currencyAfter] = match;
+    const currency = currencyOf(currencyBefore) || currencyOf(currencyMiddle) || currencyOf(currencyAfter);
+
+    // Bare numbers ("5 years", "2024") are not salaries
+    if (!currency) continue;
+
+    // A multiplier on the upper bound applies to both ("50-60k")
+    const sharedMultiplier = maxMultiplier && !minMultiplier && maxAmount ? maxMultiplier : minMultiplier;
+    let min = parseAmount(minAmount, sharedMultiplier);
+    let max = maxAmount ? parseAmount(maxAmount, maxMultiplier) : undefined;
+
+    if (!min || (max !== undefined && !max)) continue;
+    if (max !== undefined && max < min) [min, max] = [max, min];
+
+    const before = text.slice(Math.max(0, match.index - 40), match.index);
+    const after = text.slice(match.index + whole.length, match.index + whole.length + 20);
+    const statedPeriod = periodAfter(after);
+    const period = statedPeriod || guessPeriod(max || min);
+
+    // Small amounts with no salary word nearby are prices ("$9.99"), not pay
+    const yearly = toBaseAnnual(max || min, { currency, period: statedPeriod || 'yearly' });
+    if (!SALARY_CONTEXT.test(`${before} ${after}`) && yearly < MIN_PLAUSIBLE_SALARY) continue;
+
+    if (max === undefined) {
+      // "up to $X" is a ceiling, anything else a floor
+      return /up to\s*$/i.test(before)
+        ? { max: min, currency, period }
+        : { min, currency, period };
+    }
+
+    return { min, max, currency, period };
+  }
+
+  return null;
+};
+
+// Map years of experience to the level they usually correspond to
+const levelFromYears = (years) => {
+  let level = 'entry';
+  LEVELS.forEach(candidate => {
+    if (years >= LEVEL_YEARS[candidate]) level = candidate;
+  });
+  return level;
+};
+
+// Detect the seniority of a text from the years of experience it asks for,
+// falling back to seniority keywords
+const detectExperienceLevel = (text) => {
+  if (!text) return null;
+
+  const years = text.match(YEARS_PATTERN);
+  if (years) return levelFromYears(parseInt(years[1]));
+
+  const keyword = LEVEL_KEYWORDS.find(entry => entry.pattern.test(text));
+  return keyword ? keyword.level : null;
+};
+
+// Detect whether a text describes a remote, hybrid or on-site position
+const detectRemote = (text) => {
+  if (!text) return null;
+  const found = REMOTE_PHRASES.find(entry => entry.pattern.test(text));
+  return found ? found.remote : null;
+};
+
+const REQUIREMENTS_HEADING = /^\s*(?:requirements|qualifications|what you(?:'|’)ll need|what we(?:'|’)re looking for|you have|must[- ]haves?|skills)\s*:?\s*$/i;
+const BULLET = /^\s*(?:[-*•·▪]|\d+[.)])\s+(.+)$/;
+
+// Pull requirement bullets from the section under a "Requirements"-style heading
+const extractRequirements = (text) => {
+  if (!text) return [];
+
+  const lines = text.split(/\r?\n/);
+  const requirements = [];
+  let inSection = false;
+
+  for (const line of lines) {
+    if (REQUIREMENTS_HEADING.test(line)) {
+      inSection = true;
+      continue;
+    }
+    if (!inSection) continue;
+
+    const bullet = line.match(BULLET);
+    if (bullet) {
+      requirements.push(bullet[1].trim());
+    } else if (line.trim() && requirements.length) {
+      // Any other non-empty line ends the section
+      break;
+    }
+  }
+
+  return requirements.slice(0, 50);
+};
+
+const isMissing = (job, field) => {
+  // Values filled in by schema defaults were not supplied by the poster
+  if (typeof job.$isDefault === 'function' && job.$isDefault(field)) return true;
+
+  const value = job[field];
+  if (field === 'salary') return !value || (!value.min && !value.max);
+  if (Array.isArray(value)) return value.length === 0;
+  return value === undefined || value === null || value === '';
+};
+
+// Infer metadata from a job's title, description and requirements.
+// Returns only the fields something was found for.
+const extractMetadata = (job) => {
+  const description = job.description || '';
+  const text = [job.title, description, ...(job.requirements || [])].filter(Boolean).join('\n');
+
+  const inferred = {};
+
+  const skills = extractSkills(text);
+  if (skills.length) inferred.skills = skills;
+
+  const experienceLevel = detectExperienceLevel(job.title) || detectExperienceLevel(description);
+  if (experienceLevel) inferred.experienceLevel = experienceLevel;
+
+  const remote = detectRemote(`${job.title || ''}\n${description}`);
+  if (remote) inferred.remote = remote;
+
+  const salary = extractSalary(description);
+  if (salary) inferred.salary = salary;
+
+  const requirements = extractRequirements(description);
+  if (requirements.length) inferred.requirements = requirements;
+
+  return inferred;
+};
+
+// Fill the missing fields of a job document from its text and record them in
+// job.inferredFields. With refresh, previously inferred fields are recomputed
+// too. Returns the names of the fields that were set.
+const applyExtraction = (job, { refresh = false } = {}) => {
+  const previouslyInferred = job.inferredFields || [];
+  const inferred = extractMetadata(job);
+  const applied = [];
+
+  INFERABLE_FIELDS.forEach(field => {
+    const wasInferred = previouslyInferred.includes(field);
+    if (!isMissing(job, field) && !(refresh && wasInferred)) return;
+
+    if (inferred[field] !== undefined) {
+      job.set(field, inferred[field]);
+      applied.push(field);
+    }
+  });
+
+  job.inferredFields = [...new Set([...previouslyInferred, ...applied])];
+  return applied;
+};
+
+module.exports = {
+  INFERABLE_FIELDS,
+  extractSalary,
+  detectExperienceLevel,
+  detectRemote,
+  extractRequirements,
+  extractMetadata,
+  applyExtraction,
+  levelFromYears
+};
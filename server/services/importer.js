@@ -0,0 +1,234 @@
+const readline = require('readline');
+const { parse: parseCsv } = require('csv-parse');
+const StreamArray = require('stream-json/streamers/StreamArray');
+const Job = require('../models/Job');
+const { jobSchema } = require('../middleware/validation');
+const { canManageJob } = require('../middleware/auth');
+const { applyExtraction } = require('./extraction');
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+// Job fields that hold lists; in CSV they are written as "a|b|c" or "a;b;c"
+const LIST_FIELDS = ['requirements', 'responsibilities', 'skills', 'benefits', 'tags'];
+const LIST_SEPARATOR = /\s*[|;]\s*/;
+
+// Guess the format from a file name or content type
+const detectFormat = (hint = '') => {
+  const value = hint.toLowerCase();
+  if (/ndjson|jsonl|x-ndjson/.test(value)) return 'ndjson';
+  if (/csv/.test(value)) return 'csv';
+  if (/json/.test(value)) return 'json';
+  return null;
+};
+
+// Stream raw records out of a readable stream. Yields { line, record } or
+// { line, parseError } for records that could not be parsed.
+async function* readRecords(stream, format) {
+  if (format === 'csv') {
+    const parser = stream.pipe(parseCsv({
+      columns: header => header.map(column => column.trim()),
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true
+    }));
+
+    let line = 0;
+    for await (const record of parser) {
+      line += 1;
+      yield { line, record: csvRowToJob(record) };
+    }
+    return;
+  }
+
+  if (format === 'ndjson') {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    let line = 0;
+    for await (const text of lines) {
+      line += 1;
+      if (!text.trim()) continue;
+
+      try {
+        yield { line, record: JSON.parse(text) };
+      } catch (error) {
+        yield { line, parseError: `Invalid JSON: ${error.message}` };
+      }
+    }
+    return;
+  }
+
+  if (format === 'json') {
+    const items = stream.pipe(StreamArray.withParser());
+
+    for await (const { key, value } of items) {
+      yield { line: key + 1, record: value };
+    }
+    return;
+  }
+
+  throw new Error(`Unsupported import format: ${format}`);
+}
+
+// Turn a flat CSV row into a job object: "salary.min" style columns become
+// nested objects and list columns are split
+const csvRowToJob = (row) => {
+  const job = {};
+
+  Object.entries(row).forEach(([column, value]) => {
+    if (value === undefined || value === null || value === '') return;
+
+    const path = column.split('.');
+    const field = path[path.length - 1];
+    let target = job;
+
+    path.slice(0, -1).forEach(part => {
+      target[part] = target[part] || {};
+      target = target[part];
+    });
+
+    target[field] = LIST_FIELDS.includes(column)
+      ? value.split(LIST_SEPARATOR).filter(Boolean)
+      : value;
+  });
+
+  return job;
+};
+
+// Pass records through until the input cannot be parsed any further, e.g. a
+// truncated JSON array, and keep the error in state.error
+async function* untilUnparseable(records, state) {
+  try {
+    yield* records;
+  } catch (error) {
+    state.error = error.message;
+  }
+}
+
+const pickProvided = (value, record) => Object.keys(value)
+  .filter(key => key in record)
+  .reduce((picked, key) => {
+    picked[key] = value[key];
+    return picked;
+  }, {});
+
+const isEmptyRecord = (record) => !record || typeof record !== 'object' ||
+  Object.values(record).every(value => value === undefined || value === null || value === '');
+
+// Import job records one by one. Every record is validated with the job
+// creation schema; records with a source and sourceId that already exists
+// update that job. Returns a per-row report and totals. Input that stops
+// parsing midway ends the import; the report then covers the rows before it
+// and carries the parse error as error.
+const importJobs = async (records, { actor, dryRun = false } = {}) => {
+  const rows = [];
+  const summary = { total: 0, created: 0, updated: 0, skipped: 0, failed: 0 };
+  const seenSourceIds = new Set();
+  const input = {};
+
+  const report = (entry) => {
+    rows.push(entry);
+    summary.total += 1;
+    summary[entry.status] += 1;
+  };
+
+  for await (const { line, record, parseError } of untilUnparseable(records, input)) {
+    if (parseError) {
+      report({ row: line, status: 'failed', errors: [{ field: null, message: parseError }] });
+      continue;
+    }
+
+    if (isEmptyRecord(record)) {
+      report({ row: line, status: 'skipped', reason: 'Empty row' });
+      continue;
+    }
+
+    const { error, value } = jobSchema.validate(record, { abortEarly: false, stripUnknown: true });
+
+    if (error) {
+      report({
+        row: line,
+        status: 'failed',
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      });
+      continue;
+    }
+
+    const sourceKey = value.sourceId ? `${value.source}:${value.sourceId}` : null;
+
+    if (sourceKey && seenSourceIds.has(sourceKey)) {
+      report({ row: line, status: 'skipped', reason: `Duplicate of an earlier row (${sourceKey})` });
+      continue;
+    }
+    if (sourceKey) seenSourceIds.add(sourceKey);
+
+    try {
+      const existing = sourceKey
+        ? await Job.findBySource(value.source, value.sourceId)
+        : null;
+
+      if (existing && !canManageJob(actor, existing)) {
+        report({
+          row: line,
+          status: 'failed',
+          id: existing._id,
+          errors: [{ field: 'sourceId', message: 'A job with this source and sourceId belongs to another owner' }]
+        });
+        continue;
+      }
+
+      const job = existing || new Job({
+        owner: actor && actor.id,
+        ownerModel: actor && actor.kind
+      });
+      job.$locals.actor = actor;
+      // Updates only touch the columns the row provides, not schema defaults
+      if (existing) {
+        // The match may be a posting merged into this job, so keep its own source
+        const { source, sourceId, ...changes } = pickProvided(value, record);
+        job.set(changes);
+        job.inferredFields = job.inferredFields.filter(field => !(field in record));
+        // Postings imported again come back out of the trash
+        if (job.deletedAt) job.takeOutOfTrash();
+      } else {
+        job.set(value);
+      }
+      applyExtraction(job);
+
+      if (dryRun) {
+        const validationError = job.validateSync();
+        if (validationError) throw validationError;
+      } else {
+        await job.save();
+      }
+
+      report({
+        row: line,
+        status: existing ? 'updated' : 'created',
+        id: dryRun && !existing ? undefined : job._id
+      });
+
+    } catch (saveError) {
+      report({
+        row: line,
+        status: 'failed',
+        errors: saveError.errors
+          ? Object.values(saveError.errors).map(item => ({ field: item.path, message: item.message }))
+          : [{ field: null, message: saveError.message }]
+      });
+    }
+  }
+
+  return { dryRun, summary, rows, ...(input.error && { error: input.error }) };
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  readRecords,
+  csvRowToJob,
+  importJobs
+};
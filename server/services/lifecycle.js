@@ -0,0 +1,189 @@
+const Job = require('../models/Job');
+const JobRevision = require('../models/JobRevision');
+const { getLifecycleConfig } = require('../config/lifecycle');
+const { trashedFilter, purgeJobs: purgeWhere, purgeExpiredTrash } = require('./trash');
+const { emitJobEvent } = require('../utils/events');
+const logger = require('../utils/logger');
+
+// Actor named in the events raised by the sweeper
+const SYSTEM_ACTOR = { id: null, kind: 'System', name: 'lifecycle' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses of jobs that are no longer open
+const CLOSED_STATUSES = ['expired', 'filled'];
+
+// Closed jobs whose status has not changed since the cutoff; jobs saved
+// before statusChangedAt existed fall back to updatedAt
+const closedBefore = (statuses, cutoff) => ({
+  status: { $in: statuses },
+  $or: [
+    { statusChangedAt: { $lte: cutoff } },
+    { statusChangedAt: null, updatedAt: { $lte: cutoff } }
+  ]
+});
+
+// Ids of up to limit jobs matching a filter
+const idsOf = async (filter, limit) => {
+  const jobs = await Job.find(filter).select('_id').limit(limit).lean();
+  return jobs.map(job => job._id);
+};
+
+// Change the status of each job that still matches the filter. The filter is
+// part of every update, so a job edited or handled by another instance in the
+// meantime is skipped.
+const transition = async (filter, limit, buildUpdate) => {
+  const changed = [];
+
+  for (const id of await idsOf(filter, limit)) {
+    const current = await Job.findOne({ ...filter, _id: id }).lean();
+    if (!current) continue;
+
+    const job = await Job.findOneAndUpdate({ ...filter, _id: id }, buildUpdate(current), { new: true });
+    if (!job) continue;
+
+    changed.push(job);
+    await JobRevision.record(job, { action: 'status_changed', before: current, actor: SYSTEM_ACTOR });
+    emitJobEvent('job.status_changed', job, {
+      actor: SYSTEM_ACTOR,
+      data: { from: current.status, to: job.status }
+    });
+  }
+
+  return changed;
+};
+
+// Mark active jobs whose expiry date has passed as expired
+const expireJobs = async ({ now, batchSize }) => {
+  const expired = await transition(
+    { status: 'active', expiryDate: { $lte: now } },
+    batchSize,
+    () => ({ status: 'expired', statusChangedAt: now })
+  );
+
+  expired.forEach(job => emitJobEvent('job.expired', job, { actor: SYSTEM_ACTOR }));
+  return expired.length;
+};
+
+// Publish drafts whose publish date has come. The posting date becomes the
+// publish date and the expiry date moves with it, so the job stays open as
+// long as it was meant to.
+const publishScheduledJobs = async ({ now, batchSize }) => {
+  const published = await transition(
+    { status: 'draft', publishAt: { $lte: now } },
+    batchSize,
+    (job) => {
+      const update = { status: 'active', statusChangedAt: now, postedDate: now };
+      if (job.expiryDate && job.postedDate) {
+        update.expiryDate = new Date(now.getTime() + (job.expiryDate - job.postedDate));
+      }
+      return update;
+    }
+  );
+
+  return published.length;
+};
+
+// Archive closed jobs after the retention period
+const archiveJobs = async ({ now, batchSize, retentionDays }) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const archived = await transition(
+    closedBefore(CLOSED_STATUSES, cutoff),
+    batchSize,
+    () => ({ status: 'archived', statusChangedAt: now })
+  );
+
+  return archived.length;
+};
+
+// Delete closed and archived jobs after the retention period, with their
+// applications, history and cached AI results
+const purgeJobs = async ({ now, batchSize, retentionDays }) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const purged = await purgeWhere(closedBefore([...CLOSED_STATUSES, 'archived'], cutoff), {
+    limit: batchSize,
+    actor: SYSTEM_ACTOR
+  });
+
+  return purged.length;
+};
+
+// One sweep: expire, publish, apply retention, then empty old trash. Each
+// step handles at most batchSize jobs; the rest are picked up on the next sweep.
+const runLifecycle = async ({ now = new Date() } = {}) => {
+  const config = getLifecycleConfig();
+  const options = { now, batchSize: config.batchSize, retentionDays: config.retentionDays };
+
+  const summary = {
+    expired: await expireJobs(options),
+    published: await publishScheduledJobs(options),
+    archived: 0,
+    purged: 0,
+    trashPurged: 0
+  };
+
+  if (config.retentionDays > 0) {
+    if (config.retentionAction === 'purge') {
+      summary.purged = await purgeJobs(options);
+    } else {
+      summary.archived = await archiveJobs(options);
+    }
+  }
+
+  if (config.trashRetentionDays > 0) {
+    const purged = await purgeExpiredTrash({
+      now,
+      retentionDays: config.trashRetentionDays,
+      batchSize: config.batchSize,
+      actor: SYSTEM_ACTOR
+    });
+    summary.trashPurged = purged.length;
+  }
+
+  if (Object.values(summary).some(Boolean)) {
+    logger.info('Job lifecycle sweep finished', summary);
+  }
+
+  return summary;
+};
+
+// Jobs waiting for the sweeper, for status reporting
+const lifecycleOverview = async ({ now = new Date() } = {}) => {
+  const config = getLifecycleConfig();
+  const cutoff = new Date(now.getTime() - config.retentionDays * DAY_MS);
+  const retentionStatuses = config.retentionAction === 'purge'
+    ? [...CLOSED_STATUSES, 'archived']
+    : CLOSED_STATUSES;
+
+  const trashCutoff = new Date(now.getTime() - config.trashRetentionDays * DAY_MS);
+
+  const [overdue, dueDrafts, scheduledDrafts, nextDraft, retention, statuses, trashed, trashDue] = await Promise.all([
+    Job.countDocuments({ status: 'active', expiryDate: { $lte: now } }),
+    Job.countDocuments({ status: 'draft', publishAt: { $lte: now } }),
+    Job.countDocuments({ status: 'draft', publishAt: { $gt: now } }),
+    Job.findOne({ status: 'draft', publishAt: { $gt: now } }).sort({ publishAt: 1 }).select('publishAt').lean(),
+    config.retentionDays > 0 ? Job.countDocuments(closedBefore(retentionStatuses, cutoff)) : 0,
+    Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Job.countDocuments(trashedFilter()),
+    config.trashRetentionDays > 0 ? Job.countDocuments(trashedFilter(trashCutoff)) : 0
+  ]);
+
+  return {
+    config,
+    statuses: statuses.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {}),
+    pending: {
+      toExpire: overdue,
+      toPublish: dueDrafts,
+      [config.retentionAction === 'purge' ? 'toPurge' : 'toArchive']: retention,
+      trashToPurge: trashDue
+    },
+    trashed,
+    scheduledDrafts,
+    nextPublishAt: nextDraft ? nextDraft.publishAt : null
+  };
+};
+
+module.exports = {
+  runLifecycle,
+  lifecycleOverview
+};
@@ -0,0 +1,243 @@
+const Job = require('../models/Job');
+const { extractSkills, normalizeSkill } = require('../utils/skills');
+const { detectExperienceLevel, levelFromYears } = require('./extraction');
+const { normalizeSalary } = require('../utils/salary');
+const { escapeRegex } = require('../utils/text');
+
+// Relative weight of each criterion in the final score (sums to 100)
+const WEIGHTS = {
+  skills: 50,
+  experience: 20,
+  location: 15,
+  salary: 15
+};
+
+// Upper bound on how many active jobs are scored per request
+const CANDIDATE_LIMIT = parseInt(process.env.MATCH_CANDIDATE_LIMIT) || 500;
+
+const LEVELS = ['entry', 'junior', 'mid', 'senior', 'lead', 'executive'];
+
+// Turn a plain-text or structured resume into a comparable candidate profile
+const parseResume = (resume) => {
+  if (typeof resume === 'string') {
+    const yearsMatch = resume.match(/(\d{1,2})\+?\s*(?:years?|yrs?)/i);
+    const years = yearsMatch ? parseInt(yearsMatch[1]) : undefined;
+
+    return {
+      skills: extractSkills(resume),
+      experienceYears: years,
+      experienceLevel: detectExperienceLevel(resume) || (years !== undefined ? levelFromYears(years) : undefined),
+      remote: /\bremote\b/i.test(resume) ? 'remote' : undefined
+    };
+  }
+
+  const skills = (resume.skills || []).map(normalizeSkill);
+  const experienceText = (resume.experience || [])
+    .map(item => [item.title, item.description].filter(Boolean).join(' '))
+    .join('\n');
+
+  // Skills mentioned in the experience entries count too
+  extractSkills(experienceText).forEach(skill => {
+    if (!skills.includes(skill)) skills.push(skill);
+  });
+
+  const years = resume.experienceYears;
+
+  return {
+    skills,
+    experienceYears: years,
+    experienceLevel: resume.experienceLevel || (years !== undefined ? levelFromYears(years) : undefined),
+    location: resume.location,
+    remote: resume.remote,
+    salary: resume.salary
+  };
+};
+
+// Skills a job asks for: its skills array plus skills named in its requirements
+const jobSkillsOf = (job) => {
+  const skills = (job.skills || []).map(normalizeSkill);
+  extractSkills((job.requirements || []).join('\n')).forEach(skill => {
+    if (!skills.includes(skill)) skills.push(skill);
+  });
+  return skills;
+};
+
+const scoreSkills = (job, profile) => {
+  const required = jobSkillsOf(job);
+
+  if (required.length === 0) {
+    return { score: 0.5, matched: [], missing: [], explanation: 'Job lists no specific skills' };
+  }
+
+  const have = new Set(profile.skills.map(skill => skill.toLowerCase()));
+  const matched = required.filter(skill => have.has(skill.toLowerCase()));
+  const missing = required.filter(skill => !have.has(skill.toLowerCase()));
+
+  return {
+    score: matched.length / required.length,
+    matched,
+    missing,
+    explanation: `Matches ${matched.length} of ${required.length} skills`
+  };
+};
+
+const scoreExperience = (job, profile) => {
+  if (!job.experienceLevel || !profile.experienceLevel) {
+    return { score: 0.5, explanation: 'Experience level not specified' };
+  }
+
+  const gap = LEVELS.indexOf(profile.experienceLevel) - LEVELS.indexOf(job.experienceLevel);
+
+  if (gap === 0) {
+    return { score: 1, explanation: `Experience level matches (${job.experienceLevel})` };
+  }
+  if (gap > 0) {
+    // Overqualified candidates are a softer mismatch than underqualified ones
+    return {
+      score: Math.max(0, 1 - 0.25 * gap),
+      explanation: `Candidate is above the ${job.experienceLevel} level`
+    };
+  }
+  return {
+    score: Math.max(0, 1 - 0.4 * -gap),
+    explanation: `Job expects ${job.experienceLevel} level experience`
+  };
+};
+
+const scoreLocation = (job, profile) => {
+  const wantsRemote = profile.remote === 'remote';
+
+  if (job.remote === 'remote') {
+    return { score: 1, explanation: 'Fully remote position' };
+  }
+
+  const sameLocation = profile.location &&
+    job.location.toLowerCase().includes(profile.location.toLowerCase());
+
+  if (sameLocation) {
+    return { score: 1, explanation: `Located in ${job.location}` };
+  }
+  if (wantsRemote) {
+    return {
+      score: job.remote === 'hybrid' ? 0.4 : 0,
+      explanation: `Job is ${job.remote}, candidate prefers remote`
+    };
+  }
+  if (!profile.location) {
+    return { score: 0.5, explanation: 'No location preference given' };
+  }
+  return {
+    score: job.remote === 'hybrid' ? 0.3 : 0,
+    explanation: `Job is in ${job.location}`
+  };
+};
+
+// Salaries are compared as yearly amounts in the base currency, so an hourly
+// EUR rate can be weighed against a yearly USD expectation
+const scoreSalary = (job, profile) => {
+  const expected = profile.salary && normalizeSalary({ ...profile.salary, max: undefined });
+  const offered = normalizeSalary(job.salary);
+
+  if (!expected || !offered) {
+    return { score: 0.5, explanation: 'Salary not comparable' };
+  }
+
+  const expectedAnnual = expected.min;
+  const offeredAnnual = offered.max || offered.min;
+
+  if (offeredAnnual >= expectedAnnual) {
+    return { score: 1, explanation: 'Salary meets expectations' };
+  }
+
+  return {
+    score: Math.max(0, offeredAnnual / expectedAnnual - 0.2) / 0.8,
+    explanation: `Salary is ${Math.round((1 - offeredAnnual / expectedAnnual) * 100)}% below expectations`
+  };
+};
+
+// Score a job against a candidate profile; returns a 0-100 score and its breakdown
+const scoreJob = (job, profile) => {
+  const breakdown = {
+    skills: scoreSkills(job, profile),
+    experience: scoreExperience(job, profile),
+    location: scoreLocation(job, profile),
+    salary: scoreSalary(job, profile)
+  };
+
+  const score = Object.keys(WEIGHTS).reduce(
+    (total, key) => total + WEIGHTS[key] * breakdown[key].score,
+    0
+  );
+
+  Object.keys(breakdown).forEach(key => {
+    breakdown[key].score = Math.round(breakdown[key].score * 100) / 100;
+  });
+
+  return {
+    score: Math.round(score * 10) / 10,
+    breakdown,
+    explanation: Object.values(breakdown).map(item => item.explanation)
+  };
+};
+
+// Query conditions for the jobs a profile can score well against: jobs that
+// share one of its skills, are in its location or are fully remote. Null
+// when the profile has neither skills nor a location to narrow by.
+const candidateFilter = (profile) => {
+  const conditions = [];
+  if (profile.skills.length) conditions.push({ skills: { $in: profile.skills } });
+  if (profile.location) conditions.push({ location: { $regex: escapeRegex(profile.location), $options: 'i' } });
+  if (!conditions.length) return null;
+
+  conditions.push({ remote: 'remote' });
+  return { $or: conditions };
+};
+
+// Rank jobs against a profile; ties are broken by posting date then id so the
+// order is deterministic
+const rankJobs = (jobs, profile) => {
+  return jobs
+    .map(job => ({ job, match: scoreJob(job, profile) }))
+    .sort((a, b) =>
+      b.match.score - a.match.score ||
+      new Date(b.job.postedDate) - new Date(a.job.postedDate) ||
+      String(a.job._id).localeCompare(String(b.job._id))
+    );
+};
+
+// Rank the jobs of a search query against a profile. With more jobs than
+// CANDIDATE_LIMIT, only the ones the profile can match on skills or location
+// are scored, newest first. Returns the results scoring at least minScore,
+// best first, with the number of jobs matched and scored.
+const matchJobs = async (profile, searchQuery, { minScore = 0, limit = 20 } = {}) => {
+  const candidatesMatched = await Job.countDocuments(searchQuery);
+  const relevant = candidatesMatched > CANDIDATE_LIMIT && candidateFilter(profile);
+  const candidateQuery = relevant ? { $and: [searchQuery, relevant] } : searchQuery;
+
+  const candidates = await Job.find(candidateQuery)
+    .sort({ postedDate: -1, _id: 1 })
+    .limit(CANDIDATE_LIMIT)
+    .select('-__v')
+    .lean();
+
+  const results = rankJobs(candidates, profile)
+    .filter(item => item.match.score >= minScore)
+    .slice(0, limit);
+
+  return {
+    results,
+    candidatesMatched,
+    candidatesScored: candidates.length,
+    truncated: candidates.length < candidatesMatched
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  CANDIDATE_LIMIT,
+  parseResume,
+  candidateFilter,
+  scoreJob,
+  rankJobs,
+  matchJobs
+};
@@ -0,0 +1,65 @@
+const nodemailer = require('nodemailer');
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Sends digests as email through an SMTP server
+class EmailNotifier {
+  constructor(config) {
+    this.name = 'email';
+    this.config = config;
+    this.transport = null;
+  }
+
+  getTransport() {
+    const { smtp } = this.config;
+    if (!smtp.host) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  async send(digest, target) {
+    const { search, jobs, total } = digest;
+    const more = total > jobs.length ? total - jobs.length : 0;
+
+    const text = [
+      `${total} new job${total === 1 ? '' : 's'} for your saved search "${search.name}":`,
+      '',
+      ...jobs.map(job => `- ${job.title} at ${job.company} (${job.location})\n  ${job.url}`),
+      more ? `\n...and ${more} more.` : ''
+    ].join('\n');
+
+    const html = [
+      `<p>${total} new job${total === 1 ? '' : 's'} for your saved search <strong>${escapeHtml(search.name)}</strong>:</p>`,
+      '<ul>',
+      ...jobs.map(job => `<li><a href="${escapeHtml(job.url)}">${escapeHtml(job.title)}</a> at ${escapeHtml(job.company)} (${escapeHtml(job.location)})</li>`),
+      '</ul>',
+      more ? `<p>...and ${more} more.</p>` : ''
+    ].join('');
+
+    const info = await this.getTransport().sendMail({
+      from: this.config.smtp.from,
+      to: target,
+      subject: `${total} new job${total === 1 ? '' : 's'}: ${search.name}`,
+      text,
+      html
+    });
+
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = EmailNotifier;
@@ -0,0 +1,37 @@
+const { getNotificationConfig } = require('../../config/notifications');
+const EmailNotifier = require('./email');
+const WebhookNotifier = require('./webhook');
+const LogNotifier = require('./log');
+
+const NOTIFIERS = {
+  email: EmailNotifier,
+  webhook: WebhookNotifier,
+  log: LogNotifier
+};
+
+const instances = new Map();
+
+// Get the notifier for a channel; instances are reused
+const getNotifier = (type) => {
+  if (instances.has(type)) return instances.get(type);
+
+  const Notifier = NOTIFIERS[type];
+  if (!Notifier) {
+    throw new Error(`Unknown notifier: ${type}`);
+  }
+
+  const notifier = new Notifier(getNotificationConfig());
+  instances.set(type, notifier);
+  return notifier;
+};
+
+// Drop cached notifiers so the next call re-reads the configuration
+const resetNotifiers = () => {
+  instances.clear();
+};
+
+module.exports = {
+  NOTIFIER_TYPES: Object.keys(NOTIFIERS),
+  getNotifier,
+  resetNotifiers
+};
@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const logger = require('../../utils/logger');
+
+// Writes digests to the application log, and to NOTIFY_LOG_FILE as JSON
+// lines when set; meant for local development and testing
+class LogNotifier {
+  constructor(config) {
+    this.name = 'log';
+    this.config = config;
+  }
+
+  async send(digest, target) {
+    logger.info(`Saved search "${digest.search.name}" has ${digest.total} new jobs`, {
+      target,
+      jobs: digest.jobs.map(job => job.id)
+    });
+
+    if (this.config.logFile) {
+      await fs.appendFile(this.config.logFile, JSON.stringify({ target, ...digest }) + '\n');
+    }
+
+    return { logged: true };
+  }
+}
+
+module.exports = LogNotifier;
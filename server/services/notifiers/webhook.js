@@ -0,0 +1,34 @@
+const { assertPublicUrl } = require('../../utils/network');
+
+// POSTs digests as JSON to a URL chosen by the user. Since any user may pick
+// the URL, hosts resolving to private addresses are refused and redirects
+// are not followed.
+class WebhookNotifier {
+  constructor(config) {
+    this.name = 'webhook';
+    this.config = config;
+  }
+
+  async send(digest, target) {
+    if (!this.config.webhookAllowPrivate) await assertPublicUrl(target);
+
+    const response = await fetch(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'job-assistant-notifier'
+      },
+      body: JSON.stringify({ event: 'saved_search.matches', ...digest }),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.config.webhookTimeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+
+    return { status: response.status };
+  }
+}
+
+module.exports = WebhookNotifier;
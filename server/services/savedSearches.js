@@ -0,0 +1,151 @@
+const Job = require('../models/Job');
+const SavedSearch = require('../models/SavedSearch');
+const { parseFilters, buildSearchQuery } = require('../utils/searchFilters');
+const { queryFilter } = require('../utils/queryParser');
+const { getNotificationConfig } = require('../config/notifications');
+const { getNotifier } = require('./notifiers');
+const logger = require('../utils/logger');
+
+// The /api/search query a saved search stands for
+const buildSavedSearchQuery = (search) => {
+  const filters = parseFilters(search.filters) || {};
+  const query = buildSearchQuery(filters);
+  if (search.query) Object.assign(query, queryFilter(search.query, filters).filter);
+  return query;
+};
+
+// Active jobs matching a saved search that were posted or updated in (since, until]
+const findNewMatches = async (search, since, until, limit) => {
+  const query = {
+    ...buildSavedSearchQuery(search),
+    updatedAt: { $gt: since, $lte: until }
+  };
+
+  const [total, jobs] = await Promise.all([
+    Job.countDocuments(query),
+    Job.find(query)
+      .sort({ postedDate: -1, _id: 1 })
+      .limit(limit)
+      .select('title company location remote jobType experienceLevel salary applicationUrl postedDate updatedAt')
+      .lean()
+  ]);
+
+  return { total, jobs };
+};
+
+const digestOf = (search, { total, jobs }, since, until) => {
+  const { publicUrl } = getNotificationConfig();
+
+  return {
+    search: {
+      id: search._id,
+      name: search.name,
+      query: search.query,
+      filters: search.filters
+    },
+    since,
+    until,
+    total,
+    jobs: jobs.map(job => ({
+      id: job._id,
+      title: job.title,
+      company: job.company,
+      location: job.location,
+      remote: job.remote,
+      jobType: job.jobType,
+      postedDate: job.postedDate,
+      url: job.applicationUrl || `${publicUrl}/api/jobs/${job._id}`
+    }))
+  };
+};
+
+// Send a digest through every notification channel of a search; a failing
+// channel does not stop the others
+const deliverDigest = async (search, digest) => {
+  const deliveries = [];
+
+  for (const { channel, target } of search.notifications) {
+    const address = target || (channel === 'email' && search.user ? search.user.email : undefined);
+
+    try {
+      if (!address && channel !== 'log') {
+        throw new Error(`No target configured for ${channel}`);
+      }
+
+      const result = await getNotifier(channel).send(digest, address);
+      deliveries.push({ channel, target: address, success: true, result });
+    } catch (error) {
+      logger.warn(`Saved search ${search._id} ${channel} notification failed: ${error.message}`);
+      deliveries.push({ channel, target: address, success: false, error: error.message });
+    }
+  }
+
+  return deliveries;
+};
+
+// Check a saved search for new matches and notify its owner. The user must
+// be populated for email notifications without an explicit target. With
+// dryRun the matches are returned without notifying or updating the search.
+const runSavedSearch = async (search, { now = new Date(), dryRun = false } = {}) => {
+  const { digestMaxJobs } = getNotificationConfig();
+  const since = search.lastRunAt || search.createdAt;
+
+  const matches = await findNewMatches(search, since, now, digestMaxJobs);
+  const digest = digestOf(search, matches, since, now);
+
+  if (dryRun) {
+    return { digest, deliveries: [] };
+  }
+
+  const deliveries = matches.total > 0 ? await deliverDigest(search, digest) : [];
+  const delivered = deliveries.some(delivery => delivery.success);
+  const failures = deliveries.filter(delivery => !delivery.success);
+
+  // When every channel failed the window stays open so the matches are
+  // included in the next digest
+  if (matches.total === 0 || delivered) {
+    search.lastRunAt = now;
+  }
+  if (delivered) search.lastNotifiedAt = now;
+
+  search.nextRunAt = search.nextRunAfter(now);
+  search.lastMatchCount = matches.total;
+  search.lastError = failures.length
+    ? failures.map(failure => `${failure.channel}: ${failure.error}`).join('; ')
+    : undefined;
+  await search.save();
+
+  return { digest, deliveries };
+};
+
+// Run every saved search that is due; used by the scheduler
+const runDueSearches = async ({ now = new Date() } = {}) => {
+  const searches = await SavedSearch.findDue(now).populate('user', 'name email');
+  const summary = { checked: 0, withMatches: 0, failed: 0 };
+
+  for (const search of searches) {
+    summary.checked += 1;
+
+    try {
+      const { digest } = await runSavedSearch(search, { now });
+      if (digest.total > 0) summary.withMatches += 1;
+      if (search.lastError) summary.failed += 1;
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(`Saved search ${search._id} failed:`, error);
+      // Try again on the next regular run rather than on every tick
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { nextRunAt: search.nextRunAfter(now), lastError: error.message }
+      );
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  buildSavedSearchQuery,
+  runSavedSearch,
+  runDueSearches
+};
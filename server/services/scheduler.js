@@ -0,0 +1,174 @@
+const os = require('os');
+const crypto = require('crypto');
+const SchedulerLock = require('../models/SchedulerLock');
+const logger = require('../utils/logger');
+
+// Periodic background tasks. Each task runs on its own interval and never
+// overlaps with itself; failures are logged and the task runs again on its
+// next tick. Tasks registered with { lock: true } also take a database lock,
+// so only one server instance runs them at a time.
+const tasks = new Map();
+let started = false;
+
+// Identifies this process as a lock owner
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// How long a lock is held when a task does not say otherwise
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+const isEnabled = () => process.env.SCHEDULER_ENABLED !== 'false' && process.env.NODE_ENV !== 'test';
+
+const runTask = async (task) => {
+  if (task.running) return;
+  task.running = true;
+
+  try {
+    if (task.lock && !(await SchedulerLock.acquire(task.name, instanceId, task.lockTtlMs))) {
+      // Another instance is running it
+      task.running = false;
+      task.skipped += 1;
+      return;
+    }
+  } catch (error) {
+    task.running = false;
+    task.lastError = error.message;
+    logger.error(`Could not lock scheduled task ${task.name}:`, error);
+    return;
+  }
+
+  task.lastStartedAt = new Date();
+
+  try {
+    task.lastResult = await task.run();
+    task.lastError = null;
+  } catch (error) {
+    task.lastError = error.message;
+    logger.error(`Scheduled task ${task.name} failed:`, error);
+  } finally {
+    task.running = false;
+    task.lastFinishedAt = new Date();
+    task.runs += 1;
+  }
+
+  if (task.lock) {
+    await SchedulerLock.release(task.name, instanceId, { result: task.lastResult, error: task.lastError })
+      .catch(error => logger.error(`Could not unlock scheduled task ${task.name}:`, error));
+  }
+};
+
+const schedule = (task) => {
+  task.timer = setInterval(() => runTask(task), task.intervalMs);
+  // Timers must not keep scripts and tests alive
+  task.timer.unref();
+};
+
+// Register a task; it starts with the scheduler, or right away when the
+// scheduler is already running
+const register = (name, intervalMs, run, { lock = false, lockTtlMs = DEFAULT_LOCK_TTL_MS } = {}) => {
+  if (tasks.has(name)) {
+    throw new Error(`Scheduled task already registered: ${name}`);
+  }
+
+  const task = {
+    name,
+    intervalMs,
+    run,
+    lock,
+    lockTtlMs,
+    timer: null,
+    running: false,
+    runs: 0,
+    skipped: 0,
+    lastStartedAt: null,
+    lastFinishedAt: null,
+    lastResult: null,
+    lastError: null
+  };
+  tasks.set(name, task);
+
+  if (started) schedule(task);
+  return task;
+};
+
+const start = () => {
+  if (started) return false;
+
+  if (!isEnabled()) {
+    logger.info('Scheduler disabled');
+    return false;
+  }
+
+  started = true;
+  tasks.forEach(schedule);
+  logger.info(`Scheduler started with ${tasks.size} tasks`);
+  return true;
+};
+
+const stop = () => {
+  tasks.forEach(task => {
+    clearInterval(task.timer);
+    task.timer = null;
+  });
+  started = false;
+};
+
+// Run a registered task now, outside its interval. Returns null when the
+// task is already running here or on another instance.
+const runNow = async (name) => {
+  const task = tasks.get(name);
+  if (!task) throw new Error(`Unknown scheduled task: ${name}`);
+  if (task.running) return null;
+
+  const { runs } = task;
+  await runTask(task);
+  if (task.runs === runs) return null;
+  if (task.lastError) throw new Error(task.lastError);
+  return task.lastResult;
+};
+
+const has = (name) => tasks.has(name);
+
+// State of the tasks in this process, plus the shared lock records that show
+// the last run on any instance
+const status = async () => {
+  const locks = await SchedulerLock.find({ _id: { $in: [...tasks.keys()] } }).lean();
+  const lockOf = (name) => locks.find(lock => lock._id === name);
+
+  return {
+    instanceId,
+    started,
+    tasks: [...tasks.values()].map(task => {
+      const lock = lockOf(task.name);
+      return {
+        name: task.name,
+        intervalMs: task.intervalMs,
+        locked: task.lock,
+        running: task.running,
+        runs: task.runs,
+        skipped: task.skipped,
+        lastStartedAt: task.lastStartedAt,
+        lastFinishedAt: task.lastFinishedAt,
+        lastResult: task.lastResult,
+        lastError: task.lastError,
+        cluster: lock ? {
+          heldBy: lock.lockedUntil > new Date() ? lock.owner : null,
+          lockedUntil: lock.lockedUntil,
+          lastStartedAt: lock.lastStartedAt,
+          lastFinishedAt: lock.lastFinishedAt,
+          lastOwner: lock.lastOwner,
+          lastResult: lock.lastResult,
+          lastError: lock.lastError
+        } : null
+      };
+    })
+  };
+};
+
+module.exports = {
+  register,
+  start,
+  stop,
+  runNow,
+  has,
+  status
+};
@@ -0,0 +1,176 @@
+const Job = require('../models/Job');
+const { buildSearchQuery } = require('../utils/searchFilters');
+const { readSalaryUnits, toBaseAnnual, fromBaseAnnual } = require('../utils/salary');
+
+// Most values returned for facets with open-ended values
+const FACET_LIMIT = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Salary bucket bounds as yearly amounts in the caller's currency
+const SALARY_BUCKETS = [0, 25000, 50000, 75000, 100000, 150000, 200000];
+
+// Posted-date buckets; each counts the jobs posted within that many days
+const POSTED_WITHIN_DAYS = [1, 7, 30, 90];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Count the values of a field, most frequent first
+const countValues = (field, limit) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(limit ? [{ $limit: limit }] : []),
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Facets with the filters that select their values. A facet is counted
+// without its own filters, so the counts show what choosing another value
+// would return.
+const FACETS = {
+  jobType: {
+    filters: ['jobType'],
+    stages: () => countValues('$jobType')
+  },
+  remote: {
+    filters: ['remote'],
+    stages: () => countValues('$remote')
+  },
+  experienceLevel: {
+    filters: ['experienceLevel'],
+    stages: () => countValues('$experienceLevel')
+  },
+  industry: {
+    filters: ['industry'],
+    stages: () => countValues('$industry', FACET_LIMIT)
+  },
+  // Cities where the gazetteer knows them, otherwise the location as posted
+  location: {
+    filters: ['location'],
+    stages: () => countValues({ $ifNull: ['$place.city', '$location'] }, FACET_LIMIT)
+  },
+  country: {
+    filters: ['country'],
+    stages: () => countValues('$place.country', FACET_LIMIT)
+  },
+  region: {
+    filters: ['region'],
+    stages: () => [
+      { $match: { 'place.region': { $exists: true } } },
+      { $group: { _id: { country: '$place.country', region: '$place.region' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, '_id.region': 1 } },
+      { $limit: FACET_LIMIT },
+      { $project: { _id: 0, value: '$_id.region', country: '$_id.country', count: 1 } }
+    ]
+  },
+  skills: {
+    filters: ['skills'],
+    stages: () => [{ $unwind: '$skills' }, ...countValues('$skills', FACET_LIMIT)]
+  },
+  // Jobs by the lower end of their normalized salary range
+  salary: {
+    filters: ['minSalary', 'maxSalary'],
+    stages: ({ units }) => {
+      const boundaries = SALARY_BUCKETS.map(amount => toBaseAnnual(amount, { currency: units.currency, period: 'yearly' }));
+      return [
+        { $match: { $or: [{ 'normalizedSalary.min': { $exists: true } }, { 'normalizedSalary.max': { $exists: true } }] } },
+        {
+          $bucket: {
+            groupBy: { $ifNull: ['$normalizedSalary.min', '$normalizedSalary.max'] },
+            boundaries: [...boundaries, Number.MAX_VALUE],
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ];
+    }
+  },
+  postedDate: {
+    filters: ['postedAfter', 'postedBefore'],
+    stages: ({ now }) => [{
+      $group: {
+        _id: null,
+        ...Object.fromEntries(POSTED_WITHIN_DAYS.map(days => [
+          `${days}d`,
+          { $sum: { $cond: [{ $gte: ['$postedDate', new Date(now.getTime() - days * DAY_MS)] }, 1, 0] } }
+        ]))
+      }
+    }]
+  }
+};
+
+const FACET_NAMES = Object.keys(FACETS);
+
+// Read the facets query parameter: "true" for all facets or a
+// comma-separated list of names. Returns null when no facets are asked for.
+const readFacetNames = (facets) => {
+  if (!facets || facets === 'false') return null;
+  if (facets === 'true') return FACET_NAMES;
+
+  const names = String(facets).split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !FACET_NAMES.includes(name));
+  if (unknown.length) {
+    throw badRequest(`Unknown facets: ${unknown.join(', ')}; use true or any of: ${FACET_NAMES.join(', ')}`);
+  }
+  return names;
+};
+
+const omit = (object, keys) => Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+
+// Salary buckets in the caller's currency and period, lowest first
+const formatSalaryBuckets = (buckets, units) => {
+  const toUnits = (amount) => Math.round(fromBaseAnnual(amount, units));
+  const boundaries = SALARY_BUCKETS.map(amount => toBaseAnnual(amount, { currency: units.currency, period: 'yearly' }));
+
+  return boundaries.map((from, index) => {
+    const bucket = buckets.find(({ _id }) => _id === from);
+    return {
+      from: toUnits(from),
+      to: index + 1 < boundaries.length ? toUnits(boundaries[index + 1]) : null,
+      count: bucket ? bucket.count : 0
+    };
+  });
+};
+
+const formatPostedBuckets = ([counts = {}], now) => POSTED_WITHIN_DAYS.map(days => ({
+  value: `${days}d`,
+  since: new Date(now.getTime() - days * DAY_MS),
+  count: counts[`${days}d`] || 0
+}));
+
+// Count the facets named for a search. The jobs matching every filter that
+// no requested facet owns are matched once; each facet then applies the
+// remaining filters except its own. The search query's filter, if any,
+// applies to every facet.
+const searchFacets = async (names, parsedFilters, { textFilter, now = new Date() } = {}) => {
+  const units = readSalaryUnits({ currency: parsedFilters.salaryCurrency, period: parsedFilters.salaryPeriod });
+  const facetFilters = names.flatMap(name => FACETS[name].filters);
+
+  const baseQuery = { ...buildSearchQuery(omit(parsedFilters, facetFilters)), ...textFilter };
+
+  const [result] = await Job.aggregate([
+    { $match: baseQuery },
+    {
+      $facet: Object.fromEntries(names.map(name => [name, [
+        { $match: buildSearchQuery(omit(parsedFilters, FACETS[name].filters)) },
+        ...FACETS[name].stages({ units, now })
+      ]]))
+    }
+  ]);
+
+  return Object.fromEntries(names.map(name => {
+    if (name === 'salary') return [name, { ...units, buckets: formatSalaryBuckets(result.salary, units) }];
+    if (name === 'postedDate') return [name, formatPostedBuckets(result.postedDate, now)];
+    return [name, result[name]];
+  }));
+};
+
+module.exports = {
+  FACET_NAMES,
+  readFacetNames,
+  searchFacets
+};
@@ -0,0 +1,188 @@
+const { isDeepStrictEqual } = require('util');
+const Job = require('../models/Job');
+const Skill = require('../models/Skill');
+const { SKILLS, setTaxonomy, normalizeSkills } = require('../utils/skills');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+const aliasOf = (alias) => (typeof alias === 'string' ? { alias } : alias);
+
+// Stored skills as taxonomy entries shaped like the built-in SKILLS
+const toEntries = (skills) => {
+  const names = new Map(skills.map(skill => [String(skill._id), skill.name]));
+  return skills.map(skill => ({
+    name: skill.name,
+    aliases: skill.aliases.map(({ alias, caseSensitive }) => (caseSensitive ? { alias, caseSensitive } : alias)),
+    category: skill.category,
+    parent: skill.parent ? names.get(String(skill.parent)) : undefined
+  }));
+};
+
+// Store the built-in skills missing from the taxonomy, linked to their
+// parents. Returns the number of skills added.
+const seedSkills = async () => {
+  const existing = new Set((await Skill.find().select('key').lean()).map(skill => skill.key));
+  const missing = SKILLS.filter(skill => !existing.has(skill.name.toLowerCase()));
+  if (!missing.length) return 0;
+
+  try {
+    await Skill.insertMany(
+      missing.map(({ name, aliases, category }) => ({ name, aliases: aliases.map(aliasOf), category })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Another instance seeding at the same time
+    if (error.code !== 11000) throw error;
+  }
+
+  const byKey = new Map((await Skill.find().select('key').lean()).map(skill => [skill.key, skill._id]));
+  for (const skill of missing.filter(({ parent }) => parent)) {
+    const parent = byKey.get(skill.parent.toLowerCase());
+    if (parent) await Skill.updateOne({ key: skill.name.toLowerCase(), parent: null }, { parent });
+  }
+
+  return missing.length;
+};
+
+// Load the managed taxonomy into memory for normalization, extraction and
+// search. An empty taxonomy is seeded with the built-in skills first.
+const loadTaxonomy = async () => {
+  let skills = await Skill.find().sort({ _id: 1 }).lean();
+  if (!skills.length) {
+    await seedSkills();
+    skills = await Skill.find().sort({ _id: 1 }).lean();
+  }
+
+  setTaxonomy(toEntries(skills));
+  return { skills: skills.length };
+};
+
+// Check a skill's name and aliases against the rest of the taxonomy and
+// resolve its parent by name. Spellings used by another skill throw 409; an
+// unknown parent or one under the skill itself throws 400.
+const checkSkill = async (fields, skill = null) => {
+  const others = await Skill.find(skill ? { _id: { $ne: skill._id } } : {}).select('name key aliases parent').lean();
+
+  const taken = new Map();
+  others.forEach(other => {
+    taken.set(other.key, other.name);
+    other.aliases.forEach(({ alias }) => taken.set(alias.toLowerCase(), other.name));
+  });
+
+  const spellings = [fields.name, ...(fields.aliases || []).map(alias => aliasOf(alias).alias)].filter(Boolean);
+  spellings.forEach(spelling => {
+    const owner = taken.get(spelling.toLowerCase());
+    if (owner) throw conflict(`"${spelling}" is already used by the skill ${owner}`);
+  });
+
+  if (fields.parent === undefined || fields.parent === null) return fields.parent;
+
+  const parent = others.find(other => other.key === fields.parent.toLowerCase());
+  if (!parent) {
+    if (skill && skill.key === fields.parent.toLowerCase()) throw badRequest('A skill cannot be its own parent');
+    throw badRequest(`Unknown parent skill: ${fields.parent}`);
+  }
+
+  // Walk up from the parent; meeting the skill would make a cycle
+  const byId = new Map(others.map(other => [String(other._id), other]));
+  const seen = new Set();
+  for (let ancestor = parent; ancestor && ancestor.parent && !seen.has(ancestor); ancestor = byId.get(String(ancestor.parent))) {
+    seen.add(ancestor);
+    if (skill && String(ancestor.parent) === String(skill._id)) {
+      throw badRequest(`${parent.name} is under ${skill.name}, so it cannot be its parent`);
+    }
+  }
+
+  return parent._id;
+};
+
+const populated = (skill) => Skill.findById(skill._id).populate('parent', 'name');
+
+// Add a skill to the taxonomy
+const createSkill = async (fields) => {
+  const parent = await checkSkill(fields);
+  const skill = await Skill.create({
+    ...fields,
+    aliases: (fields.aliases || []).map(aliasOf),
+    parent: parent || null
+  });
+
+  await loadTaxonomy();
+  return populated(skill);
+};
+
+// Change a skill. A renamed skill keeps its old name as an alias, so jobs
+// and queries using it still map to the skill.
+const updateSkill = async (skill, fields) => {
+  const parent = await checkSkill(fields, skill);
+  const update = { ...fields };
+  if (fields.aliases) update.aliases = fields.aliases.map(aliasOf);
+  if (fields.parent !== undefined) update.parent = parent;
+
+  const aliases = update.aliases || skill.aliases;
+  const renamed = fields.name && fields.name.toLowerCase() !== skill.key;
+  if (renamed && !aliases.some(({ alias }) => alias.toLowerCase() === skill.key)) {
+    update.aliases = [...aliases, { alias: skill.name }];
+  }
+
+  skill.set(update);
+  await skill.save();
+
+  await loadTaxonomy();
+  return populated(skill);
+};
+
+// Remove a skill; the skills under it move up to its parent. Jobs keep the
+// name as free text.
+const deleteSkill = async (skill) => {
+  await Skill.updateMany({ parent: skill._id }, { parent: skill.parent });
+  await skill.deleteOne();
+  await loadTaxonomy();
+};
+
+// Rewrite the skills of stored jobs to their canonical names with the
+// taxonomy in memory. Jobs are saved one by one, so the change is in their
+// history and their job.updated events reach webhooks and search suggestions.
+const normalizeStoredSkills = async ({ dryRun = false, actor } = {}) => {
+  const summary = { scanned: 0, updated: 0 };
+
+  // Trashed jobs are included so they are current when restored
+  const cursor = Job.find({ 'skills.0': { $exists: true } })
+    .setOptions({ withDeleted: true })
+    .cursor();
+
+  for (let job = await cursor.next(); job; job = await cursor.next()) {
+    summary.scanned += 1;
+
+    const skills = normalizeSkills(job.skills);
+    if (isDeepStrictEqual(skills, [...job.skills])) continue;
+
+    summary.updated += 1;
+    if (dryRun) continue;
+
+    job.skills = skills;
+    job.$locals.actor = actor;
+    await job.save({ validateModifiedOnly: true, timestamps: false });
+  }
+
+  return summary;
+};
+
+module.exports = {
+  seedSkills,
+  loadTaxonomy,
+  createSkill,
+  updateSkill,
+  deleteSkill,
+  normalizeStoredSkills
+};
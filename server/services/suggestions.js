@@ -0,0 +1,288 @@
+const { isDeepStrictEqual } = require('util');
+const Job = require('../models/Job');
+const Suggestion = require('../models/Suggestion');
+const { JOB_EVENTS, jobEvents } = require('../utils/events');
+const { normalizeText } = require('../utils/text');
+const logger = require('../utils/logger');
+
+// Shortest query answered; shorter prefixes are not indexed
+const MIN_QUERY_LENGTH = 2;
+
+// Longest prefix indexed, and the words of a value indexed as starting
+// points, so "react dev" finds "Senior React Developer"
+const MAX_PREFIX_LENGTH = 20;
+const MAX_WORDS = 6;
+
+// Entries compared with a misspelled query, most shared trigrams first
+const FUZZY_CANDIDATES = 100;
+
+// Times a job's entries are re-read when another change got there first
+const SYNC_ATTEMPTS = 3;
+
+const BATCH_SIZE = 1000;
+
+// Job field each suggestion type is taken from
+const SOURCES = { job: 'title', company: 'company', location: 'location', skill: 'skills' };
+const SOURCE_FIELDS = Object.values(SOURCES).join(' ');
+
+// Values of the type query parameter
+const QUERY_TYPES = {
+  all: Object.keys(SOURCES),
+  jobs: ['job'],
+  companies: ['company'],
+  locations: ['location'],
+  skills: ['skill']
+};
+
+// Entry ids are "<type>:<key>"; normalized keys never contain colons
+const entryId = (type, key) => `${type}:${key}`;
+
+const entryFilter = (id) => {
+  const separator = id.indexOf(':');
+  return { type: id.slice(0, separator), key: id.slice(separator + 1) };
+};
+
+// The entries a job counts towards, by id: its title, company, location and
+// skills while it is active and not in the trash
+const entriesOf = (job) => {
+  const entries = new Map();
+  if (!job || job.status !== 'active' || job.deletedAt) return entries;
+
+  Object.entries(SOURCES).forEach(([type, field]) => {
+    [].concat(job[field] || []).forEach(value => {
+      const key = normalizeText(value);
+      if (key) entries.set(entryId(type, key), { type, key, value: String(value).trim() });
+    });
+  });
+  return entries;
+};
+
+// The key from the start of each of its first words
+const wordStarts = (key) => {
+  const words = key.split(' ');
+  return words.slice(0, MAX_WORDS).map((word, index) => words.slice(index).join(' '));
+};
+
+const prefixesOf = (key) => {
+  const prefixes = new Set();
+  wordStarts(key).forEach(start => {
+    for (let length = MIN_QUERY_LENGTH; length <= Math.min(start.length, MAX_PREFIX_LENGTH); length += 1) {
+      const prefix = start.slice(0, length);
+      if (!prefix.endsWith(' ')) prefixes.add(prefix);
+    }
+  });
+  return [...prefixes];
+};
+
+const gramsOf = (key) => {
+  const grams = new Set();
+  key.split(' ').forEach(word => {
+    for (let index = 0; index + 3 <= word.length; index += 1) grams.add(word.slice(index, index + 3));
+  });
+  return [...grams];
+};
+
+// Edits tolerated for a query: none for very short ones, then one, then two
+const maxEditsFor = (query) => {
+  if (query.length < 3) return 0;
+  return query.length < 6 ? 1 : 2;
+};
+
+// Fewest insertions, deletions, substitutions and swaps of adjacent
+// characters that turn the query into a prefix of the text
+const prefixDistance = (query, text) => {
+  let previous = null;
+  let row = Array.from({ length: text.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= query.length; i += 1) {
+    const next = [i];
+    for (let j = 1; j <= text.length; j += 1) {
+      const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previous && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+        next[j] = Math.min(next[j], previous[j - 2] + 1);
+      }
+    }
+    previous = row;
+    row = next;
+  }
+  return Math.min(...row);
+};
+
+// Closest match of the query with any word start of an entry's key
+const distanceTo = (query, key, maxEdits) => Math.min(
+  ...wordStarts(key).map(start => prefixDistance(query, start.slice(0, query.length + maxEdits)))
+);
+
+const formatSuggestion = ({ type, value, weight, distance }) => ({ type, value, weight, distance });
+
+// Suggestions for a partial query: entries starting with it, most used
+// first, followed by entries within a few typos of it
+const suggest = async ({ q, type = 'all', limit = 10 }) => {
+  const query = normalizeText(q);
+  if (query.length < MIN_QUERY_LENGTH) return [];
+
+  const types = QUERY_TYPES[type] || QUERY_TYPES.all;
+  const typeFilter = types.length < QUERY_TYPES.all.length ? { type: { $in: types } } : {};
+
+  // Queries longer than the indexed prefixes are checked in full here
+  const exact = (await Suggestion.find({ prefixes: query.slice(0, MAX_PREFIX_LENGTH).trimEnd(), ...typeFilter })
+    .sort({ weight: -1 })
+    .limit(limit)
+    .select('type key value weight')
+    .lean())
+    .filter(entry => wordStarts(entry.key).some(start => start.startsWith(query)))
+    .map(entry => ({ ...entry, distance: 0 }));
+
+  const maxEdits = maxEditsFor(query);
+  const grams = gramsOf(query);
+  if (exact.length >= limit || !maxEdits || !grams.length) return exact.map(formatSuggestion);
+
+  const candidates = await Suggestion.aggregate([
+    { $match: { grams: { $in: grams }, ...typeFilter } },
+    { $project: { type: 1, key: 1, value: 1, weight: 1, shared: { $size: { $setIntersection: ['$grams', grams] } } } },
+    { $sort: { shared: -1, weight: -1 } },
+    { $limit: FUZZY_CANDIDATES }
+  ]);
+
+  const found = new Set(exact.map(entry => String(entry._id)));
+  const fuzzy = candidates
+    .filter(entry => !found.has(String(entry._id)))
+    .map(entry => ({ ...entry, distance: distanceTo(query, entry.key, maxEdits) }))
+    .filter(entry => entry.distance <= maxEdits)
+    .sort((a, b) => a.distance - b.distance || b.weight - a.weight);
+
+  return [...exact, ...fuzzy].slice(0, limit).map(formatSuggestion);
+};
+
+// Add and remove a job's counts from entries; entries no job uses any more
+// are dropped
+const applyChanges = async (added, removed) => {
+  await Suggestion.bulkWrite([
+    ...added.map(({ type, key, value }) => ({
+      updateOne: {
+        filter: { type, key },
+        update: { $inc: { weight: 1 }, $setOnInsert: { value, prefixes: prefixesOf(key), grams: gramsOf(key) } },
+        upsert: true
+      }
+    })),
+    ...removed.map(id => ({
+      updateOne: { filter: entryFilter(id), update: { $inc: { weight: -1 } } }
+    }))
+  ], { ordered: false });
+
+  if (removed.length) {
+    await Suggestion.deleteMany({ $or: removed.map(entryFilter), weight: { $lte: 0 } });
+  }
+};
+
+// Bring the counts in line with a job's current state. The entries a job is
+// counted in are stored on it and swapped with a compare-and-set, so events
+// handled at the same time never count a change twice.
+const syncJobSuggestions = async (job) => {
+  for (let attempt = 0; attempt < SYNC_ATTEMPTS; attempt += 1) {
+    const current = await Job.findById(job._id)
+      .setOptions({ withDeleted: true })
+      .select(`${SOURCE_FIELDS} status deletedAt suggestionKeys`)
+      .lean();
+
+    // A permanently deleted job is only known from the event
+    const stored = (current || job).suggestionKeys || [];
+    const entries = entriesOf(current);
+    const added = [...entries.keys()].filter(id => !stored.includes(id));
+    const removed = stored.filter(id => !entries.has(id));
+    if (!added.length && !removed.length) return;
+
+    if (current) {
+      const { modifiedCount } = await Job.updateOne(
+        { _id: current._id, suggestionKeys: current.suggestionKeys || { $exists: false } },
+        { suggestionKeys: [...entries.keys()] },
+        { withDeleted: true, timestamps: false }
+      );
+      if (!modifiedCount) continue;
+    }
+
+    await applyChanges(added.map(id => entries.get(id)), removed);
+    return;
+  }
+
+  logger.warn(`Gave up updating suggestions for job ${job._id} after concurrent changes`);
+};
+
+// Rebuild every entry from the jobs, e.g. for an existing database or after
+// events were missed. Best run while jobs are not being changed.
+const rebuildSuggestions = async ({ dryRun = false } = {}) => {
+  const summary = { jobs: 0, jobsUpdated: 0, suggestions: 0, removed: 0 };
+  const counted = new Map();
+
+  // Trashed jobs are included so their stored entries are cleared
+  const cursor = Job.find()
+    .setOptions({ withDeleted: true })
+    .select(`${SOURCE_FIELDS} status deletedAt suggestionKeys`)
+    .lean()
+    .cursor();
+
+  for (let job = await cursor.next(); job; job = await cursor.next()) {
+    summary.jobs += 1;
+
+    const entries = entriesOf(job);
+    entries.forEach((entry, id) => {
+      if (counted.has(id)) counted.get(id).weight += 1;
+      else counted.set(id, { ...entry, weight: 1 });
+    });
+
+    const keys = [...entries.keys()];
+    if (isDeepStrictEqual(keys, job.suggestionKeys || [])) continue;
+    summary.jobsUpdated += 1;
+    if (!dryRun) await Job.updateOne({ _id: job._id }, { suggestionKeys: keys }, { withDeleted: true, timestamps: false });
+  }
+
+  summary.suggestions = counted.size;
+
+  const stale = [];
+  const existing = Suggestion.find().select('type key').lean().cursor();
+  for (let entry = await existing.next(); entry; entry = await existing.next()) {
+    if (!counted.has(entryId(entry.type, entry.key))) stale.push(entry._id);
+  }
+  summary.removed = stale.length;
+  if (dryRun) return summary;
+
+  const entries = [...counted.values()];
+  for (let start = 0; start < entries.length; start += BATCH_SIZE) {
+    await Suggestion.bulkWrite(entries.slice(start, start + BATCH_SIZE).map(({ type, key, value, weight }) => ({
+      updateOne: {
+        filter: { type, key },
+        update: { $set: { weight, prefixes: prefixesOf(key), grams: gramsOf(key) }, $setOnInsert: { value } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+  for (let start = 0; start < stale.length; start += BATCH_SIZE) {
+    await Suggestion.deleteMany({ _id: { $in: stale.slice(start, start + BATCH_SIZE) } });
+  }
+
+  return summary;
+};
+
+let listening = false;
+
+// Keep the suggestion counts current as jobs change
+const listen = () => {
+  if (listening) return;
+  listening = true;
+
+  JOB_EVENTS.forEach(type => {
+    jobEvents.on(type, event => {
+      syncJobSuggestions(event.job).catch(error => logger.error(`Failed to update suggestions for ${type}:`, error));
+    });
+  });
+};
+
+module.exports = {
+  QUERY_TYPES,
+  prefixDistance,
+  suggest,
+  syncJobSuggestions,
+  rebuildSuggestions,
+  listen
+};
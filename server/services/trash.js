@@ -0,0 +1,45 @@
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const AiResult = require('../models/AiResult');
+const JobRevision = require('../models/JobRevision');
+const { emitJobEvent } = require('../utils/events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filter for trashed jobs, optionally only those trashed before a date
+const trashedFilter = (before) => ({ deletedAt: before ? { $ne: null, $lte: before } : { $ne: null } });
+
+// Permanently delete up to limit jobs matching the filter, with their
+// applications, history and cached AI results. Saved jobs keep their
+// snapshot. Trashed jobs are only matched when the filter names deletedAt.
+const purgeJobs = async (filter, { limit, actor } = {}) => {
+  const ids = await Job.find(filter).select('_id').limit(limit).lean();
+  const purged = [];
+
+  for (const { _id } of ids) {
+    // The filter is checked again, so a job changed in the meantime is kept
+    const job = await Job.findOneAndDelete({ ...filter, _id });
+    if (!job) continue;
+
+    await Application.deleteMany({ job: job._id });
+    await AiResult.deleteMany({ job: job._id });
+    await JobRevision.deleteMany({ job: job._id });
+
+    purged.push(job._id);
+    emitJobEvent('job.deleted', job, { actor, data: { permanent: true } });
+  }
+
+  return purged;
+};
+
+// Purge jobs that have been in the trash for longer than retentionDays
+const purgeExpiredTrash = ({ now = new Date(), retentionDays, batchSize, actor }) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  return purgeJobs(trashedFilter(cutoff), { limit: batchSize, actor });
+};
+
+module.exports = {
+  trashedFilter,
+  purgeJobs,
+  purgeExpiredTrash
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { getWebhookConfig } = require('../config/webhooks');
+const { JOB_EVENTS, jobEvents } = require('../utils/events');
+const logger = require('../utils/logger');
+
+// Longest response body kept in the delivery log
+const RESPONSE_BODY_LIMIT = 1000;
+
+// HMAC-SHA256 of "<timestamp>.<body>"; receivers recompute it with the
+// subscription secret to check that a delivery is authentic and recent
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Wait before retrying after the given number of failed attempts
+const backoffDelay = (failedAttempts, config = getWebhookConfig()) =>
+  Math.min(config.retryBaseMs * 2 ** (failedAttempts - 1), config.retryMaxMs);
+
+// How long a process may hold a delivery while sending it
+const leaseMs = (config = getWebhookConfig()) => config.timeoutMs * 2 + 5000;
+
+// Plain JSON body of an event, as sent to every subscriber
+const payloadOf = (event) => JSON.parse(JSON.stringify({
+  id: crypto.randomUUID(),
+  type: event.type,
+  occurredAt: event.occurredAt,
+  actor: event.actor ? { id: event.actor.id, kind: event.actor.kind, name: event.actor.name } : null,
+  data: {
+    job: event.job,
+    ...event.data
+  }
+}));
+
+// Send one attempt of a delivery and record its outcome
+const attemptDelivery = async (delivery, subscription) => {
+  const config = getWebhookConfig();
+  const now = new Date();
+
+  if (!subscription || !subscription.active) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ attemptedAt: now, error: 'Subscription is disabled or deleted' });
+    delivery.lockedUntil = undefined;
+    delivery.nextAttemptAt = undefined;
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const attempt = { attemptedAt: now };
+  const started = Date.now();
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'job-assistant-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+
+    attempt.responseStatus = response.status;
+    attempt.responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT);
+    if (!response.ok) attempt.error = `Responded with ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `Timed out after ${config.timeoutMs}ms`
+      : error.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+  delivery.lockedUntil = undefined;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts.length >= config.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(delivery.attempts.length, config));
+  }
+
+  await delivery.save();
+
+  await WebhookSubscription.updateOne({ _id: subscription._id }, attempt.error
+    ? { lastDeliveryAt: now, lastResponseStatus: attempt.responseStatus, $inc: { consecutiveFailures: 1 } }
+    : { lastDeliveryAt: now, lastResponseStatus: attempt.responseStatus, consecutiveFailures: 0 });
+
+  if (attempt.error) {
+    logger.warn(`Webhook delivery ${delivery._id} (${delivery.event}) to ${subscription.url} failed: ${attempt.error}`);
+  }
+
+  return delivery;
+};
+
+// Create a delivery already leased to this process and send its first attempt
+const createAndSend = async (subscription, fields) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.create({
+    ...fields,
+    subscription: subscription._id,
+    nextAttemptAt: now,
+    lockedUntil: new Date(now.getTime() + leaseMs())
+  });
+
+  return attemptDelivery(delivery, subscription);
+};
+
+// Record a delivery for every subscription that wants the event and send
+// them in the background; failures are retried by processDueDeliveries
+const enqueueEvent = async (event) => {
+  const subscriptions = await WebhookSubscription.findForEvent(event.type);
+  if (!subscriptions.length) return [];
+
+  const payload = payloadOf(event);
+
+  subscriptions.forEach(subscription => {
+    createAndSend(subscription, { eventId: payload.id, event: event.type, payload })
+      .catch(error => logger.error(`Webhook delivery of ${event.type} to ${subscription.url} failed:`, error));
+  });
+
+  return subscriptions;
+};
+
+// Send a past event again as a new delivery
+const redeliver = (delivery, subscription) => createAndSend(subscription, {
+  eventId: delivery.eventId,
+  event: delivery.event,
+  payload: delivery.payload,
+  redeliveryOf: delivery._id
+});
+
+// Retry pending deliveries whose next attempt is due. Each delivery is
+// leased before sending, so several instances never send it twice.
+const processDueDeliveries = async () => {
+  const config = getWebhookConfig();
+  const summary = { attempted: 0, succeeded: 0, pending: 0, failed: 0 };
+
+  for (let count = 0; count < config.batchSize; count += 1) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + leaseMs(config)) },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+    await attemptDelivery(delivery, subscription);
+
+    summary.attempted += 1;
+    summary[delivery.status] += 1;
+  }
+
+  return summary;
+};
+
+let listening = false;
+
+// Turn job lifecycle events into webhook deliveries
+const listen = () => {
+  if (listening) return;
+  listening = true;
+
+  JOB_EVENTS.forEach(type => {
+    jobEvents.on(type, event => {
+      enqueueEvent(event).catch(error => logger.error(`Failed to queue webhooks for ${type}:`, error));
+    });
+  });
+};
+
+module.exports = {
+  signPayload,
+  backoffDelay,
+  enqueueEvent,
+  redeliver,
+  processDueDeliveries,
+  listen
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  sortStage,
+  keysetFilter,
+  readPagination,
+  buildPage
+} = require('../pagination');
+
+const { ObjectId } = mongoose.Types;
+
+const BY_SALARY = { field: 'salary.max', order: 1 };
+const BY_SALARY_DESC = { field: 'salary.max', order: -1 };
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Order values as MongoDB does for the types used here: missing values first
+const compare = (a, b) => {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  if (a instanceof ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  return a < b ? -1 : (a > b ? 1 : 0);
+};
+
+// The part of the MongoDB query language keysetFilter produces
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(branch => matches(doc, branch));
+
+  const value = getPath(doc, field);
+  if (condition === null) return value == null;
+  if (condition instanceof ObjectId || typeof condition !== 'object') return compare(value, condition) === 0 && value != null;
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$ne') return operand === null ? value != null : compare(value, operand) !== 0;
+    if (value == null) return false;
+    return operator === '$gt' ? compare(value, operand) > 0 : compare(value, operand) < 0;
+  });
+});
+
+// Fetch one page the way the routes do
+const fetchPage = (docs, sort, { cursor = null, limit = 2 } = {}) => {
+  const decoded = cursor ? decodeCursor(cursor, sort) : null;
+  const stage = Object.entries(sortStage(sort, decoded));
+  const found = docs
+    .filter(doc => !decoded || matches(doc, keysetFilter(sort, decoded)))
+    .sort((a, b) => stage.reduce((result, [field, order]) => result || order * compare(getPath(a, field), getPath(b, field)), 0))
+    .slice(0, limit + 1);
+
+  return buildPage(found, { sort, page: 1, limit, cursor: decoded });
+};
+
+// Salaries with ties and missing values
+const DOCS = [90000, 70000, null, 70000, 80000, 70000, undefined, 80000].map(max => ({
+  _id: new ObjectId(),
+  salary: max === undefined ? {} : { max }
+}));
+
+const idsOf = items => items.map(doc => String(doc._id));
+
+describe('cursors', () => {
+  test('round-trip dates, ids, numbers and missing values', () => {
+    const doc = { _id: new ObjectId(), postedDate: new Date('2026-01-05T10:00:00Z'), company: new ObjectId(), salary: { max: 5 } };
+
+    expect(decodeCursor(encodeCursor(doc, { field: 'postedDate', order: -1 }, 'next'), { field: 'postedDate', order: -1 }))
+      .toEqual({ value: doc.postedDate, id: doc._id, direction: 'next' });
+    expect(decodeCursor(encodeCursor(doc, { field: 'company', order: 1 }, 'prev'), { field: 'company', order: 1 }).value)
+      .toEqual(doc.company);
+    expect(decodeCursor(encodeCursor(doc, BY_SALARY, 'next'), BY_SALARY).value).toBe(5);
+    expect(decodeCursor(encodeCursor({ _id: doc._id }, BY_SALARY, 'next'), BY_SALARY).value).toBeNull();
+  });
+
+  test('are URL safe', () => {
+    const cursor = encodeCursor({ _id: new ObjectId(), title: '?&/+= ü' }, { field: 'title', order: 1 }, 'next');
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const id = new ObjectId().toHexString();
+
+  test.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['JSON null', encode(null)],
+    ['an unknown direction', encode({ k: 'salary.max:1', v: 1, id, d: 'sideways' })],
+    ['an invalid id', encode({ k: 'salary.max:1', v: 1, id: 'abc', d: 'next' })],
+    ['an operator as value', encode({ k: 'salary.max:1', v: { $gt: '' }, id, d: 'next' })]
+  ])('with %s are rejected with 400', (name, cursor) => {
+    expect(() => decodeCursor(cursor, BY_SALARY)).toThrow(expect.objectContaining({ statusCode: 400, message: 'Invalid cursor' }));
+  });
+
+  test('made for another sort are rejected with 400', () => {
+    const cursor = encodeCursor(DOCS[0], BY_SALARY, 'next');
+    expect(() => decodeCursor(cursor, BY_SALARY_DESC)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'Cursor was made for a different sort order'
+    }));
+  });
+});
+
+describe('keysetFilter', () => {
+  const id = new ObjectId();
+
+  test('breaks ties on the sort value by _id', () => {
+    expect(keysetFilter(BY_SALARY, { value: 70000, id, direction: 'next' })).toEqual({
+      $or: [{ 'salary.max': { $gt: 70000 } }, { 'salary.max': 70000, _id: { $gt: id } }]
+    });
+    expect(keysetFilter(BY_SALARY, { value: 70000, id, direction: 'prev' })).toEqual({
+      $or: [{ 'salary.max': { $lt: 70000 } }, { 'salary.max': 70000, _id: { $lt: id } }, { 'salary.max': null }]
+    });
+  });
+
+  test.each([
+    ['ascending', BY_SALARY],
+    ['descending', BY_SALARY_DESC]
+  ])('walks every document once %s, through ties and missing values', (name, sort) => {
+    const expected = idsOf(fetchPage(DOCS, sort, { limit: DOCS.length }).items);
+    const pages = [fetchPage(DOCS, sort)];
+    // Bounded, so a cursor that repeats pages fails instead of looping
+    while (pages[pages.length - 1].pagination.nextCursor && pages.length <= DOCS.length) {
+      pages.push(fetchPage(DOCS, sort, { cursor: pages[pages.length - 1].pagination.nextCursor }));
+    }
+
+    expect(pages).toHaveLength(4);
+    expect(idsOf(pages.flatMap(page => page.items))).toEqual(expected);
+    expect(pages[3].pagination).toMatchObject({ hasNext: false, hasPrev: true, nextCursor: null });
+
+    // And back again, page by page
+    let page = pages[3];
+    for (let index = 2; index >= 0; index -= 1) {
+      page = fetchPage(DOCS, sort, { cursor: page.pagination.prevCursor });
+      expect(idsOf(page.items)).toEqual(idsOf(pages[index].items));
+    }
+    expect(page.pagination).toMatchObject({ hasPrev: false, hasNext: true, prevCursor: null });
+  });
+});
+
+describe('readPagination', () => {
+  test('counts totals for page numbers but not for cursors', () => {
+    expect(readPagination({ page: '3', limit: '10' }, BY_SALARY)).toEqual({ page: 3, limit: 10, cursor: null, totalMode: 'exact' });
+    expect(readPagination({ cursor: encodeCursor(DOCS[0], BY_SALARY, 'next') }, BY_SALARY)).toMatchObject({ totalMode: 'none' });
+  });
+
+  test('rejects unknown total modes with 400', () => {
+    expect(() => readPagination({ total: 'all' }, BY_SALARY)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,188 @@
+const { parseQuery, isPlainText, queryFilter } = require('../queryParser');
+
+const now = new Date('2026-01-31T00:00:00Z');
+
+const filterOf = (query, filters = {}) => queryFilter(query, filters, { now }).filter;
+
+// The error a query throws, or null
+const errorOf = (query) => {
+  try {
+    parseQuery(query);
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+// Every key in a filter, at any depth
+const keysOf = (value) => {
+  if (Array.isArray(value)) return value.flatMap(keysOf);
+  if (!value || typeof value !== 'object' || value instanceof RegExp || value instanceof Date) return [];
+  return Object.entries(value).flatMap(([key, child]) => [key, ...keysOf(child)]);
+};
+
+describe('queryFilter plain-text fallback', () => {
+  test.each([
+    'react developer',
+    'node.js "machine learning" -php',
+    'Senior Engineer: Backend',
+    'http://example.com/jobs?id=1',
+    'and or not'
+  ])('%s uses the text index', (query) => {
+    expect(queryFilter(query)).toEqual({ filter: { $text: { $search: query } }, textSearch: true });
+  });
+
+  test('words ending in a colon that are not fields stay plain words', () => {
+    expect(isPlainText('Engineer: Backend')).toBe(true);
+    expect(parseQuery('foo:bar')).toMatchObject({ type: 'term', field: null, value: 'foo:bar' });
+  });
+
+  test.each([
+    'title:engineer',
+    'react OR vue',
+    'java*',
+    '(react)',
+    '-php'
+  ])('%s is compiled', (query) => {
+    expect(isPlainText(query)).toBe(false);
+    expect(queryFilter(query).textSearch).toBe(false);
+  });
+});
+
+describe('parseQuery', () => {
+  test('OR binds looser than AND and juxtaposed terms are ANDed', () => {
+    expect(parseQuery('a b OR c')).toMatchObject({
+      type: 'or',
+      children: [
+        { type: 'and', children: [{ value: 'a' }, { value: 'b' }] },
+        { value: 'c' }
+      ]
+    });
+  });
+
+  test('field names and aliases ignore case', () => {
+    expect(parseQuery('Skill:react')).toMatchObject({ field: 'skills', value: 'react' });
+    expect(parseQuery('JobType:contract')).toMatchObject({ field: 'type', value: 'contract' });
+  });
+
+  test('field groups scope every term in them', () => {
+    expect(parseQuery('title:(senior OR lead)')).toMatchObject({
+      type: 'or',
+      children: [{ field: 'title', value: 'senior' }, { field: 'title', value: 'lead' }]
+    });
+  });
+
+  test.each([
+    ['', 'Empty query', 0],
+    ['"machine learning', 'Unterminated phrase', 0],
+    ['(react OR vue', "Expected ')' but found end of query", 13],
+    ['react OR', 'Expected a search term after OR but found end of query', 8],
+    ['react AND )', "Expected a search term after AND but found ')'", 10],
+    ['react)', "Unexpected ')'", 5],
+    ['title:', 'Missing value for title:', 6],
+    ['salary:abc', 'Invalid salary "abc"', 7],
+    ['salary:>', "Missing value after '>'", 8],
+    ['posted:yesterday', 'Invalid posted value "yesterday"', 7],
+    ['posted:7d..2026-01-01', 'A posted range needs two ages or two dates', 7],
+    ['title:>5', 'Ranges are only supported for salary: and posted:', 6],
+    ['country:atlantis', 'Unknown country "atlantis"', 8],
+    ['title:(skills:go)', 'Field skills: cannot be used inside title:', 7],
+    ['**', 'A wildcard needs at least one other character', 0],
+    ['""', 'Empty phrase', 0]
+  ])('%j fails with "%s" at position %i', (query, message, position) => {
+    const error = errorOf(query);
+    expect(error).not.toBeNull();
+    expect(error.message).toContain(message);
+    expect(error.message).toContain(`(at position ${position})`);
+    expect(error.statusCode).toBe(400);
+    expect(error.details).toEqual({ position });
+  });
+
+  test('limits length and nesting', () => {
+    expect(errorOf('a'.repeat(501)).message).toContain('longer than 500 characters');
+    expect(errorOf(`${'('.repeat(11)}a${')'.repeat(11)}`).message).toContain('nested too deeply');
+    expect(errorOf(`${'NOT '.repeat(11)}a`).message).toContain('nested too deeply');
+    expect(errorOf(`${'('.repeat(10)}a${')'.repeat(10)}`)).toBeNull();
+  });
+});
+
+describe('queryFilter compiled queries', () => {
+  test('fields match whole words, ignoring case', () => {
+    expect(filterOf('title:engineer')).toEqual({
+      $and: [{ title: { $regex: '(?<!\\w)engineer(?!\\w)', $options: 'i' } }]
+    });
+  });
+
+  test('wildcards match within a word and phrases match words in order', () => {
+    expect(filterOf('title:eng*')).toEqual({
+      $and: [{ title: { $regex: '(?<!\\w)eng\\S*(?!\\w)', $options: 'i' } }]
+    });
+    expect(filterOf('company:"acme  inc"')).toEqual({
+      $and: [{ company: { $regex: '(?<!\\w)acme\\s+inc(?!\\w)', $options: 'i' } }]
+    });
+  });
+
+  test('NOT and - compile to $nor', () => {
+    expect(filterOf('type:contract -remote:remote')).toEqual({
+      $and: [
+        { jobType: { $regex: '^contract$', $options: 'i' } },
+        { $nor: [{ remote: { $regex: '^remote$', $options: 'i' } }] }
+      ]
+    });
+  });
+
+  test('salary bounds compare against the normalized range', () => {
+    expect(filterOf('salary:>100k')).toEqual({ $and: [{ 'normalizedSalary.min': { $gt: 100000 } }] });
+    expect(filterOf('salary:<=90000')).toEqual({ $and: [{ 'normalizedSalary.max': { $lte: 90000 } }] });
+    expect(filterOf('salary:120k..80k')).toEqual({
+      $and: [{ 'normalizedSalary.min': { $gte: 80000 }, 'normalizedSalary.max': { $lte: 120000 } }]
+    });
+    expect(filterOf('salary:95k')).toEqual({
+      $and: [{ 'normalizedSalary.min': { $lte: 95000 }, 'normalizedSalary.max': { $gte: 95000 } }]
+    });
+  });
+
+  test('posted ages count back from now and dates cover whole days', () => {
+    expect(filterOf('posted:<7d')).toEqual({ $and: [{ postedDate: { $gt: new Date('2026-01-24T00:00:00Z') } }] });
+    expect(filterOf('posted:2026-01-05')).toEqual({
+      $and: [{ postedDate: { $gte: new Date('2026-01-05T00:00:00Z'), $lt: new Date('2026-01-06T00:00:00Z') } }]
+    });
+  });
+
+  test('countries resolve to codes and any-value terms check existence', () => {
+    expect(filterOf('country:germany')).toEqual({ $and: [{ 'place.country': 'DE' }] });
+    expect(filterOf('industry:*')).toEqual({ $and: [{ industry: { $exists: true, $nin: [null, ''] } }] });
+  });
+
+  test('skills match their canonical name and expand on request', () => {
+    const [{ skills }] = filterOf('skills:reactjs').$and;
+    expect(skills.$in).toContain('React');
+
+    const [{ skills: expanded }] = filterOf('skills:javascript', { expandSkills: true }).$and;
+    expect(expanded.$in).toEqual(expect.arrayContaining(['JavaScript', 'React']));
+  });
+});
+
+describe('queryFilter operator injection', () => {
+  const OPERATORS = ['$and', '$or', '$nor', '$regex', '$options', '$in', '$nin', '$exists', '$gt', '$gte', '$lt', '$lte'];
+
+  test.each([
+    'title:$where',
+    'company:"{\\"$ne\\": null}" OR $gt',
+    '$where:1 AND title:$regex',
+    'tags:$exists -type:$ne',
+    'skills:{$gt:1} title:.*'
+  ])('%s only produces the compiler\'s own operators', (query) => {
+    const keys = keysOf(filterOf(query));
+    expect(keys.filter(key => key.startsWith('$') && !OPERATORS.includes(key))).toEqual([]);
+  });
+
+  test('regular expression characters are matched literally', () => {
+    expect(filterOf('title:.*')).toEqual({
+      $and: [{ title: { $regex: '(?<!\\w)\\.\\S*(?!\\w)', $options: 'i' } }]
+    });
+    expect(filterOf('company:"a|b (c)"')).toEqual({
+      $and: [{ company: { $regex: '(?<!\\w)a\\|b\\s+\\(c\\)(?!\\w)', $options: 'i' } }]
+    });
+  });
+});
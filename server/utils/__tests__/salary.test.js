@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PERIODS_PER_YEAR,
+  SALARY_PERIODS,
+  reloadRates,
+  toBaseAnnual,
+  fromBaseAnnual,
+  readSalaryUnits,
+  normalizeSalary,
+  salaryRangeFilter
+} = require('../salary');
+
+const RATES = { base: 'USD', rates: { USD: 1, EUR: 0.8, GBP: 0.75, JPY: 150 } };
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'salary-'));
+const environment = { ...process.env };
+
+// Use a rate table written for the test
+const useRates = (table) => {
+  const file = path.join(directory, 'rates.json');
+  fs.writeFileSync(file, JSON.stringify(table));
+  process.env.EXCHANGE_RATES_FILE = file;
+  return reloadRates();
+};
+
+beforeEach(() => useRates(RATES));
+
+afterAll(() => {
+  process.env = { ...environment };
+  reloadRates();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('toBaseAnnual and fromBaseAnnual', () => {
+  test('convert per-period amounts to yearly base amounts', () => {
+    expect(toBaseAnnual(80000, { currency: 'USD', period: 'yearly' })).toBe(80000);
+    expect(toBaseAnnual(5000, { currency: 'EUR', period: 'monthly' })).toBe(75000);
+    expect(toBaseAnnual(30, { currency: 'GBP', period: 'hourly' })).toBe(83200);
+  });
+
+  test.each(SALARY_PERIODS.flatMap(period => Object.keys(RATES.rates).map(currency => [currency, period])))(
+    'round-trip amounts in %s per %s',
+    (currency, period) => {
+      const units = { currency, period };
+      expect(fromBaseAnnual(toBaseAnnual(1234.5, units), units)).toBeCloseTo(1234.5, 6);
+      expect(toBaseAnnual(fromBaseAnnual(100000, units), units)).toBeCloseTo(100000, 6);
+    }
+  );
+
+  test('convert between currencies and periods through the base', () => {
+    const yearly = toBaseAnnual(6000, { currency: 'EUR', period: 'monthly' });
+    expect(fromBaseAnnual(yearly, { currency: 'JPY', period: 'yearly' })).toBeCloseTo(13500000, 6);
+    expect(fromBaseAnnual(yearly, { currency: 'USD', period: 'weekly' })).toBeCloseTo(90000 / PERIODS_PER_YEAR.weekly, 6);
+  });
+});
+
+describe('readSalaryUnits', () => {
+  test('defaults to the base currency per year and accepts any case', () => {
+    expect(readSalaryUnits()).toEqual({ currency: 'USD', period: 'yearly' });
+    expect(readSalaryUnits({ currency: 'eur', period: 'monthly' })).toEqual({ currency: 'EUR', period: 'monthly' });
+  });
+
+  test.each([
+    [{ currency: 'XYZ' }, 'Unknown currency: XYZ'],
+    [{ period: 'fortnightly' }, 'Invalid salary period; use one of: hourly, daily, weekly, monthly, yearly']
+  ])('rejects %j with 400', (units, message) => {
+    expect(() => readSalaryUnits(units)).toThrow(expect.objectContaining({ statusCode: 400, message }));
+  });
+});
+
+describe('normalizeSalary', () => {
+  test('stores yearly amounts in the base currency, rounded', () => {
+    expect(normalizeSalary({ min: 4000, max: 5000, currency: 'EUR', period: 'monthly' }))
+      .toEqual({ currency: 'USD', min: 60000, max: 75000 });
+    expect(normalizeSalary({ max: 100 })).toEqual({ currency: 'USD', max: 100 });
+  });
+
+  test('skips salaries without amounts or in unknown currencies', () => {
+    expect(normalizeSalary(undefined)).toBeNull();
+    expect(normalizeSalary({ currency: 'EUR' })).toBeNull();
+    expect(normalizeSalary({ min: 50000, currency: 'XYZ' })).toBeNull();
+  });
+});
+
+describe('salaryRangeFilter', () => {
+  test('converts the range to stored units', () => {
+    expect(salaryRangeFilter({ minSalary: '4000', maxSalary: '6000', salaryCurrency: 'eur', salaryPeriod: 'monthly' })).toEqual({
+      'normalizedSalary.min': { $gte: 60000 },
+      'normalizedSalary.max': { $lte: 90000 }
+    });
+    expect(salaryRangeFilter({})).toEqual({});
+  });
+
+  test('matches the bounds a job in the same currency stores', () => {
+    const salary = { min: 333, currency: 'GBP', period: 'daily' };
+    expect(salaryRangeFilter({ minSalary: '333', salaryCurrency: 'GBP', salaryPeriod: 'daily' })['normalizedSalary.min'].$gte)
+      .toBe(normalizeSalary(salary).min);
+  });
+
+  test('rejects unknown currencies with 400', () => {
+    expect(() => salaryRangeFilter({ minSalary: '1', salaryCurrency: 'XYZ' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('reloadRates', () => {
+  test('refuses tables whose base rate is not 1', () => {
+    expect(() => useRates({ base: 'USD', rates: { USD: 2, EUR: 0.8 } })).toThrow(/^Invalid exchange rate table/);
+  });
+});
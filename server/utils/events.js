@@ -0,0 +1,26 @@
+const EventEmitter = require('events');
+
+// Job lifecycle event names
+const JOB_EVENTS = ['job.created', 'job.updated', 'job.status_changed', 'job.deleted', 'job.restored', 'job.expired'];
+
+// In-process bus for job lifecycle events. The Job model emits them; listeners
+// such as webhook delivery subscribe at startup.
+const jobEvents = new EventEmitter();
+
+// Emit a job event. Listeners run synchronously, so they must hand slow work
+// off and handle their own errors to never break the request that caused it.
+const emitJobEvent = (type, job, { actor, data = {} } = {}) => {
+  jobEvents.emit(type, {
+    type,
+    job,
+    actor,
+    data,
+    occurredAt: new Date()
+  });
+};
+
+module.exports = {
+  JOB_EVENTS,
+  jobEvents,
+  emitJobEvent
+};
@@ -0,0 +1,160 @@
+const gazetteer = require('../data/gazetteer.json');
+const { normalizeText } = require('./text');
+
+// Mean radius of the earth, as MongoDB uses for $centerSphere
+const EARTH_RADIUS_KM = 6378.1;
+
+// Radius used when a search names a point but no radius
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 1000;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Country codes keyed by every normalized name they appear under
+const COUNTRY_NAMES = new Map();
+gazetteer.countries.forEach(({ code, name, aliases }) => {
+  [code, name, ...aliases].forEach(alias => COUNTRY_NAMES.set(normalizeText(alias), code));
+});
+
+// Cities with the normalized names they appear under
+const CITIES = gazetteer.cities.map(city => ({
+  ...city,
+  names: [city.city, ...city.aliases].map(normalizeText),
+  regionNames: [city.region, city.regionCode].map(normalizeText)
+}));
+
+// Location strings are lists such as "Berlin, Germany" or "Remote - US"
+const splitParts = (text) => String(text || '')
+  .split(/[,;/|()]| - | – /)
+  .map(normalizeText)
+  .filter(Boolean);
+
+const containsPhrase = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+// How well a city fits the other parts of a location string. A part naming
+// another country counts against the city unless it is the city's region
+// code, so "San Francisco, CA" is not read as Canada.
+const scoreCity = (city, parts) => {
+  let score = 0;
+  parts.forEach(part => {
+    if (city.names.includes(part)) return;
+    if (city.regionNames.includes(part)) {
+      score += 2;
+    } else if (COUNTRY_NAMES.has(part)) {
+      score += COUNTRY_NAMES.get(part) === city.country ? 2 : -4;
+    }
+  });
+  return score;
+};
+
+// Resolve a free-text location to a structured place using the offline
+// gazetteer. Returns { city, region, country, point } for a known city,
+// { country } when only the country is known, or null.
+const lookupLocation = (text) => {
+  const parts = splitParts(text);
+  if (!parts.length) return null;
+
+  const whole = parts.join(' ');
+  const candidates = CITIES.filter(city => city.names.some(name => containsPhrase(whole, name)));
+
+  if (candidates.length) {
+    const [best] = candidates
+      .map(city => ({ city, score: scoreCity(city, parts) }))
+      .sort((a, b) => b.score - a.score || b.city.population - a.city.population);
+
+    if (best.score >= 0) {
+      const { city, region, country, lat, lng } = best.city;
+      return { city, region, country, point: { type: 'Point', coordinates: [lng, lat] } };
+    }
+  }
+
+  const country = parts.map(part => COUNTRY_NAMES.get(part)).find(Boolean);
+  return country ? { country } : null;
+};
+
+// Country code for a country name, alias or code, or undefined
+const countryCode = (value) => COUNTRY_NAMES.get(normalizeText(value));
+
+// Read the point a radius search is centred on: { lat, lng }, "lat,lng" or
+// a city name known to the gazetteer. Returns [lng, lat] as GeoJSON orders it.
+const resolvePoint = (near) => {
+  let lat;
+  let lng;
+
+  if (near && typeof near === 'object') {
+    ({ lat, lng } = near);
+  } else if (typeof near === 'string' && /^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/.test(near)) {
+    [lat, lng] = near.split(',').map(Number);
+  } else if (typeof near === 'string') {
+    const place = lookupLocation(near);
+    if (!place || !place.point) throw badRequest(`Unknown place: ${near}`);
+    return place.point.coordinates;
+  }
+
+  lat = Number(lat);
+  lng = Number(lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw badRequest('near must be a place name, "lat,lng" or { lat, lng }');
+  }
+  return [lng, lat];
+};
+
+// Read a radius in kilometres, falling back to the default
+const resolveRadius = (radius) => {
+  if (radius === undefined || radius === null || radius === '') return DEFAULT_RADIUS_KM;
+  const km = Number(radius);
+  if (!Number.isFinite(km) || km <= 0 || km > MAX_RADIUS_KM) {
+    throw badRequest(`radius must be a number of kilometres between 0 and ${MAX_RADIUS_KM}`);
+  }
+  return km;
+};
+
+// Query condition for points within radiusKm of [lng, lat]
+const withinRadius = (coordinates, radiusKm) => ({
+  $geoWithin: { $centerSphere: [coordinates, radiusKm / EARTH_RADIUS_KM] }
+});
+
+// Aggregation expression for the great-circle distance in kilometres from
+// [lng, lat] to a job's place, or null when the job has no coordinates
+const distanceExpression = ([lng, lat]) => {
+  const toRadians = (value) => ({ $degreesToRadians: value });
+  const jobLng = { $arrayElemAt: ['$place.point.coordinates', 0] };
+  const jobLat = { $arrayElemAt: ['$place.point.coordinates', 1] };
+  const halfSine = (from, to) => ({ $pow: [{ $sin: { $divide: [{ $subtract: [toRadians(to), toRadians(from)] }, 2] } }, 2] });
+
+  return {
+    $cond: [
+      { $isArray: '$place.point.coordinates' },
+      {
+        $round: [{
+          $multiply: [2 * EARTH_RADIUS_KM, {
+            $asin: {
+              $sqrt: {
+                $add: [
+                  halfSine(lat, jobLat),
+                  { $multiply: [Math.cos(lat * Math.PI / 180), { $cos: toRadians(jobLat) }, halfSine(lng, jobLng)] }
+                ]
+              }
+            }
+          }]
+        }, 2]
+      },
+      null
+    ]
+  };
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  lookupLocation,
+  countryCode,
+  resolvePoint,
+  resolveRadius,
+  withinRadius,
+  distanceExpression
+};
@@ -0,0 +1,48 @@
+const { salaryRangeFilter } = require('./salary');
+const { normalizeSkills, expandSkills } = require('./skills');
+
+// Build the MongoDB filter for the GET /api/jobs query parameters. Unknown
+// salary currencies throw errors with statusCode 400.
+const buildJobFilter = (query) => {
+  const {
+    status = 'active',
+    jobType,
+    remote,
+    experienceLevel,
+    industry,
+    location,
+    skills,
+    expandSkills: expand,
+    company
+  } = query;
+
+  const filter = { status };
+
+  // Active jobs past their expiry date are hidden even before the lifecycle
+  // sweeper marks them expired
+  if (status === 'active') filter.expiryDate = { $not: { $lte: new Date() } };
+
+  if (jobType) filter.jobType = jobType;
+  if (remote) filter.remote = remote;
+  if (experienceLevel) filter.experienceLevel = experienceLevel;
+  if (industry) filter.industry = { $regex: industry, $options: 'i' };
+  if (location) filter.location = { $regex: location, $options: 'i' };
+  if (company) filter.company = { $regex: company, $options: 'i' };
+
+  // Salary filter in the caller's currency and period (salaryCurrency,
+  // salaryPeriod), compared as yearly amounts in the base currency
+  Object.assign(filter, salaryRangeFilter(query));
+
+  // Skills filter by canonical name; expandSkills=true adds the skills
+  // under them
+  if (skills) {
+    const skillsArray = skills.split(',');
+    filter.skills = { $in: expand === 'true' ? expandSkills(skillsArray) : normalizeSkills(skillsArray) };
+  }
+
+  return filter;
+};
+
+module.exports = {
+  buildJobFilter
+};
@@ -0,0 +1,44 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges; requests to them would reach the server's own network
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Whether an IP address is on the public internet. IPv4-mapped IPv6
+// addresses (::ffff:10.0.0.1) are checked as IPv4.
+const isPublicAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Resolve a URL's host and throw unless every address it resolves to is
+// public, so user-chosen URLs cannot reach internal services
+const assertPublicUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.lookup(hostname, { all: true });
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new Error(`${hostname} resolves to a private address (${blocked.address})`);
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl
+};
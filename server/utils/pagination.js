@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// Values of the total query parameter
+const TOTAL_MODES = ['exact', 'estimate', 'none'];
+
+// An estimated total stops counting here
+const ESTIMATE_LIMIT = 10000;
+
+const { ObjectId } = mongoose.Types;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Read a dotted path such as salary.max from a document
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Dates and ObjectIds do not survive JSON, so cursors tag them
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof ObjectId) return { $oid: value.toHexString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string') return new ObjectId(value.$oid);
+    throw badRequest('Invalid cursor');
+  }
+  return value;
+};
+
+// A sort is one field and an order (1 or -1); _id breaks ties in the same order
+const sortKeyOf = (sort) => `${sort.field}:${sort.order}`;
+
+// Opaque cursor pointing at a document; next pages start after it and
+// previous pages end before it
+const encodeCursor = (doc, sort, direction) => Buffer.from(JSON.stringify({
+  k: sortKeyOf(sort),
+  v: encodeValue(getPath(doc, sort.field)),
+  id: String(doc._id),
+  d: direction
+})).toString('base64url');
+
+// Decode a cursor made by encodeCursor for the same sort
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+
+  if (!payload || !['next', 'prev'].includes(payload.d) || !ObjectId.isValid(payload.id)) {
+    throw badRequest('Invalid cursor');
+  }
+  if (payload.k !== sortKeyOf(sort)) {
+    throw badRequest('Cursor was made for a different sort order');
+  }
+
+  return {
+    value: decodeValue(payload.v),
+    id: new ObjectId(payload.id),
+    direction: payload.d
+  };
+};
+
+// Sort for fetching a page; walking back reads the sort in reverse
+const sortStage = (sort, cursor) => {
+  const order = cursor && cursor.direction === 'prev' ? -sort.order : sort.order;
+  return { [sort.field]: order, _id: order };
+};
+
+// Filter for the documents past the cursor in the direction of the walk.
+// Missing values sort first in ascending order and last in descending order.
+const keysetFilter = (sort, cursor) => {
+  const order = cursor.direction === 'prev' ? -sort.order : sort.order;
+  const op = order === 1 ? '$gt' : '$lt';
+  const { field } = sort;
+  const { value, id } = cursor;
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: null, _id: { [op]: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { [op]: id } };
+  }
+
+  const clauses = [
+    { [field]: { [op]: value } },
+    { [field]: value, _id: { [op]: id } }
+  ];
+  if (order === -1) clauses.push({ [field]: null });
+  return { $or: clauses };
+};
+
+// Read page, limit, cursor and total from the query string. A cursor takes
+// precedence over page. Totals are counted by default for page numbers only.
+const readPagination = (query, sort, { defaultLimit = 20 } = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.max(parseInt(query.limit) || defaultLimit, 1);
+  const cursor = query.cursor ? decodeCursor(String(query.cursor), sort) : null;
+  const totalMode = query.total || (cursor ? 'none' : 'exact');
+
+  if (!TOTAL_MODES.includes(totalMode)) {
+    throw badRequest(`Invalid total; use one of: ${TOTAL_MODES.join(', ')}`);
+  }
+
+  return { page, limit, cursor, totalMode };
+};
+
+// Count the documents matching a filter as the total mode asks
+const countTotal = async (Model, filter, totalMode) => {
+  if (totalMode === 'none') return {};
+
+  if (totalMode === 'estimate') {
+    const total = await Model.countDocuments(filter).limit(ESTIMATE_LIMIT);
+    return { total, totalIsEstimate: total >= ESTIMATE_LIMIT };
+  }
+
+  return { total: await Model.countDocuments(filter) };
+};
+
+// Turn the limit + 1 documents fetched for a page into the page and its
+// pagination info
+const buildPage = (docs, { sort, page, limit, cursor }, { total, totalIsEstimate } = {}) => {
+  const walkingBack = Boolean(cursor) && cursor.direction === 'prev';
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (walkingBack) items.reverse();
+
+  // A cursor always points at a document on the page it came from
+  const hasNext = walkingBack || hasMore;
+  const hasPrev = walkingBack ? hasMore : Boolean(cursor) || page > 1;
+
+  const pagination = cursor ? { limit } : { page, limit };
+  if (total !== undefined) {
+    pagination.total = total;
+    if (totalIsEstimate !== undefined) pagination.totalIsEstimate = totalIsEstimate;
+    if (!cursor) pagination.totalPages = Math.ceil(total / limit);
+  }
+
+  return {
+    items,
+    pagination: {
+      ...pagination,
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext && items.length ? encodeCursor(items[items.length - 1], sort, 'next') : null,
+      prevCursor: hasPrev && items.length ? encodeCursor(items[0], sort, 'prev') : null
+    }
+  };
+};
+
+module.exports = {
+  TOTAL_MODES,
+  encodeCursor,
+  decodeCursor,
+  sortStage,
+  keysetFilter,
+  readPagination,
+  countTotal,
+  buildPage
+};
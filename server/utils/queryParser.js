@@ -0,0 +1,423 @@
+const { escapeRegex } = require('./text');
+const { countryCode } = require('./geo');
+const { normalizeSkill, expandSkills } = require('./skills');
+const { readSalaryUnits, toBaseAnnual } = require('./salary');
+
+// Longest query accepted and deepest nesting of groups and negations
+const MAX_QUERY_LENGTH = 500;
+const MAX_DEPTH = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Relative ages accepted by posted:, e.g. posted:<7d
+const AGE_UNITS = { h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS, m: 30 * DAY_MS, y: 365 * DAY_MS };
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+// Fields free terms are matched against, as in the text index
+const TEXT_FIELDS = ['title', 'description', 'company', 'skills'];
+
+// Fields a term can be scoped to and how their values are matched:
+// words - the words appear in the field
+// exact - the whole value, ignoring case
+// skill - a skill by its canonical name or exact value
+// country - a country code or name
+// salary, date - numbers or dates, with ranges
+const FIELDS = {
+  title: { path: 'title', match: 'words' },
+  company: { path: 'company', match: 'words' },
+  description: { path: 'description', match: 'words' },
+  location: { path: 'location', match: 'words' },
+  industry: { path: 'industry', match: 'words' },
+  city: { path: 'place.city', match: 'words' },
+  region: { path: 'place.region', match: 'words' },
+  country: { path: 'place.country', match: 'country' },
+  skills: { path: 'skills', match: 'skill' },
+  tags: { path: 'tags', match: 'exact' },
+  type: { path: 'jobType', match: 'exact' },
+  remote: { path: 'remote', match: 'exact' },
+  level: { path: 'experienceLevel', match: 'exact' },
+  salary: { path: 'normalizedSalary', match: 'salary' },
+  posted: { path: 'postedDate', match: 'date' }
+};
+
+const FIELD_ALIASES = { skill: 'skills', tag: 'tags', jobtype: 'type', experiencelevel: 'level' };
+
+const FIELD_NAMES = Object.keys(FIELDS);
+
+// The field a prefix names, by name or alias, ignoring case
+const fieldNamed = (name) => {
+  const lower = name.toLowerCase();
+  const canonical = FIELD_ALIASES[lower] || lower;
+  return FIELDS[canonical] ? canonical : null;
+};
+
+// Syntax errors carry statusCode 400 and the zero-based character offset
+// of the mistake
+const syntaxError = (message, position) => {
+  const error = new Error(`${message} (at position ${position})`);
+  error.statusCode = 400;
+  error.position = position;
+  error.details = { position };
+  return error;
+};
+
+// Split a query into parentheses, phrases, keywords, negations, field
+// prefixes and words. Only known fields are prefixes, so other words ending
+// in a colon ("Engineer:", "http://...") stay plain words.
+const tokenize = (input) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: index });
+      index += 1;
+    } else if (char === '"') {
+      const end = input.indexOf('"', index + 1);
+      if (end === -1) throw syntaxError('Unterminated phrase', index);
+      tokens.push({ type: 'phrase', value: input.slice(index + 1, end), position: index });
+      index = end + 1;
+    } else if (char === '-' && index + 1 < input.length && !/[\s)]/.test(input[index + 1])) {
+      tokens.push({ type: 'NOT', position: index });
+      index += 1;
+    } else {
+      const word = input.slice(index).match(/^[^\s()"]+/)[0];
+      const field = word.match(/^([A-Za-z]+):/);
+      const known = field && fieldNamed(field[1]);
+
+      if (KEYWORDS.includes(word)) {
+        tokens.push({ type: word, position: index });
+      } else if (known) {
+        tokens.push({ type: 'field', value: field[1], field: known, position: index });
+        const rest = word.slice(field[0].length);
+        if (rest) tokens.push({ type: 'word', value: rest, position: index + field[0].length });
+      } else {
+        tokens.push({ type: 'word', value: word, position: index });
+      }
+      index += word.length;
+    }
+  }
+
+  return tokens;
+};
+
+const describe = (token) => {
+  if (!token) return 'end of query';
+  if (token.type === 'word') return `"${token.value}"`;
+  if (token.type === 'phrase') return 'a phrase';
+  if (token.type === 'field') return `field ${token.value}:`;
+  return `'${token.type}'`;
+};
+
+// Read a salary amount such as 85000 or 85k
+const readAmount = (text, position) => {
+  const match = text.match(/^(\d+(?:\.\d+)?)(k)?$/i);
+  if (!match) throw syntaxError(`Invalid salary "${text}"; use a number such as 85000 or 85k`, position);
+  return Number(match[1]) * (match[2] ? 1000 : 1);
+};
+
+// Read a posted value: an age such as 7d or a date such as 2026-01-31
+const readPosted = (text, position) => {
+  const age = text.match(/^(\d+)([hdwmy])$/i);
+  if (age) return { age: Number(age[1]) * AGE_UNITS[age[2].toLowerCase()] };
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) && new Date(`${text}T00:00:00Z`);
+  if (!date || Number.isNaN(date.getTime())) {
+    throw syntaxError(`Invalid posted value "${text}"; use an age such as 7d or a date such as 2026-01-31`, position);
+  }
+  return { date };
+};
+
+// Read a comparison (>100k, <=7d), a range (50k..80k) or a single value
+const readRange = (text, position, readValue) => {
+  const comparison = text.match(/^([<>]=?)(.*)$/);
+  if (comparison) {
+    const [, op, value] = comparison;
+    if (!value) throw syntaxError(`Missing value after '${op}'`, position + op.length);
+    return { op, value: readValue(value, position + op.length) };
+  }
+
+  const bounds = text.split('..');
+  if (bounds.length === 2) {
+    return {
+      op: '..',
+      from: readValue(bounds[0], position),
+      to: readValue(bounds[1], position + bounds[0].length + 2)
+    };
+  }
+  return { op: '=', value: readValue(text, position) };
+};
+
+// Check and pre-read the value of a term scoped to a field
+const readFieldValue = (term, position) => {
+  const { match } = FIELDS[term.field];
+  const ranged = match === 'salary' || match === 'date';
+
+  if (term.value === '*' && !term.phrase) return { ...term, exists: true };
+  if (!ranged && !term.phrase && /^[<>]|\.\./.test(term.value)) {
+    throw syntaxError(`Ranges are only supported for salary: and posted:, not ${term.field}:`, position);
+  }
+
+  if (match === 'salary') return { ...term, range: readRange(term.value, position, readAmount) };
+  if (match === 'date') {
+    const range = readRange(term.value, position, readPosted);
+    if (range.op === '..' && Boolean(range.from.age) !== Boolean(range.to.age)) {
+      throw syntaxError('A posted range needs two ages or two dates', position);
+    }
+    return { ...term, range };
+  }
+
+  if (match === 'country') {
+    if (!term.phrase && term.value.includes('*')) throw syntaxError('Wildcards are not supported for country:', position);
+    const code = countryCode(term.value);
+    if (!code) throw syntaxError(`Unknown country "${term.value}"`, position);
+    return { ...term, value: code };
+  }
+  return term;
+};
+
+// Parse a search query into a syntax tree of and/or/not nodes and terms.
+// Terms side by side must all match; OR binds looser than AND, and NOT or a
+// leading - negates the term or group after it. Errors carry statusCode 400
+// and the position of the mistake.
+const parseQuery = (input) => {
+  const query = String(input || '');
+  if (!query.trim()) throw syntaxError('Empty query', 0);
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw syntaxError(`Query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+
+  const tokens = tokenize(query);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const endPosition = () => query.trimEnd().length;
+  const positionOf = (token) => (token ? token.position : endPosition());
+
+  const startsTerm = (token) => Boolean(token) && ['(', 'NOT', 'field', 'word', 'phrase'].includes(token.type);
+
+  const expectTerm = (after) => {
+    const token = peek();
+    if (!startsTerm(token)) {
+      throw syntaxError(`Expected a search term${after ? ` after ${after}` : ''} but found ${describe(token)}`, positionOf(token));
+    }
+  };
+
+  const parseOr = (field, depth) => {
+    const children = [parseAnd(field, depth)];
+    while (peek() && peek().type === 'OR') {
+      index += 1;
+      expectTerm('OR');
+      children.push(parseAnd(field, depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = (field, depth) => {
+    const children = [parseNot(field, depth)];
+    for (;;) {
+      const token = peek();
+      if (token && token.type === 'AND') {
+        index += 1;
+        expectTerm('AND');
+      } else if (!startsTerm(token)) {
+        break;
+      }
+      children.push(parseNot(field, depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNot = (field, depth) => {
+    const token = peek();
+    if (token && token.type === 'NOT') {
+      if (depth >= MAX_DEPTH) throw syntaxError('Query is nested too deeply', token.position);
+      index += 1;
+      expectTerm('NOT');
+      return { type: 'not', child: parseNot(field, depth + 1) };
+    }
+    return parsePrimary(field, depth);
+  };
+
+  const parsePrimary = (field, depth) => {
+    expectTerm();
+    const token = tokens[index];
+    index += 1;
+
+    if (token.type === '(') {
+      if (depth >= MAX_DEPTH) throw syntaxError('Query is nested too deeply', token.position);
+      expectTerm();
+      const group = parseOr(field, depth + 1);
+      const close = peek();
+      if (!close || close.type !== ')') {
+        throw syntaxError(`Expected ')' but found ${describe(close)}`, positionOf(close));
+      }
+      index += 1;
+      return group;
+    }
+
+    if (token.type === 'field') {
+      if (field) throw syntaxError(`Field ${token.value}: cannot be used inside ${field}:`, token.position);
+      const value = peek();
+      if (!value || !['word', 'phrase', '('].includes(value.type)) {
+        throw syntaxError(`Missing value for ${token.value}:`, positionOf(value));
+      }
+      return parsePrimary(token.field, depth);
+    }
+
+    if (token.type === 'phrase' && !token.value.trim()) throw syntaxError('Empty phrase', token.position);
+
+    const term = { type: 'term', field, value: token.value, phrase: token.type === 'phrase', position: token.position };
+    if (field) return readFieldValue(term, token.position + (term.phrase ? 1 : 0));
+
+    if (!term.phrase && /^\*+$/.test(term.value)) {
+      throw syntaxError('A wildcard needs at least one other character', token.position);
+    }
+    return term;
+  };
+
+  const tree = parseOr(null, 0);
+  if (peek()) throw syntaxError(`Unexpected ${describe(peek())}`, peek().position);
+  return tree;
+};
+
+// Whether a query is plain words and phrases, optionally negated with -,
+// which MongoDB's text search understands as is
+const isPlainText = (input) => {
+  const tokens = tokenize(String(input || ''));
+  const plainWord = (token) => token.type === 'phrase' || (token.type === 'word' && !token.value.includes('*'));
+
+  return tokens.every((token, i) => plainWord(token) || (token.type === 'NOT' && tokens[i + 1] && plainWord(tokens[i + 1]))) &&
+    tokens.some((token, i) => plainWord(token) && !(tokens[i - 1] && tokens[i - 1].type === 'NOT'));
+};
+
+// Regular expression source for a term: phrases match their words in
+// order, and * in a word matches any run of non-space characters
+const valuePattern = ({ value, phrase }) => (phrase
+  ? value.trim().split(/\s+/).map(escapeRegex).join('\\s+')
+  : value.split('*').map(escapeRegex).join('\\S*'));
+
+const wordsCondition = (path, term) => ({
+  [path]: { $regex: `(?<!\\w)${valuePattern(term)}(?!\\w)`, $options: 'i' }
+});
+
+const exactCondition = (path, term) => ({
+  [path]: { $regex: `^${valuePattern(term)}$`, $options: 'i' }
+});
+
+// Conditions on the normalized salary range. Lower bounds apply to its
+// minimum and upper bounds to its maximum, like minSalary and maxSalary;
+// a single amount must fall inside the range.
+const salaryCondition = ({ range }, units) => {
+  const base = (amount) => Math.round(toBaseAnnual(amount, units));
+
+  switch (range.op) {
+    case '>': return { 'normalizedSalary.min': { $gt: base(range.value) } };
+    case '>=': return { 'normalizedSalary.min': { $gte: base(range.value) } };
+    case '<': return { 'normalizedSalary.max': { $lt: base(range.value) } };
+    case '<=': return { 'normalizedSalary.max': { $lte: base(range.value) } };
+    case '..': return {
+      'normalizedSalary.min': { $gte: base(Math.min(range.from, range.to)) },
+      'normalizedSalary.max': { $lte: base(Math.max(range.from, range.to)) }
+    };
+    default: return {
+      'normalizedSalary.min': { $lte: base(range.value) },
+      'normalizedSalary.max': { $gte: base(range.value) }
+    };
+  }
+};
+
+// Conditions on the posting date. Ages compare how long ago a job was
+// posted (posted:<7d is the last week); dates cover whole UTC days.
+const postedCondition = ({ range }, now) => {
+  const ago = ({ age }) => new Date(now.getTime() - age);
+  const nextDay = ({ date }) => new Date(date.getTime() + DAY_MS);
+
+  if (range.op === '..') {
+    const [from, to] = [range.from, range.to].sort((a, b) => (a.age ? b.age - a.age : a.date - b.date));
+    return from.age
+      ? { postedDate: { $gte: ago(from), $lte: ago(to) } }
+      : { postedDate: { $gte: from.date, $lt: nextDay(to) } };
+  }
+
+  const { value } = range;
+  if (value.age) {
+    const since = ago(value);
+    switch (range.op) {
+      case '<': return { postedDate: { $gt: since } };
+      case '>': return { postedDate: { $lt: since } };
+      case '>=': return { postedDate: { $lte: since } };
+      default: return { postedDate: { $gte: since } };
+    }
+  }
+
+  switch (range.op) {
+    case '<': return { postedDate: { $lt: value.date } };
+    case '<=': return { postedDate: { $lt: nextDay(value) } };
+    case '>': return { postedDate: { $gte: nextDay(value) } };
+    case '>=': return { postedDate: { $gte: value.date } };
+    default: return { postedDate: { $gte: value.date, $lt: nextDay(value) } };
+  }
+};
+
+const termCondition = (term, context) => {
+  if (!term.field) return { $or: TEXT_FIELDS.map(path => wordsCondition(path, term)) };
+
+  const { path, match } = FIELDS[term.field];
+  if (term.exists) return { [path]: { $exists: true, $nin: [null, ''] } };
+
+  switch (match) {
+    case 'words': return wordsCondition(path, term);
+    case 'country': return { [path]: term.value };
+    case 'salary': return salaryCondition(term, context.units);
+    case 'date': return postedCondition(term, context.now);
+    case 'skill':
+      if (term.phrase || !term.value.includes('*')) {
+        const names = context.expandSkills ? expandSkills([term.value]) : [normalizeSkill(term.value)];
+        return { [path]: { $in: [...names, new RegExp(`^${valuePattern(term)}$`, 'i')] } };
+      }
+      return exactCondition(path, term);
+    default: return exactCondition(path, term);
+  }
+};
+
+// Turn a syntax tree into a MongoDB filter. Every value is matched as an
+// escaped pattern or a plain value, so queries cannot inject operators.
+const compileQuery = (tree, context) => {
+  switch (tree.type) {
+    case 'and': return { $and: tree.children.map(child => compileQuery(child, context)) };
+    case 'or': return { $or: tree.children.map(child => compileQuery(child, context)) };
+    case 'not': return { $nor: [compileQuery(tree.child, context)] };
+    default: return termCondition(tree, context);
+  }
+};
+
+// The filter for a search query. Plain words and phrases keep using the
+// text index, ranked by relevance; a query with fields, operators, groups or
+// wildcards is compiled instead. Salary amounts are in the currency and
+// period of the search filters, and skills are expanded when the filters
+// ask for it. Syntax errors throw with statusCode 400.
+const queryFilter = (input, { salaryCurrency, salaryPeriod, expandSkills: expand } = {}, { now = new Date() } = {}) => {
+  const query = String(input || '').trim();
+  const tree = parseQuery(query);
+
+  if (isPlainText(query)) return { filter: { $text: { $search: query } }, textSearch: true };
+
+  const units = readSalaryUnits({ currency: salaryCurrency, period: salaryPeriod });
+  const compiled = compileQuery(tree, { units, now, expandSkills: Boolean(expand) });
+  return { filter: { $and: compiled.$and || [compiled] }, textSearch: false };
+};
+
+module.exports = {
+  FIELD_NAMES,
+  parseQuery,
+  isPlainText,
+  compileQuery,
+  queryFilter
+};
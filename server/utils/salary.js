@@ -0,0 +1,102 @@
+const fs = require('fs');
+const { getSalaryConfig } = require('../config/salary');
+
+// Number of periods in a working year
+const PERIODS_PER_YEAR = { hourly: 2080, daily: 260, weekly: 52, monthly: 12, yearly: 1 };
+const SALARY_PERIODS = Object.keys(PERIODS_PER_YEAR);
+
+let table = null;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Read the exchange rate table. It is read once per process, so a changed
+// table takes effect after a restart or reloadRates().
+const loadRates = () => {
+  if (table) return table;
+
+  const { ratesFile } = getSalaryConfig();
+  const parsed = JSON.parse(fs.readFileSync(ratesFile, 'utf8'));
+  const rates = parsed && parsed.rates;
+  const valid = rates && rates[parsed.base] === 1 &&
+    Object.values(rates).every(rate => typeof rate === 'number' && rate > 0);
+  if (!valid) throw new Error(`Invalid exchange rate table: ${ratesFile}`);
+
+  table = parsed;
+  return table;
+};
+
+const reloadRates = () => {
+  table = null;
+  return loadRates();
+};
+
+const baseCurrency = () => loadRates().base;
+
+const isKnownCurrency = (currency) => Object.hasOwn(loadRates().rates, currency);
+
+// Convert an amount paid per period in a currency to a yearly amount in the
+// base currency, and back
+const toBaseAnnual = (amount, { currency, period }) => amount * PERIODS_PER_YEAR[period] / loadRates().rates[currency];
+
+const fromBaseAnnual = (amount, { currency, period }) => amount * loadRates().rates[currency] / PERIODS_PER_YEAR[period];
+
+// Read the currency and period a caller wants salaries in, defaulting to the
+// base currency per year. Unknown values throw errors with statusCode 400.
+const readSalaryUnits = ({ currency, period } = {}) => {
+  const units = {
+    currency: currency ? String(currency).toUpperCase() : baseCurrency(),
+    period: period || 'yearly'
+  };
+
+  if (!isKnownCurrency(units.currency)) throw badRequest(`Unknown currency: ${currency}`);
+  if (!SALARY_PERIODS.includes(units.period)) {
+    throw badRequest(`Invalid salary period; use one of: ${SALARY_PERIODS.join(', ')}`);
+  }
+  return units;
+};
+
+// Yearly salary range in the base currency for a job's salary, or null when
+// it has no amounts or its currency is not in the rate table
+const normalizeSalary = (salary) => {
+  if (!salary || (!salary.min && !salary.max)) return null;
+
+  const currency = salary.currency || baseCurrency();
+  const period = salary.period || 'yearly';
+  if (!isKnownCurrency(currency) || !SALARY_PERIODS.includes(period)) return null;
+
+  const normalized = { currency: baseCurrency() };
+  if (salary.min) normalized.min = Math.round(toBaseAnnual(salary.min, { currency, period }));
+  if (salary.max) normalized.max = Math.round(toBaseAnnual(salary.max, { currency, period }));
+  return normalized;
+};
+
+// Query conditions for a salary range given in the caller's currency and
+// period. Amounts are rounded like stored normalized salaries, so a range
+// in a job's own currency matches that job's bounds.
+const salaryRangeFilter = ({ minSalary, maxSalary, salaryCurrency, salaryPeriod }) => {
+  const filter = {};
+  if (!minSalary && !maxSalary) return filter;
+
+  const units = readSalaryUnits({ currency: salaryCurrency, period: salaryPeriod });
+  if (minSalary) filter['normalizedSalary.min'] = { $gte: Math.round(toBaseAnnual(Number(minSalary), units)) };
+  if (maxSalary) filter['normalizedSalary.max'] = { $lte: Math.round(toBaseAnnual(Number(maxSalary), units)) };
+  return filter;
+};
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  SALARY_PERIODS,
+  loadRates,
+  reloadRates,
+  baseCurrency,
+  isKnownCurrency,
+  toBaseAnnual,
+  fromBaseAnnual,
+  readSalaryUnits,
+  normalizeSalary,
+  salaryRangeFilter
+};
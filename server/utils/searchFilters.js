@@ -0,0 +1,84 @@
+const { escapeRegex } = require('./text');
+const { countryCode, resolvePoint, resolveRadius, withinRadius } = require('./geo');
+const { salaryRangeFilter } = require('./salary');
+const { normalizeSkills, expandSkills } = require('./skills');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Parse the JSON `filters` query parameter used by /api/search
+const parseFilters = (filters = '{}') => {
+  if (filters && typeof filters === 'object') return filters;
+
+  try {
+    const parsed = JSON.parse(filters);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    return null;
+  }
+};
+
+// Build the MongoDB query for a /api/search filters object. Unknown places,
+// countries and currencies throw errors with statusCode 400.
+const buildSearchQuery = (parsedFilters = {}) => {
+  const searchQuery = {};
+
+  if (parsedFilters.jobType) searchQuery.jobType = parsedFilters.jobType;
+  if (parsedFilters.remote) searchQuery.remote = parsedFilters.remote;
+  if (parsedFilters.experienceLevel) searchQuery.experienceLevel = parsedFilters.experienceLevel;
+  if (parsedFilters.industry) searchQuery.industry = { $regex: parsedFilters.industry, $options: 'i' };
+  if (parsedFilters.location) searchQuery.location = { $regex: parsedFilters.location, $options: 'i' };
+  if (parsedFilters.company) searchQuery.company = { $regex: parsedFilters.company, $options: 'i' };
+
+  // Structured location filters; country takes a code or a name
+  if (parsedFilters.country) {
+    const country = countryCode(parsedFilters.country);
+    if (!country) throw badRequest(`Unknown country: ${parsedFilters.country}`);
+    searchQuery['place.country'] = country;
+  }
+  if (parsedFilters.region) {
+    searchQuery['place.region'] = { $regex: `^${escapeRegex(parsedFilters.region)}$`, $options: 'i' };
+  }
+
+  // Radius filter around a point or a place name, in kilometres
+  if (parsedFilters.near) {
+    const point = resolvePoint(parsedFilters.near);
+    searchQuery['place.point'] = withinRadius(point, resolveRadius(parsedFilters.radius));
+  }
+
+  // Salary filters, compared as yearly amounts in the base currency
+  Object.assign(searchQuery, salaryRangeFilter(parsedFilters));
+
+  // Skills filters by canonical name, optionally with the skills under them
+  if (parsedFilters.skills && Array.isArray(parsedFilters.skills)) {
+    const skills = parsedFilters.expandSkills ? expandSkills(parsedFilters.skills) : normalizeSkills(parsedFilters.skills);
+    searchQuery.skills = { $in: skills };
+  }
+
+  // Date filters
+  if (parsedFilters.postedAfter) {
+    searchQuery.postedDate = { $gte: new Date(parsedFilters.postedAfter) };
+  }
+  if (parsedFilters.postedBefore) {
+    if (searchQuery.postedDate) {
+      searchQuery.postedDate.$lte = new Date(parsedFilters.postedBefore);
+    } else {
+      searchQuery.postedDate = { $lte: new Date(parsedFilters.postedBefore) };
+    }
+  }
+
+  // Default filters; jobs past their expiry date are hidden even before the
+  // lifecycle sweeper marks them expired
+  searchQuery.status = 'active';
+  searchQuery.expiryDate = { $not: { $lte: new Date() } };
+
+  return searchQuery;
+};
+
+module.exports = {
+  parseFilters,
+  buildSearchQuery
+};
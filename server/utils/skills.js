@@ -0,0 +1,223 @@
+const { escapeRegex } = require('./text');
+
+// Tag the skills of one dictionary section with their category
+const inCategory = (category, skills) => skills.map(skill => ({ ...skill, category }));
+
+// Built-in skills with the aliases they appear under in free text and the
+// broader skill they belong to. Aliases marked caseSensitive are common
+// English words in lower case. The managed taxonomy starts from these.
+const SKILLS = [
+  // Languages
+  ...inCategory('language', [
+    { name: 'JavaScript', aliases: ['javascript', 'js', 'ecmascript', 'es6'] },
+    { name: 'TypeScript', parent: 'JavaScript', aliases: ['typescript'] },
+    { name: 'Python', aliases: ['python'] },
+    { name: 'Java', aliases: ['java'] },
+    { name: 'Kotlin', aliases: ['kotlin'] },
+    { name: 'Scala', aliases: ['scala'] },
+    { name: 'C++', aliases: ['c++', 'cpp'] },
+    { name: 'C#', aliases: ['c#', 'csharp'] },
+    { name: 'Go', aliases: ['golang', { alias: 'Go', caseSensitive: true }] },
+    { name: 'Rust', aliases: ['rust'] },
+    { name: 'Ruby', aliases: ['ruby'] },
+    { name: 'PHP', aliases: ['php'] },
+    { name: 'Swift', aliases: [{ alias: 'Swift', caseSensitive: true }] },
+    { name: 'Objective-C', aliases: ['objective-c', 'objc'] },
+    { name: 'Elixir', aliases: ['elixir'] },
+    { name: 'Haskell', aliases: ['haskell'] },
+    { name: 'Bash', aliases: ['bash', 'shell scripting'] },
+    { name: 'SQL', aliases: ['sql'] },
+    { name: 'HTML', aliases: ['html', 'html5'] },
+    { name: 'CSS', aliases: ['css', 'css3'] },
+    { name: 'Sass', parent: 'CSS', aliases: ['sass', 'scss'] }
+  ]),
+
+  // Frameworks and runtimes
+  ...inCategory('framework', [
+    { name: 'Node.js', parent: 'JavaScript', aliases: ['node.js', 'nodejs', 'node'] },
+    { name: 'Express', parent: 'Node.js', aliases: ['express.js', 'expressjs', { alias: 'Express', caseSensitive: true }] },
+    { name: 'NestJS', parent: 'Node.js', aliases: ['nestjs', 'nest.js'] },
+    { name: 'React', parent: 'JavaScript', aliases: ['react', 'react.js', 'reactjs'] },
+    { name: 'React Native', parent: 'React', aliases: ['react native'] },
+    { name: 'Next.js', parent: 'React', aliases: ['next.js', 'nextjs'] },
+    { name: 'Angular', parent: 'JavaScript', aliases: ['angular', 'angularjs'] },
+    { name: 'Vue.js', parent: 'JavaScript', aliases: ['vue', 'vue.js', 'vuejs'] },
+    { name: 'Svelte', parent: 'JavaScript', aliases: ['svelte'] },
+    { name: 'Redux', parent: 'React', aliases: ['redux'] },
+    { name: 'Django', parent: 'Python', aliases: ['django'] },
+    { name: 'Flask', parent: 'Python', aliases: ['flask'] },
+    { name: 'FastAPI', parent: 'Python', aliases: ['fastapi'] },
+    { name: 'Spring', parent: 'Java', aliases: ['spring boot', 'spring framework', { alias: 'Spring', caseSensitive: true }] },
+    { name: 'Ruby on Rails', parent: 'Ruby', aliases: ['rails', 'ruby on rails'] },
+    { name: 'Laravel', parent: 'PHP', aliases: ['laravel'] },
+    { name: '.NET', parent: 'C#', aliases: ['.net', 'dotnet', 'asp.net'] },
+    { name: 'Flutter', aliases: ['flutter'] },
+    { name: 'GraphQL', aliases: ['graphql'] },
+    { name: 'REST', aliases: ['restful', 'rest api', 'rest apis', { alias: 'REST', caseSensitive: true }] },
+    { name: 'gRPC', aliases: ['grpc'] }
+  ]),
+
+  // Data stores
+  ...inCategory('database', [
+    { name: 'MongoDB', aliases: ['mongodb', 'mongo'] },
+    { name: 'PostgreSQL', parent: 'SQL', aliases: ['postgresql', 'postgres'] },
+    { name: 'MySQL', parent: 'SQL', aliases: ['mysql'] },
+    { name: 'SQLite', parent: 'SQL', aliases: ['sqlite'] },
+    { name: 'Redis', aliases: ['redis'] },
+    { name: 'Elasticsearch', aliases: ['elasticsearch', 'elastic search'] },
+    { name: 'Cassandra', aliases: ['cassandra'] },
+    { name: 'DynamoDB', aliases: ['dynamodb'] },
+    { name: 'Kafka', aliases: ['kafka'] },
+    { name: 'RabbitMQ', aliases: ['rabbitmq'] }
+  ]),
+
+  // Cloud and infrastructure
+  ...inCategory('infrastructure', [
+    { name: 'AWS', aliases: ['aws', 'amazon web services'] },
+    { name: 'Azure', aliases: ['azure'] },
+    { name: 'GCP', aliases: ['gcp', 'google cloud'] },
+    { name: 'Docker', aliases: ['docker'] },
+    { name: 'Kubernetes', aliases: ['kubernetes', 'k8s'] },
+    { name: 'Terraform', aliases: ['terraform'] },
+    { name: 'Ansible', aliases: ['ansible'] },
+    { name: 'Linux', aliases: ['linux'] },
+    { name: 'CI/CD', aliases: ['ci/cd', 'continuous integration', 'continuous delivery'] },
+    { name: 'Jenkins', parent: 'CI/CD', aliases: ['jenkins'] },
+    { name: 'GitHub Actions', parent: 'CI/CD', aliases: ['github actions'] },
+    { name: 'Git', aliases: ['git'] },
+    { name: 'Microservices', aliases: ['microservices', 'microservice'] }
+  ]),
+
+  // Data and machine learning
+  ...inCategory('data', [
+    { name: 'Machine Learning', aliases: ['machine learning', 'ml'] },
+    { name: 'Deep Learning', parent: 'Machine Learning', aliases: ['deep learning'] },
+    { name: 'TensorFlow', parent: 'Machine Learning', aliases: ['tensorflow'] },
+    { name: 'PyTorch', parent: 'Machine Learning', aliases: ['pytorch'] },
+    { name: 'Pandas', parent: 'Python', aliases: ['pandas'] },
+    { name: 'NumPy', parent: 'Python', aliases: ['numpy'] },
+    { name: 'Spark', aliases: ['apache spark', { alias: 'Spark', caseSensitive: true }] },
+    { name: 'Hadoop', aliases: ['hadoop'] },
+    { name: 'Airflow', aliases: ['airflow'] },
+    { name: 'Tableau', aliases: ['tableau'] },
+    { name: 'Power BI', aliases: ['power bi', 'powerbi'] },
+    { name: 'Excel', aliases: ['ms excel', { alias: 'Excel', caseSensitive: true }] },
+    { name: 'NLP', parent: 'Machine Learning', aliases: ['nlp', 'natural language processing'] }
+  ]),
+
+  // Testing and practices
+  ...inCategory('practice', [
+    { name: 'Jest', parent: 'JavaScript', aliases: ['jest'] },
+    { name: 'Cypress', parent: 'JavaScript', aliases: ['cypress'] },
+    { name: 'Selenium', aliases: ['selenium'] },
+    { name: 'TDD', aliases: ['tdd', 'test-driven development'] },
+    { name: 'Agile', aliases: ['agile', 'scrum', 'kanban'] }
+  ]),
+
+  // Design and product
+  ...inCategory('product', [
+    { name: 'Figma', aliases: ['figma'] },
+    { name: 'UX Design', aliases: ['ux', 'ux design', 'user experience'] },
+    { name: 'UI Design', aliases: ['ui design'] },
+    { name: 'Product Management', aliases: ['product management'] },
+    { name: 'Project Management', aliases: ['project management'] },
+    { name: 'SEO', aliases: ['seo'] },
+    { name: 'Salesforce', aliases: ['salesforce'] }
+  ]),
+
+  // Soft skills
+  ...inCategory('soft skill', [
+    { name: 'Communication', aliases: ['communication skills'] },
+    { name: 'Leadership', aliases: ['leadership'] },
+    { name: 'Mentoring', aliases: ['mentoring', 'mentorship'] }
+  ])
+];
+
+// Characters that may be part of a skill name, so they must not border a match
+const WORD_CHARS = 'A-Za-z0-9+#';
+
+const buildMatcher = ({ alias, caseSensitive = false }) => new RegExp(
+  `(?<![${WORD_CHARS}.])${escapeRegex(alias)}(?![${WORD_CHARS}]|\\.[A-Za-z0-9])`,
+  caseSensitive ? '' : 'i'
+);
+
+const aliasOf = (alias) => (typeof alias === 'string' ? { alias } : alias);
+
+// Lookup tables for a list of skills: canonical names by lower-case name or
+// alias, the skills directly under each skill, and text matchers. Skills
+// without aliases are matched by their name.
+const buildTaxonomy = (skills) => {
+  const canonical = new Map();
+  const children = new Map();
+
+  skills.forEach(skill => {
+    canonical.set(skill.name.toLowerCase(), skill.name);
+    skill.aliases.map(aliasOf).forEach(({ alias }) => canonical.set(alias.toLowerCase(), skill.name));
+    if (skill.parent) children.set(skill.parent, [...(children.get(skill.parent) || []), skill.name]);
+  });
+
+  const matchers = skills.map(skill => ({
+    name: skill.name,
+    patterns: (skill.aliases.length ? skill.aliases.map(aliasOf) : [{ alias: skill.name }]).map(buildMatcher)
+  }));
+
+  return { canonical, children, matchers };
+};
+
+// The taxonomy in use: the built-in skills until the managed taxonomy is
+// loaded (see services/skillTaxonomy)
+let taxonomy = buildTaxonomy(SKILLS);
+
+// Replace the taxonomy with a list of skills shaped like SKILLS, with
+// parents given by name
+const setTaxonomy = (skills) => {
+  taxonomy = buildTaxonomy(skills);
+};
+
+// Map a skill to its canonical name; unknown skills are trimmed and kept
+const normalizeSkill = (skill) => {
+  const value = String(skill).trim();
+  return taxonomy.canonical.get(value.toLowerCase()) || value;
+};
+
+// Canonical names of a list of skills, without blanks or repeats
+const normalizeSkills = (skills = []) => {
+  const seen = new Set();
+  return skills.map(normalizeSkill).filter(skill => {
+    const key = skill.toLowerCase();
+    if (!skill || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Canonical names of a list of skills and of every skill under them, so a
+// search for JavaScript also finds React jobs
+const expandSkills = (skills = []) => {
+  const expanded = new Set();
+  const visit = (name) => {
+    if (expanded.has(name)) return;
+    expanded.add(name);
+    (taxonomy.children.get(name) || []).forEach(visit);
+  };
+
+  normalizeSkills(skills).forEach(visit);
+  return [...expanded];
+};
+
+// Find the known skills mentioned in a piece of free text, in taxonomy order
+const extractSkills = (text) => {
+  if (!text) return [];
+  return taxonomy.matchers
+    .filter(matcher => matcher.patterns.some(pattern => pattern.test(text)))
+    .map(matcher => matcher.name);
+};
+
+module.exports = {
+  SKILLS,
+  setTaxonomy,
+  normalizeSkill,
+  normalizeSkills,
+  expandSkills,
+  extractSkills
+};
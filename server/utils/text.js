@@ -0,0 +1,45 @@
+// Escape a user-supplied string for safe use inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lower-case, strip accents and punctuation, and collapse whitespace
+const normalizeText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9+#]+/g, ' ')
+  .trim()
+  .replace(/\s+/g, ' ');
+
+// Legal-form suffixes that do not tell companies apart
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|sas|srl|bv|nv|plc|pty|oy|ab)\b/g;
+
+// Normalize a company name for matching ("Acme, Inc." -> "acme")
+const normalizeCompanyName = (value) => normalizeText(value)
+  .replace(COMPANY_SUFFIXES, ' ')
+  .trim()
+  .replace(/\s+/g, ' ');
+
+// Common spelling variants in job titles
+const TITLE_REPLACEMENTS = [
+  [/\bsr\b/g, 'senior'],
+  [/\bjr\b/g, 'junior'],
+  [/\bdev\b/g, 'developer'],
+  [/\beng\b/g, 'engineer'],
+  [/\bmgr\b/g, 'manager'],
+  // Gender markers such as (m/f/d) or (m/w/d)
+  [/\b[mwfd] [mwfd] [mwfdx]\b/g, ' ']
+];
+
+// Normalize a job title for matching ("Sr. Dev (m/f/d)" -> "senior developer")
+const normalizeTitle = (value) => TITLE_REPLACEMENTS
+  .reduce((title, [pattern, replacement]) => title.replace(pattern, replacement), normalizeText(value))
+  .trim()
+  .replace(/\s+/g, ' ');
+
+module.exports = {
+  escapeRegex,
+  normalizeText,
+  normalizeCompanyName,
+  normalizeTitle
+};
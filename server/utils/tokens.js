@@ -0,0 +1,74 @@
+const jwt = require('jsonwebtoken');
+
+// Environments where built-in secrets stand in for unset ones
+const DEV_ENVIRONMENTS = ['development', 'test'];
+
+// Read a signing secret. Outside development and test an unset secret is an
+// error; a default would let anyone who reads this file forge tokens.
+const readSecret = (name, devSecret) => {
+  if (process.env[name]) return process.env[name];
+  if (DEV_ENVIRONMENTS.includes(process.env.NODE_ENV)) return devSecret;
+  throw new Error(`${name} must be set when NODE_ENV is not development or test`);
+};
+
+const getAccessSecret = () => readSecret('JWT_SECRET', 'dev-jwt-secret');
+const getRefreshSecret = () => readSecret('JWT_REFRESH_SECRET', 'dev-jwt-refresh-secret');
+
+// Fail at startup rather than on the first login when a secret is missing
+const assertTokenSecrets = () => {
+  getAccessSecret();
+  getRefreshSecret();
+};
+
+// Sign a short-lived access token carrying the user's id and role
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role, type: 'access' },
+    getAccessSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  );
+};
+
+// Sign a refresh token tied to the user's current token version
+const signRefreshToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), version: user.tokenVersion, type: 'refresh' },
+    getRefreshSecret(),
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
+  );
+};
+
+// Issue the access/refresh pair returned by the auth endpoints
+const issueTokens = (user) => ({
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user),
+  tokenType: 'Bearer',
+  expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+});
+
+// Verify an access token; throws JsonWebTokenError/TokenExpiredError on failure
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, getAccessSecret());
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return payload;
+};
+
+// Verify a refresh token; throws JsonWebTokenError/TokenExpiredError on failure
+const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, getRefreshSecret());
+  if (payload.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return payload;
+};
+
+module.exports = {
+  assertTokenSecrets,
+  issueTokens,
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken
+};